@@ -1,4 +1,5 @@
 const db = require('./db/db');
+const orderRepository = require('./db/orderRepository');
 
 async function checkOrders() {
   try {
@@ -13,13 +14,8 @@ async function checkOrders() {
     const items = await db.any('SELECT COUNT(*) as count FROM public.toms_shopee_order_item');
     console.log('주문 아이템 수:', items[0].count);
     
-    // 가장 최근 주문 확인
-    const recentOrders = await db.any(`
-      SELECT order_num, status, created_at, updated_at 
-      FROM public.toms_shopee_order 
-      ORDER BY created_at DESC 
-      LIMIT 5
-    `);
+    // 가장 최근 주문 확인 (아이템 포함)
+    const { orders: recentOrders } = await orderRepository.findOrders({}, { sort: 'created_at', order: 'desc', view: 'full', limit: 5 });
     
     console.log('\n최근 주문 목록:');
     recentOrders.forEach(order => {
@@ -28,17 +24,9 @@ async function checkOrders() {
     
     // 최근 주문 아이템 확인
     if (recentOrders.length > 0) {
-      const recentOrderItems = await db.any(`
-        SELECT i.name, i.variation_sku, i.price, i.qty, i.created_at
-        FROM public.toms_shopee_order_item i
-        JOIN public.toms_shopee_order o ON i.toms_order_id = o.id
-        WHERE o.order_num = $1
-        LIMIT 10
-      `, [recentOrders[0].order_num]);
-      
       console.log(`\n주문번호 ${recentOrders[0].order_num}의 아이템 목록:`);
-      recentOrderItems.forEach(item => {
-        console.log(`- 상품명: ${item.name}, SKU: ${item.variation_sku}, 가격: ${item.price}, 수량: ${item.qty}`);
+      recentOrders[0].items.slice(0, 10).forEach(item => {
+        console.log(`- 상품명: ${item.name}, SKU: ${item.sku}, 가격: ${item.price}, 수량: ${item.qty}`);
       });
     }
   } catch (error) {
@@ -25,8 +25,8 @@ module.exports = {
   retry: {
     attempts: parseInt(process.env.SHOPEE_RETRY_ATTEMPTS || '3'),
     backoff: {
-      type: 'exponential',
-      delay: parseInt(process.env.SHOPEE_RETRY_DELAY || '5000')
+      type: 'shopeeApi',
+      options: { delay: parseInt(process.env.SHOPEE_RETRY_DELAY || '5000') }
     }
   }
 }; 
\ No newline at end of file
@@ -1,33 +1,130 @@
-const pgp = require('pg-promise')({
-  // 초기화 옵션
-});
+const cluster = require('cluster');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const queryMetrics = require('./queryMetrics');
+
+const options = config.db;
+
+// 로그에 남길 SQL 최대 길이
+const MAX_LOGGED_QUERY_LENGTH = 2000;
+
+// 접속 이름 (pg_stat_activity.application_name): 어느 프로세스의 쿼리인지 구분
+const processName = cluster.worker ? `worker-${cluster.worker.id}` : 'master';
+const applicationName = `${options.applicationName || 'toms-shopee'}-${processName}`;
+
+const slowQueryMs = options.slowQueryMs || 1000;
+
+// 연결별 쿼리 시작 시각 (한 연결은 한 번에 쿼리 하나만 실행)
+const queryStarts = new WeakMap();
+
+/**
+ * @param {Object|string} query - 실행한 쿼리
+ * @returns {string} - 로그용 SQL (길면 잘라냄)
+ */
+function queryText(query) {
+  const sql = typeof query === 'string' ? query : (query && query.text) || '';
+  return sql.length > MAX_LOGGED_QUERY_LENGTH ? `${sql.slice(0, MAX_LOGGED_QUERY_LENGTH)}...` : sql;
+}
+
+/**
+ * 쿼리 1건 완료 처리 (시간 기록, 느린 쿼리 로그)
+ * @param {Object} e - pg-promise 이벤트 컨텍스트
+ * @param {number} [duration] - 실행 시간(ms), 없으면 시작 시각으로 계산
+ * @param {boolean} failed - 오류 여부
+ */
+function finishQuery(e, duration, failed) {
+  const started = e.client ? queryStarts.get(e.client) : undefined;
+  const durationMs = duration !== undefined ? duration : (started ? Date.now() - started : 0);
+  const slow = durationMs >= slowQueryMs;
+  const label = queryMetrics.labelOf(e.query, e.ctx && e.ctx.tag);
+
+  queryMetrics.record(label, durationMs, { failed, slow });
+
+  if (slow) {
+    logger.warn(`느린 쿼리 (${durationMs}ms): ${label}`, {
+      durationMs,
+      applicationName,
+      query: queryText(e.query)
+    });
+  }
+}
+
+// DB 이벤트 설정 (쿼리 시간 측정, 오류/느린 쿼리 로그)
+const initOptions = {
+  query(e) {
+    if (e.client) {
+      queryStarts.set(e.client, Date.now());
+    }
+
+    if (options.logQueries) {
+      logger.debug('실행 쿼리', { query: queryText(e.query) });
+    }
+  },
+
+  receive(e) {
+    finishQuery(e.ctx, e.result ? e.result.duration : undefined, false);
+  },
+
+  error(err, e) {
+    // 연결 실패 등 쿼리 없는 오류는 시간 기록 없이 로그만 남김 (결과 행 수 오류는 receive에서 이미 기록됨)
+    if (e && e.query && !(err instanceof pgp.errors.QueryResultError)) {
+      finishQuery(e, undefined, true);
+    }
+
+    logger.error('쿼리 에러', {
+      error: err.message,
+      code: err.code,
+      applicationName,
+      query: e && e.query ? queryText(e.query) : undefined
+    });
+  }
+};
+
+const pgp = require('pg-promise')(initOptions);
 
 // 데이터베이스 연결 설정
 const dbConfig = {
-  host: config.db.host,
-  port: config.db.port,
-  database: config.db.database,
-  user: config.db.user,
-  password: config.db.password,
-  schema: config.db.schema,
-  max: 30, // 최대 연결 수
-  idleTimeoutMillis: 30000, // 유휴 타임아웃
-  connectionTimeoutMillis: 2000, // 연결 타임아웃
+  host: options.host,
+  port: options.port,
+  database: options.database,
+  user: options.user,
+  password: options.password,
+  schema: options.schema,
+  application_name: applicationName,
+  max: options.poolSize || 30, // 최대 연결 수
+  idleTimeoutMillis: options.idleTimeoutMillis || 30000, // 유휴 타임아웃
+  connectionTimeoutMillis: options.connectionTimeoutMillis || 2000, // 연결 타임아웃
+  statement_timeout: options.statementTimeoutMs || 60000, // 쿼리 실행 제한 시간 (서버에서 취소)
+  ssl: options.ssl ? { rejectUnauthorized: false } : false
 };
 
 // 데이터베이스 객체 생성
 const db = pgp(dbConfig);
 
+/**
+ * 연결 풀 상태와 쿼리 시간 통계
+ * @returns {Object} - { applicationName, pool: { max, total, idle, waiting }, slowQueryMs, ...쿼리 통계 }
+ */
+db.getStats = () => ({
+  applicationName,
+  pool: {
+    max: dbConfig.max,
+    total: db.$pool.totalCount,
+    idle: db.$pool.idleCount,
+    waiting: db.$pool.waitingCount
+  },
+  slowQueryMs,
+  ...queryMetrics.getSummary()
+});
+
 // 연결 테스트
 db.connect()
   .then(obj => {
-    logger.info('데이터베이스 연결 성공');
+    logger.info(`데이터베이스 연결 성공 (${applicationName})`);
     obj.done(); // 연결 해제
   })
   .catch(error => {
     logger.error('데이터베이스 연결 실패:', error);
   });
 
-module.exports = db; 
\ No newline at end of file
+module.exports = db;
@@ -0,0 +1,112 @@
+-- TOMS 기본 테이블 (회사 플랫폼, 쇼피 샵, 주문, 물류, 배송 이력, 주문 아이템)
+-- 운영 DB에는 TOMS 본 시스템이 만든 테이블이 이미 있으므로 모두 IF NOT EXISTS - 새 개발/테스트 DB를 만들 때만 실제로 생성됨
+-- 이후 마이그레이션(002~)이 추가하는 컬럼은 여기 넣지 않음 (기존 운영 DB와 같은 순서로 스키마가 만들어지도록)
+-- 주문 상세 조회 함수(get_order_detail)는 db/sp_get_order_detail.sql 을 마이그레이션 실행기가 따로 적용
+
+CREATE TABLE IF NOT EXISTS public.company_platform (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  companyid UUID NOT NULL,
+  platform VARCHAR(20) NOT NULL,
+  issandbox BOOLEAN NOT NULL DEFAULT false,
+  isactive BOOLEAN NOT NULL DEFAULT true,
+  created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public.shopee_shop (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  platform_id UUID NOT NULL REFERENCES public.company_platform(id),
+  shop_id BIGINT NOT NULL,
+  access_token VARCHAR(255),
+  refresh_token VARCHAR(255),
+  auth_time TIMESTAMP,
+  expire_at BIGINT,
+  expire_in INTEGER,
+  token_expiry_date TIMESTAMP,
+  order_update_minute INTEGER,
+  created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated TIMESTAMP,
+  deleted TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopee_shop_shop_id ON public.shopee_shop (shop_id);
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_order (
+  id UUID PRIMARY KEY,
+  platform VARCHAR(20) NOT NULL,
+  order_num VARCHAR(32) NOT NULL,
+  status VARCHAR(32),
+  action_status VARCHAR(32),
+  other_status VARCHAR(32),
+  country_code VARCHAR(8),
+  currency VARCHAR(8),
+  order_date TIMESTAMP,
+  pay_date TIMESTAMP,
+  day_to_ship TIMESTAMP,
+  price FLOAT8,
+  company_id UUID,
+  shop_id VARCHAR(32),
+  export_declaration_no VARCHAR(64),
+  simple_memo VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  arrange_shipment_at TIMESTAMP,
+  print_at TIMESTAMP,
+  cancel_by VARCHAR(32),
+  cancel_reason VARCHAR(255),
+  fulfillment_flag VARCHAR(20),
+  message_to_seller VARCHAR(1000)
+);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_order_num ON public.toms_shopee_order (order_num, platform);
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_logistic (
+  id UUID PRIMARY KEY,
+  name VARCHAR(255),
+  tracking_no VARCHAR(64),
+  estimated_shipping_fee FLOAT8,
+  actual_shipping_cost FLOAT8,
+  platform VARCHAR(20) NOT NULL,
+  toms_order_id UUID NOT NULL REFERENCES public.toms_shopee_order(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT toms_shopee_logistic_toms_order_id_key UNIQUE (toms_order_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_logistic_history (
+  id UUID PRIMARY KEY,
+  tracking_no VARCHAR(64),
+  logistic_date TIMESTAMP,
+  location VARCHAR(255),
+  logistic_status VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  toms_logistic_id UUID NOT NULL REFERENCES public.toms_shopee_logistic(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_logistic_history_logistic ON public.toms_shopee_logistic_history (toms_logistic_id);
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_order_item (
+  id UUID PRIMARY KEY,
+  platform_item_id VARCHAR(32),
+  variation_sku VARCHAR(100),
+  promo_variation_sku VARCHAR(100),
+  name VARCHAR(255),
+  option VARCHAR(255),
+  price FLOAT8,
+  original_price FLOAT8,
+  qty INTEGER,
+  weight FLOAT8,
+  index INTEGER,
+  platform VARCHAR(20) NOT NULL,
+  tracking_no VARCHAR(64),
+  toms_order_id UUID NOT NULL REFERENCES public.toms_shopee_order(id) ON DELETE CASCADE,
+  toms_logistic_id UUID REFERENCES public.toms_shopee_logistic(id),
+  toms_item_id UUID NOT NULL,
+  company_id UUID,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  image_url TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_item_order ON public.toms_shopee_order_item (toms_order_id);
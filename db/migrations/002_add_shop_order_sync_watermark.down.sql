@@ -0,0 +1,5 @@
+-- 002 되돌리기: 샵별 주문 동기화 워터마크 컬럼 삭제
+
+ALTER TABLE public.shopee_shop
+  DROP COLUMN IF EXISTS order_sync_watermark,
+  DROP COLUMN IF EXISTS order_synced_at;
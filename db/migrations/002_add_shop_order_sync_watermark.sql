@@ -0,0 +1,7 @@
+-- 샵별 주문 증분 동기화 워터마크
+-- order_sync_watermark: 마지막으로 동기화가 완료된 update_time 상한 (Unix 초)
+-- order_synced_at: 워터마크가 마지막으로 갱신된 시각
+
+ALTER TABLE public.shopee_shop
+  ADD COLUMN IF NOT EXISTS order_sync_watermark BIGINT,
+  ADD COLUMN IF NOT EXISTS order_synced_at TIMESTAMP;
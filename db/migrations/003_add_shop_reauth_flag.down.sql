@@ -0,0 +1,6 @@
+-- 003 되돌리기: 재인증 필요 표시 컬럼 삭제
+
+ALTER TABLE public.shopee_shop
+  DROP COLUMN IF EXISTS needs_reauth,
+  DROP COLUMN IF EXISTS auth_error,
+  DROP COLUMN IF EXISTS auth_error_at;
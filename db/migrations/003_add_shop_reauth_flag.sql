@@ -0,0 +1,9 @@
+-- 토큰 갱신이 불가능한 샵 표시 (재인증 필요)
+-- needs_reauth: 리프레시 토큰이 만료/무효화되어 판매자의 재인증이 필요한 샵 (활성 샵 조회에서 제외)
+-- auth_error: 마지막 토큰 갱신 실패 사유
+-- auth_error_at: 마지막 토큰 갱신 실패 시각
+
+ALTER TABLE public.shopee_shop
+  ADD COLUMN IF NOT EXISTS needs_reauth BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS auth_error TEXT,
+  ADD COLUMN IF NOT EXISTS auth_error_at TIMESTAMP;
@@ -0,0 +1,6 @@
+-- 004 되돌리기: 회사 플랫폼별 파트너 앱 정보 컬럼 삭제 (config의 파트너 정보 사용으로 돌아감)
+
+ALTER TABLE public.company_platform
+  DROP COLUMN IF EXISTS partner_id,
+  DROP COLUMN IF EXISTS partner_key_enc,
+  DROP COLUMN IF EXISTS partner_key_updated;
@@ -0,0 +1,10 @@
+-- 회사 플랫폼별 쇼피 파트너 앱 정보
+-- partner_id: 쇼피 파트너 ID
+-- partner_key_enc: 암호화된 파트너 키 (AES-256-GCM, CREDENTIAL_ENCRYPTION_KEY로 암호화)
+-- partner_key_updated: 파트너 키가 마지막으로 변경된 시각
+-- 값이 없으면 config의 파트너 정보(샌드박스/라이브)를 사용
+
+ALTER TABLE public.company_platform
+  ADD COLUMN IF NOT EXISTS partner_id BIGINT,
+  ADD COLUMN IF NOT EXISTS partner_key_enc TEXT,
+  ADD COLUMN IF NOT EXISTS partner_key_updated TIMESTAMP;
@@ -0,0 +1,3 @@
+-- 005 되돌리기: 쇼피 푸시 원본 로그 삭제
+
+DROP TABLE IF EXISTS public.shopee_push_log;
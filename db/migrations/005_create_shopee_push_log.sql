@@ -0,0 +1,20 @@
+-- 쇼피 푸시(웹훅) 원본 저장 및 중복 수신 방지
+-- push_key: 원본 본문의 SHA-256 (같은 푸시가 다시 오면 무시)
+-- status: received(수신), processed(작업 등록 완료), ignored(처리 대상 아님), failed(처리 실패)
+
+CREATE TABLE IF NOT EXISTS public.shopee_push_log (
+  id BIGSERIAL PRIMARY KEY,
+  push_key VARCHAR(64) NOT NULL,
+  shop_id BIGINT,
+  code INTEGER NOT NULL,
+  order_sn VARCHAR(32),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',
+  error TEXT,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  UNIQUE(push_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopee_push_log_shop_received ON public.shopee_push_log (shop_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_shopee_push_log_order_sn ON public.shopee_push_log (order_sn);
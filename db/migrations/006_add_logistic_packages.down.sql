@@ -0,0 +1,12 @@
+-- 006 되돌리기: 주문당 물류 1건으로 복구
+-- 분할 배송 주문(물류가 2건 이상인 주문)이 있으면 유일 제약 생성이 실패하므로 먼저 정리해야 함
+
+DROP INDEX IF EXISTS public.idx_toms_shopee_order_item_logistic;
+DROP INDEX IF EXISTS public.uq_toms_shopee_logistic_order_package;
+
+ALTER TABLE public.toms_shopee_logistic
+  ADD CONSTRAINT toms_shopee_logistic_toms_order_id_key UNIQUE (toms_order_id);
+
+ALTER TABLE public.toms_shopee_logistic
+  DROP COLUMN IF EXISTS package_number,
+  DROP COLUMN IF EXISTS logistics_status;
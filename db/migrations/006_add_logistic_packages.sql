@@ -0,0 +1,20 @@
+-- 분할 배송(패키지별) 물류 정보 저장
+-- 주문당 물류 1건(toms_order_id 고유) 대신 쇼피 package_list의 패키지마다 물류 1건을 저장
+-- package_number: 쇼피 패키지 번호 (패키지 정보가 없는 주문과 기존 데이터는 빈 문자열)
+-- logistics_status: 패키지 물류 상태 (LOGISTICS_READY, LOGISTICS_PICKUP_DONE 등)
+-- 적용 후 db/sp_get_order_detail.sql 도 다시 실행해야 함 (반환 컬럼 변경)
+
+ALTER TABLE public.toms_shopee_logistic
+  ADD COLUMN IF NOT EXISTS package_number VARCHAR(64) NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS logistics_status VARCHAR(64);
+
+ALTER TABLE public.toms_shopee_logistic
+  DROP CONSTRAINT IF EXISTS toms_shopee_logistic_toms_order_id_key;
+
+DROP INDEX IF EXISTS public.toms_shopee_logistic_toms_order_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_toms_shopee_logistic_order_package
+  ON public.toms_shopee_logistic (toms_order_id, package_number);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_item_logistic
+  ON public.toms_shopee_order_item (toms_logistic_id);
@@ -0,0 +1,9 @@
+-- 007 되돌리기: 구간별 송장번호와 이력 구간 컬럼 삭제
+
+ALTER TABLE public.toms_shopee_logistic_history
+  DROP COLUMN IF EXISTS tracking_type;
+
+ALTER TABLE public.toms_shopee_logistic
+  DROP COLUMN IF EXISTS first_mile_tracking_no,
+  DROP COLUMN IF EXISTS last_mile_tracking_no,
+  DROP COLUMN IF EXISTS plp_number;
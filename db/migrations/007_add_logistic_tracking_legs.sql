@@ -0,0 +1,15 @@
+-- 국경 간 배송 구간별 송장번호 저장
+-- tracking_no: 대표 송장번호 (tracking_number, 없으면 first/last mile, PLP 순으로 대체)
+-- first_mile_tracking_no: 판매자 -> 쇼피 창고 구간 송장번호
+-- last_mile_tracking_no: 도착 국가 배송사 송장번호
+-- plp_number: 쇼피 물류 라벨(PLP) 번호
+-- toms_shopee_logistic_history.tracking_type: 이력이 속한 구간 (main, first_mile, last_mile)
+-- 적용 후 db/sp_get_order_detail.sql 도 다시 실행해야 함 (반환 컬럼 변경)
+
+ALTER TABLE public.toms_shopee_logistic
+  ADD COLUMN IF NOT EXISTS first_mile_tracking_no VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS last_mile_tracking_no VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS plp_number VARCHAR(64);
+
+ALTER TABLE public.toms_shopee_logistic_history
+  ADD COLUMN IF NOT EXISTS tracking_type VARCHAR(20);
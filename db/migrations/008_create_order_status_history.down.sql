@@ -0,0 +1,3 @@
+-- 008 되돌리기: 주문 상태 변경 이력 삭제
+
+DROP TABLE IF EXISTS public.toms_shopee_order_status_history;
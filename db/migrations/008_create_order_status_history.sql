@@ -0,0 +1,24 @@
+-- 주문 상태 변경 이력 (추가 전용)
+-- 관측한 status / action_status 변경마다 1건 저장 (처음 저장된 주문은 from_status가 NULL)
+-- source: poll(주기 수집), push(쇼피 푸시), tracking(송장번호 저장 시 SHIPPED 전환), manual(수동 실행), backfill(과거 주문 백필)
+-- changed_at: 변경 시각 추정값 (쇼피 update_time, 없으면 관측 시각)
+-- observed_at: 이 시스템이 변경을 확인한 시각
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_order_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  toms_order_id UUID NOT NULL,
+  order_num VARCHAR(32) NOT NULL,
+  shop_id VARCHAR(32),
+  from_status VARCHAR(32),
+  to_status VARCHAR(32),
+  from_action_status VARCHAR(32),
+  to_action_status VARCHAR(32),
+  source VARCHAR(20) NOT NULL,
+  changed_at TIMESTAMP NOT NULL,
+  observed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_status_history_order
+  ON public.toms_shopee_order_status_history (toms_order_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_status_history_shop
+  ON public.toms_shopee_order_status_history (shop_id, changed_at);
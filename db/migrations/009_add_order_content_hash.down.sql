@@ -0,0 +1,7 @@
+-- 009 되돌리기: 주문 변경 감지 컬럼 삭제
+
+ALTER TABLE public.toms_shopee_order
+  DROP COLUMN IF EXISTS content_hash,
+  DROP COLUMN IF EXISTS content_snapshot,
+  DROP COLUMN IF EXISTS changed_fields,
+  DROP COLUMN IF EXISTS content_changed_at;
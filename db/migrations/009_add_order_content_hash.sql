@@ -0,0 +1,11 @@
+-- 주문 저장 시 변경 감지
+-- content_hash: 저장 대상 필드(주문, 배송, 아이템)의 정규화 스냅샷 SHA-256 (같으면 저장 생략)
+-- content_snapshot: 마지막으로 저장한 정규화 스냅샷 (필드별 비교용)
+-- changed_fields: 마지막 저장에서 바뀐 필드 목록 (처음 저장된 주문은 NULL)
+-- content_changed_at: 내용이 마지막으로 바뀐 시각
+
+ALTER TABLE public.toms_shopee_order
+  ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS content_snapshot JSONB,
+  ADD COLUMN IF NOT EXISTS changed_fields JSONB,
+  ADD COLUMN IF NOT EXISTS content_changed_at TIMESTAMP;
@@ -0,0 +1,13 @@
+-- 010 되돌리기: 주문 아이템 라인 고유키, 소프트 삭제, 상품 레코드 삭제
+-- 소프트 삭제된 아이템은 실제로 삭제 (삭제 후 재삽입 방식으로 돌아가므로)
+
+DELETE FROM public.toms_shopee_order_item WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS public.uq_toms_shopee_order_item_line;
+
+ALTER TABLE public.toms_shopee_order_item
+  DROP COLUMN IF EXISTS platform_model_id,
+  DROP COLUMN IF EXISTS line_key,
+  DROP COLUMN IF EXISTS deleted_at;
+
+DROP TABLE IF EXISTS public.toms_shopee_item;
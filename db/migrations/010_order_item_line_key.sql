@@ -0,0 +1,32 @@
+-- 주문 아이템을 삭제 후 재삽입하지 않고 라인 단위로 갱신
+-- toms_shopee_order_item.line_key: 주문 내 라인 고유키 (item_id:model_id:oi<order_item_id>, order_item_id가 없으면 item_id:model_id:#<같은 상품 내 순번>) - 같은 라인은 같은 id를 유지
+-- toms_shopee_order_item.platform_model_id: 쇼피 model_id
+-- toms_shopee_order_item.deleted_at: 주문에서 빠진 라인 (소프트 삭제, 다시 들어오면 NULL로 복구)
+-- toms_shopee_item: 쇼피 상품(item_id + model_id)별 상품 레코드 - toms_shopee_order_item.toms_item_id가 참조
+-- 기존 아이템은 line_key가 NULL이며, 다음 저장 시 item_id + index가 같은 라인으로 이어받음
+-- 적용 후 db/sp_get_order_detail.sql 도 다시 실행해야 함 (삭제된 라인 제외)
+
+CREATE TABLE IF NOT EXISTS public.toms_shopee_item (
+  id UUID PRIMARY KEY,
+  company_id UUID NOT NULL,
+  platform VARCHAR(20) NOT NULL DEFAULT 'shopee',
+  platform_item_id VARCHAR(32) NOT NULL,
+  platform_model_id VARCHAR(32) NOT NULL DEFAULT '',
+  sku VARCHAR(100),
+  name VARCHAR(255),
+  option VARCHAR(255),
+  image_url TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_toms_shopee_item_platform
+  ON public.toms_shopee_item (company_id, platform, platform_item_id, platform_model_id);
+
+ALTER TABLE public.toms_shopee_order_item
+  ADD COLUMN IF NOT EXISTS platform_model_id VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS line_key VARCHAR(128),
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_toms_shopee_order_item_line
+  ON public.toms_shopee_order_item (toms_order_id, line_key);
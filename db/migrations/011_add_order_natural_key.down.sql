@@ -0,0 +1,3 @@
+-- 011 되돌리기: 주문 자연키 유일 인덱스 삭제
+
+DROP INDEX IF EXISTS public.uq_toms_shopee_order_natural_key;
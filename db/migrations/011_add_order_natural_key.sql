@@ -0,0 +1,8 @@
+-- 주문 자연키 유일성 (platform, shop_id, order_num)
+-- 주문 저장은 이 키로 ON CONFLICT 처리하므로 여러 워커가 같은 주문을 동시에 저장해도 한 행만 생성됨
+-- 기존 중복 주문이 있으면 인덱스 생성이 실패하므로 먼저 중복을 병합해야 함:
+--   node dedupOrders.js          (병합 대상 확인)
+--   node dedupOrders.js --apply  (병합 실행)
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_toms_shopee_order_natural_key
+  ON public.toms_shopee_order (platform, shop_id, order_num);
@@ -0,0 +1,10 @@
+-- 012 되돌리기: 주문 목록 조회 인덱스와 구매자 컬럼 삭제
+
+DROP INDEX IF EXISTS public.idx_toms_shopee_logistic_tracking_no;
+DROP INDEX IF EXISTS public.idx_toms_shopee_order_buyer_username;
+DROP INDEX IF EXISTS public.idx_toms_shopee_order_shop_updated;
+DROP INDEX IF EXISTS public.idx_toms_shopee_order_shop_order_date;
+
+ALTER TABLE public.toms_shopee_order
+  DROP COLUMN IF EXISTS buyer_user_id,
+  DROP COLUMN IF EXISTS buyer_username;
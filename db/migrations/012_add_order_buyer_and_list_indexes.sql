@@ -0,0 +1,20 @@
+-- 주문 목록 조회 API(GET /orders) 지원
+-- toms_shopee_order.buyer_user_id, buyer_username: 구매자 (쇼피 get_order_detail 값, 구매자 검색에 사용)
+-- 기존 주문은 다음 저장 시 채워짐 (변경 감지 스냅샷에 구매자가 추가되어 한 번은 changed로 저장됨)
+-- 목록 조회는 (정렬 컬럼, id) 키셋 페이지네이션이므로 샵별 정렬 컬럼 인덱스 추가
+
+ALTER TABLE public.toms_shopee_order
+  ADD COLUMN IF NOT EXISTS buyer_user_id VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS buyer_username VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_shop_order_date
+  ON public.toms_shopee_order (shop_id, order_date DESC NULLS LAST, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_shop_updated
+  ON public.toms_shopee_order (shop_id, updated_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_order_buyer_username
+  ON public.toms_shopee_order (lower(buyer_username));
+
+CREATE INDEX IF NOT EXISTS idx_toms_shopee_logistic_tracking_no
+  ON public.toms_shopee_logistic (tracking_no);
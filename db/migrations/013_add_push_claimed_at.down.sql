@@ -0,0 +1,4 @@
+-- 013 되돌리기: 푸시 처리 시작 시각 컬럼 삭제
+
+ALTER TABLE public.shopee_push_log
+  DROP COLUMN IF EXISTS claimed_at;
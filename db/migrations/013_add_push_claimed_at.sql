@@ -0,0 +1,6 @@
+-- 쇼피 푸시 처리 시작 시각
+-- shopee_push_log.claimed_at: 마지막으로 처리를 시작한 시각 (최초 수신 또는 재처리)
+-- received 상태로 오래 남은 푸시(처리 중 프로세스 종료)는 같은 푸시가 다시 오면 다시 처리
+
+ALTER TABLE public.shopee_push_log
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
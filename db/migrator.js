@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('../utils/logger');
+
+// 버전 마이그레이션: db/migrations/NNN_이름.sql (되돌리기는 NNN_이름.down.sql)
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.sql$/;
+
+// 반복 마이그레이션: 내용이 바뀔 때마다 다시 적용 (스토어드 함수 등 CREATE OR REPLACE 스크립트)
+// 모든 버전 마이그레이션이 적용된 뒤에만 실행
+const REPEATABLE_FILES = [
+  path.join(__dirname, 'sp_get_order_detail.sql')
+];
+
+// 기준 스키마 (운영 DB에 이미 있는 TOMS 테이블) - 되돌리면 운영 데이터가 삭제되므로 down 대상에서 제외
+const BASELINE_VERSION = 1;
+
+// 여러 프로세스가 동시에 실행해도 한 곳에서만 적용되도록 advisory lock 사용
+const LOCK_KEY = 730511;
+
+class Migrator {
+  /**
+   * 버전 마이그레이션 파일 목록 (버전 순)
+   * @private
+   * @returns {Array<Object>} - { version, name, file, downFile, sql, checksum }
+   */
+  _loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file) && !file.endsWith('.down.sql'))
+      .map(file => {
+        const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        const downFile = path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`);
+
+        return {
+          version,
+          name,
+          file,
+          downFile: fs.existsSync(downFile) ? downFile : null,
+          sql,
+          checksum: this._checksum(sql)
+        };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * 반복 마이그레이션 파일 목록
+   * @private
+   * @returns {Array<Object>} - { version, name, sql, checksum }
+   */
+  _loadRepeatables() {
+    return REPEATABLE_FILES.map(file => {
+      const sql = fs.readFileSync(file, 'utf8');
+      const name = path.basename(file, '.sql');
+
+      return { version: `R:${name}`, name, sql, checksum: this._checksum(sql) };
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} sql - SQL 본문
+   * @returns {string} - SHA-256 (줄바꿈 차이는 무시)
+   */
+  _checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  /**
+   * 잠금을 잡은 연결에서 작업 실행 (적용 이력 테이블이 없으면 생성)
+   * - 잠금 대기와 오래 걸리는 DDL이 취소되지 않도록 이 연결에서는 statement_timeout 해제
+   * @private
+   * @param {Function} callback - (t) => Promise
+   * @returns {Promise<*>} - callback 결과
+   */
+  async _withLock(callback) {
+    return db.task('schema-migration', async t => {
+      await t.none('SET statement_timeout = 0');
+      await t.none('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+      try {
+        await t.none(`
+          CREATE TABLE IF NOT EXISTS public.schema_migrations (
+            version VARCHAR(100) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            kind VARCHAR(20) NOT NULL DEFAULT 'versioned',
+            checksum CHAR(64) NOT NULL,
+            execution_ms INTEGER,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        return await callback(t);
+      } finally {
+        await t.none('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+        await t.none('RESET statement_timeout');
+      }
+    });
+  }
+
+  /**
+   * 적용된 파일의 내용이 바뀌었는지 확인 (적용 후 수정된 마이그레이션은 실행하지 않음)
+   * @private
+   * @param {Array<Object>} migrations - 버전 마이그레이션 목록
+   * @param {Map} applied - 버전 -> 적용 이력
+   */
+  _verifyChecksums(migrations, applied) {
+    const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+
+    if (changed.length > 0) {
+      throw new Error(`적용 후 내용이 바뀐 마이그레이션: ${changed.map(m => m.file).join(', ')} (새 마이그레이션 파일로 변경해야 함)`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} t - 잠금을 잡은 연결
+   * @returns {Promise<Map>} - 버전 -> 적용 이력
+   */
+  async _getApplied(t) {
+    const rows = await t.any('SELECT version, name, kind, checksum, execution_ms, applied_at FROM public.schema_migrations');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * 마이그레이션 적용 상태 조회
+   * @returns {Promise<Array>} - [{ version, name, kind, state: applied | pending | changed, appliedAt }]
+   */
+  async status() {
+    return this._withLock(async t => {
+      const applied = await this._getApplied(t);
+      const describe = (m, kind) => {
+        const record = applied.get(m.version);
+        const state = !record ? 'pending' : record.checksum === m.checksum ? 'applied' : 'changed';
+        return { version: m.version, name: m.name, kind, state, appliedAt: record ? record.applied_at : null };
+      };
+
+      return [
+        ...this._loadMigrations().map(m => describe(m, 'versioned')),
+        ...this._loadRepeatables().map(m => describe(m, 'repeatable'))
+      ];
+    });
+  }
+
+  /**
+   * 대기 중인 마이그레이션 적용 (각 파일은 트랜잭션 하나로 실행)
+   * @param {Object} options - 옵션
+   * @param {string} [options.to] - 이 버전까지만 적용 (생략하면 전부, 반복 마이그레이션은 전부 적용된 경우에만)
+   * @returns {Promise<Array<string>>} - 적용한 파일 이름 배열
+   */
+  async up({ to = null } = {}) {
+    return this._withLock(async t => {
+      const migrations = this._loadMigrations();
+      const applied = await this._getApplied(t);
+      this._verifyChecksums(migrations, applied);
+
+      const pending = migrations.filter(m => !applied.has(m.version) && (to === null || Number(m.version) <= Number(to)));
+      const done = [];
+
+      for (const migration of pending) {
+        await this._apply(t, migration, 'versioned');
+        done.push(migration.file);
+      }
+
+      const remaining = migrations.filter(m => !applied.has(m.version) && !pending.includes(m));
+      if (remaining.length === 0) {
+        for (const repeatable of this._loadRepeatables()) {
+          const record = applied.get(repeatable.version);
+          if (!record || record.checksum !== repeatable.checksum) {
+            await this._apply(t, repeatable, 'repeatable');
+            done.push(`${repeatable.name}.sql`);
+          }
+        }
+      }
+
+      logger.info(done.length > 0 ? `마이그레이션 ${done.length}개 적용 완료: ${done.join(', ')}` : '적용할 마이그레이션 없음');
+      return done;
+    });
+  }
+
+  /**
+   * 마지막으로 적용된 버전 마이그레이션 되돌리기 (최신 버전부터)
+   * - 기준 스키마(000, 001)까지 되돌리려 하거나 되돌리기 파일이 없으면 아무것도 되돌리지 않고 중단
+   * @param {Object} options - 옵션
+   * @param {number} [options.steps=1] - 되돌릴 마이그레이션 수
+   * @returns {Promise<Array<string>>} - 되돌린 파일 이름 배열
+   */
+  async down({ steps = 1 } = {}) {
+    return this._withLock(async t => {
+      const migrations = this._loadMigrations();
+      const applied = await this._getApplied(t);
+      const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+      const blocked = targets.find(m => Number(m.version) <= BASELINE_VERSION);
+      const missing = targets.find(m => !m.downFile);
+      const done = [];
+
+      if (blocked) {
+        throw new Error(`기준 스키마 마이그레이션은 되돌릴 수 없음: ${blocked.file} (운영 TOMS 테이블 삭제 방지)`);
+      }
+      if (missing) {
+        throw new Error(`되돌리기 파일 없음: ${missing.version}_${missing.name}.down.sql`);
+      }
+
+      for (const migration of targets) {
+        const sql = fs.readFileSync(migration.downFile, 'utf8');
+        const started = Date.now();
+
+        await t.tx(`migrate-down-${migration.version}`, async tx => {
+          await tx.none(sql);
+          await tx.none('DELETE FROM public.schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        logger.info(`마이그레이션 되돌림: ${migration.file} (${Date.now() - started}ms)`);
+        done.push(migration.file);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * 마이그레이션 1개 적용 및 이력 기록
+   * @private
+   * @param {Object} t - 잠금을 잡은 연결
+   * @param {Object} migration - { version, name, sql, checksum }
+   * @param {string} kind - versioned | repeatable
+   */
+  async _apply(t, migration, kind) {
+    const started = Date.now();
+
+    await t.tx(`migrate-${migration.version}`, async tx => {
+      await tx.none(migration.sql);
+      await tx.none(`
+        INSERT INTO public.schema_migrations (version, name, kind, checksum, execution_ms)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (version) DO UPDATE SET
+          checksum = EXCLUDED.checksum,
+          execution_ms = EXCLUDED.execution_ms,
+          applied_at = CURRENT_TIMESTAMP
+      `, [migration.version, migration.name, kind, migration.checksum, Date.now() - started]);
+    });
+
+    logger.info(`마이그레이션 적용: ${migration.version} ${migration.name} (${Date.now() - started}ms)`);
+  }
+}
+
+module.exports = new Migrator();
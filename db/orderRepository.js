@@ -1,83 +1,163 @@
+const crypto = require('crypto');
 const db = require('./db');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const orderTrace = require('../utils/orderTrace');
+const orderStatusRepository = require('./orderStatusRepository');
+const { SORT_FIELDS, encodeCursor } = require('../utils/orderQuery');
+
+const pgp = db.$config.pgp;
+
+// 현재 시각 컬럼 (값 대신 CURRENT_TIMESTAMP 사용)
+const now = name => ({ name, mod: ':raw', init: () => 'CURRENT_TIMESTAMP' });
+
+// 단건/일괄 저장 공통 컬럼 정의
+const orderColumns = new pgp.helpers.ColumnSet([
+  'id', 'platform', 'order_num', 'status', 'action_status', 'other_status',
+  'country_code', 'currency', 'order_date', 'pay_date', 'day_to_ship',
+  'price', 'company_id', 'shop_id', 'export_declaration_no', 'simple_memo',
+  now('created_at'), now('updated_at'), 'arrange_shipment_at', 'print_at',
+  'cancel_by', 'cancel_reason', 'fulfillment_flag', 'message_to_seller',
+  'content_hash', { name: 'content_snapshot', mod: ':json' }, { name: 'changed_fields', mod: ':json' }, now('content_changed_at'),
+  'buyer_user_id', 'buyer_username'
+], { table: { table: 'toms_shopee_order', schema: 'public' } });
+
+const logisticColumns = new pgp.helpers.ColumnSet([
+  'id', 'name', 'tracking_no', 'estimated_shipping_fee', 'actual_shipping_cost',
+  'platform', 'toms_order_id', 'package_number', 'logistics_status', now('created_at'), now('updated_at')
+], { table: { table: 'toms_shopee_logistic', schema: 'public' } });
+
+const itemColumns = new pgp.helpers.ColumnSet([
+  'id', 'platform_item_id', 'variation_sku', 'promo_variation_sku', 'name',
+  'option', 'price', 'original_price', 'qty', 'weight', 'index',
+  'platform', 'tracking_no', 'toms_order_id', 'toms_logistic_id', 'toms_item_id',
+  'company_id', now('created_at'), now('updated_at'), 'image_url', 'platform_model_id', 'line_key'
+], { table: { table: 'toms_shopee_order_item', schema: 'public' } });
+
+// 아이템 갱신용 (일괄 갱신은 VALUES 목록을 쓰므로 타입 지정 필요)
+const itemUpdateColumns = new pgp.helpers.ColumnSet([
+  { name: 'id', cnd: true, cast: 'uuid' },
+  'platform_item_id', 'variation_sku', 'name', 'option',
+  { name: 'price', cast: 'numeric' },
+  { name: 'original_price', cast: 'numeric' },
+  { name: 'qty', cast: 'int' },
+  { name: 'weight', cast: 'numeric' },
+  { name: 'index', cast: 'int' },
+  'tracking_no',
+  { name: 'toms_logistic_id', cast: 'uuid' },
+  { name: 'toms_item_id', cast: 'uuid' },
+  'image_url', 'platform_model_id', 'line_key',
+  { name: 'deleted_at', cast: 'timestamp', init: () => null },
+  { name: 'updated_at', cast: 'timestamp', mod: ':raw', init: () => 'CURRENT_TIMESTAMP' }
+], { table: { table: 'toms_shopee_order_item', schema: 'public' } });
+
+const tomsItemColumns = new pgp.helpers.ColumnSet([
+  'id', 'company_id', 'platform', 'platform_item_id', 'platform_model_id',
+  'sku', 'name', 'option', 'image_url', now('created_at'), now('updated_at')
+], { table: { table: 'toms_shopee_item', schema: 'public' } });
+
+// 자연키(플랫폼 + 샵 + 주문번호) 기준 - 여러 워커가 같은 주문을 동시에 저장해도 한 행만 생성
+const ORDER_CONFLICT_UPDATE = `
+  ON CONFLICT (platform, shop_id, order_num) DO UPDATE SET
+    status = EXCLUDED.status,
+    action_status = EXCLUDED.action_status,
+    other_status = EXCLUDED.other_status,
+    day_to_ship = EXCLUDED.day_to_ship,
+    price = EXCLUDED.price,
+    updated_at = CURRENT_TIMESTAMP,
+    arrange_shipment_at = EXCLUDED.arrange_shipment_at,
+    print_at = EXCLUDED.print_at,
+    cancel_by = EXCLUDED.cancel_by,
+    cancel_reason = EXCLUDED.cancel_reason,
+    fulfillment_flag = EXCLUDED.fulfillment_flag,
+    message_to_seller = EXCLUDED.message_to_seller,
+    buyer_user_id = COALESCE(EXCLUDED.buyer_user_id, toms_shopee_order.buyer_user_id),
+    buyer_username = COALESCE(EXCLUDED.buyer_username, toms_shopee_order.buyer_username),
+    content_hash = EXCLUDED.content_hash,
+    content_snapshot = EXCLUDED.content_snapshot,
+    changed_fields = EXCLUDED.changed_fields,
+    content_changed_at = CURRENT_TIMESTAMP`;
+
+const LOGISTIC_CONFLICT_UPDATE = `
+  ON CONFLICT (toms_order_id, package_number) DO UPDATE SET
+    name = COALESCE(NULLIF(EXCLUDED.name, ''), NULLIF(toms_shopee_logistic.name, ''), EXCLUDED.name),
+    tracking_no = COALESCE(NULLIF(EXCLUDED.tracking_no, ''), NULLIF(toms_shopee_logistic.tracking_no, ''), EXCLUDED.tracking_no),
+    estimated_shipping_fee = COALESCE(EXCLUDED.estimated_shipping_fee, toms_shopee_logistic.estimated_shipping_fee),
+    actual_shipping_cost = COALESCE(EXCLUDED.actual_shipping_cost, toms_shopee_logistic.actual_shipping_cost),
+    logistics_status = COALESCE(EXCLUDED.logistics_status, toms_shopee_logistic.logistics_status),
+    updated_at = CURRENT_TIMESTAMP`;
+
+const TOMS_ITEM_CONFLICT_UPDATE = `
+  ON CONFLICT (company_id, platform, platform_item_id, platform_model_id) DO UPDATE SET
+    sku = EXCLUDED.sku,
+    name = EXCLUDED.name,
+    option = EXCLUDED.option,
+    image_url = COALESCE(EXCLUDED.image_url, toms_shopee_item.image_url),
+    updated_at = CURRENT_TIMESTAMP`;
 
 class OrderRepository {
   /**
    * 주문 정보 저장 (중복인 경우 업데이트)
+   * - 저장 대상 필드의 해시가 저장된 값과 같으면 아무것도 쓰지 않음 (updated_at, 아이템 유지)
+   * - 바뀐 경우 바뀐 필드 목록을 주문에 기록
    * @param {Object} orderData - 주문 데이터
    * @param {string} companyId - 회사 ID
    * @param {string} shopId - 샵 ID
    * @param {Object} tx - 트랜잭션 객체 (선택적)
-   * @returns {Promise<Object>} - 저장된 주문 정보
+   * @param {string} source - 주문 정보를 받은 경로 (poll, push, manual, backfill - 상태 변경 이력에 기록)
+   * @returns {Promise<Object>} - 저장된 주문 정보 ({ orderId, success, change: new | changed | unchanged, changedFields })
    */
-  async upsertOrder(orderData, companyId, shopId, tx) {
+  async upsertOrder(orderData, companyId, shopId, tx, source = 'poll') {
     // 트랜잭션 객체 또는 db 사용
     const dbOrTx = tx || db;
     
     try {
       logger.debug(`주문 저장 시작 - 주문번호: ${orderData.order_sn}, 아이템 수: ${orderData.items ? orderData.items.length : 0}`);
       
+      // 이미 주문이 존재하는지 확인 (상태 변경 비교용 현재 상태와 변경 감지용 스냅샷 포함)
+      const existingOrder = await dbOrTx.oneOrNone(
+        `SELECT id, status, action_status, content_hash, content_snapshot 
+         FROM public.toms_shopee_order 
+         WHERE order_num = $1 AND platform = 'shopee' AND shop_id = $2`,
+        [orderData.order_sn, String(shopId)]
+      );
+      
+      // 변경 감지 - 내용이 같으면 저장 생략
+      const content = await this._detectChange(orderData, existingOrder);
+      if (content.unchanged) {
+        return { orderId: existingOrder.id, success: true, change: 'unchanged', changedFields: [] };
+      }
+      const { changedFields } = content;
+      
       // 주문 기본 정보 저장 (UPSERT)
-      const orderId = await this._upsertOrderBasic(orderData, companyId, shopId, dbOrTx);
+      const orderId = await this._upsertOrderBasic(orderData, companyId, shopId, dbOrTx, source, existingOrder, content);
+      const { items, shipping, ...orderFields } = orderData;
+      await orderTrace.trace(orderData.order_sn, 'db:order', { orderId, companyId, shopId, order: orderFields, changedFields });
       
-      // 주문 배송 정보 저장
-      let logisticId = null;
-      if (orderData.shipping) {
-        logisticId = await this._upsertLogistic(orderData.shipping, orderId, dbOrTx);
-        logger.debug(`주문 배송 정보 저장 완료 - 주문번호: ${orderData.order_sn}, 물류 ID: ${logisticId}`);
-        
-        // 배송 이력 정보 저장
-        if (orderData.shipping.histories && orderData.shipping.histories.length > 0) {
-          await this._upsertLogisticHistories(orderData.shipping.histories, logisticId, dbOrTx);
-        }
-      } else {
-        // 배송 정보가 없는 경우 기본 배송 정보 생성
-        logger.debug(`주문 ${orderData.order_sn}에 배송 정보 없음, 기본 배송 정보 생성`);
-        
-        // 먼저 이미 존재하는 물류 정보가 있는지 확인
-        try {
-          const existingLogistic = await dbOrTx.oneOrNone(`
-            SELECT id FROM public.toms_shopee_logistic 
-            WHERE toms_order_id = $1
-          `, [orderId]);
-          
-          if (existingLogistic) {
-            // 이미 존재하면 ID 반환
-            logisticId = existingLogistic.id;
-            logger.debug(`주문 ${orderData.order_sn}에 이미 물류 정보 존재함 - 물류 ID: ${logisticId}`);
-          } else {
-            // 존재하지 않으면 새로 생성
-            const tempLogisticId = uuidv4();
-            const result = await dbOrTx.one(`
-              INSERT INTO public.toms_shopee_logistic (
-                id, platform, toms_order_id, created_at, updated_at
-              ) VALUES (
-                $1, 'shopee', $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-              )
-              RETURNING id
-            `, [tempLogisticId, orderId]);
-            
-            logisticId = result.id;
-            logger.debug(`주문 ${orderData.order_sn}에 기본 배송 정보 생성 완료 - 물류 ID: ${logisticId}`);
-          }
-        } catch (err) {
-          logger.error(`기본 배송 정보 생성/조회 실패:`, err);
-          throw new Error(`배송 정보 생성/조회 실패: ${err.message}`);
-        }
+      // 주문 배송 정보 저장 (패키지별 물류 1건, 패키지 정보가 없으면 주문 단위 물류 1건)
+      const logistics = await this._upsertLogistics(orderData.shipping, orderId, dbOrTx);
+      await orderTrace.trace(orderData.order_sn, 'db:logistic', { orderId, logistics, shipping: shipping || null });
+      logger.debug(`주문 배송 정보 저장 완료 - 주문번호: ${orderData.order_sn}, 패키지 수: ${logistics.length}`);
+      
+      // 배송 이력 정보 저장 (주문 단위 이력은 대표 패키지에 연결)
+      if (orderData.shipping && orderData.shipping.histories && orderData.shipping.histories.length > 0) {
+        await this.upsertLogisticHistories(orderData.shipping.histories, logistics[0].id, dbOrTx);
+        await orderTrace.trace(orderData.order_sn, 'db:logistic-histories', { logisticId: logistics[0].id, histories: shipping.histories });
       }
       
       // 주문 아이템 정보 저장
       if (orderData.items && orderData.items.length > 0) {
         logger.debug(`주문 아이템 저장 시작 - 주문번호: ${orderData.order_sn}, 아이템 수: ${orderData.items.length}`);
-        await this._upsertOrderItems(orderData.items, orderId, companyId, dbOrTx);
+        await this._upsertOrderItems(orderData.items, orderId, companyId, logistics, dbOrTx);
+        await orderTrace.trace(orderData.order_sn, 'db:order-items', { orderId, items });
         logger.debug(`주문 아이템 저장 완료 - 주문번호: ${orderData.order_sn}`);
       } else {
         logger.warn(`주문 ${orderData.order_sn}에 아이템 정보 없음`);
       }
       
-      return { orderId, success: true };
+      return { orderId, success: true, change: existingOrder ? 'changed' : 'new', changedFields: changedFields || [] };
     } catch (error) {
+      await orderTrace.trace(orderData.order_sn, 'db:error', { message: error.message, stack: error.stack });
       logger.error('주문 정보 저장 실패:', {
         message: error.message,
         orderNum: orderData.order_sn || 'unknown',
@@ -92,108 +172,382 @@ class OrderRepository {
   }
   
   /**
-   * 주문 기본 정보 저장
+   * 주문 일괄 저장 (주문 상세 배치 단위)
+   * - 주문/물류/아이템을 테이블별 다중 행 INSERT ... ON CONFLICT로 저장하여 왕복 횟수를 줄임
+   * - 일괄 저장이 실패하면 주문마다 세이브포인트 안에서 단건 저장으로 다시 시도하여 실패한 주문만 제외
+   * @param {Array<Object>} orders - 주문 데이터 배열 (upsertOrder와 같은 형식)
+   * @param {string} companyId - 회사 ID
+   * @param {string} shopId - 샵 ID
+   * @param {string} source - 주문 정보를 받은 경로 (poll, push, manual, backfill - 상태 변경 이력에 기록)
+   * @returns {Promise<Object>} - 저장 결과 ({ results: [{ orderSn, orderId, success, change, changedFields, error }], failedOrderSns })
+   */
+  async upsertOrders(orders, companyId, shopId, source = 'poll') {
+    // 같은 주문번호가 여러 번 들어오면 마지막 데이터만 저장
+    const orderMap = new Map(orders.map(orderData => [orderData.order_sn, orderData]));
+    const resultMap = new Map();
+    
+    await db.tx('save-orders-bulk-tx', async t => {
+      const existingRows = await t.any(
+        `SELECT id, order_num, status, action_status, content_hash, content_snapshot 
+         FROM public.toms_shopee_order 
+         WHERE order_num = ANY($1) AND platform = 'shopee' AND shop_id = $2`,
+        [Array.from(orderMap.keys()), String(shopId)]
+      );
+      const existingMap = new Map(existingRows.map(row => [row.order_num, row]));
+      
+      // 변경 감지 - 내용이 같은 주문은 저장 대상에서 제외
+      const plans = [];
+      for (const [orderSn, orderData] of orderMap) {
+        const existingOrder = existingMap.get(orderSn) || null;
+        const content = await this._detectChange(orderData, existingOrder);
+        
+        if (content.unchanged) {
+          resultMap.set(orderSn, { orderSn, orderId: existingOrder.id, success: true, change: 'unchanged', changedFields: [] });
+          continue;
+        }
+        
+        plans.push({
+          orderData,
+          existingOrder,
+          content,
+          orderId: existingOrder ? existingOrder.id : uuidv4()
+        });
+      }
+      
+      if (plans.length === 0) {
+        return;
+      }
+      
+      try {
+        await t.tx('save-orders-bulk-sp', sp => this._writeOrdersBulk(plans, companyId, shopId, source, sp));
+        
+        plans.forEach(plan => resultMap.set(plan.orderData.order_sn, {
+          orderSn: plan.orderData.order_sn,
+          orderId: plan.orderId,
+          success: true,
+          change: plan.existingOrder ? 'changed' : 'new',
+          changedFields: plan.content.changedFields || []
+        }));
+      } catch (bulkError) {
+        logger.warn(`주문 ${plans.length}개 일괄 저장 실패, 주문별로 다시 저장합니다: ${bulkError.message}`);
+        
+        // 주문마다 세이브포인트 - 실패한 주문만 롤백
+        for (const plan of plans) {
+          const orderSn = plan.orderData.order_sn;
+          try {
+            const saved = await t.tx('save-order-sp', sp => this.upsertOrder(plan.orderData, companyId, shopId, sp, source));
+            resultMap.set(orderSn, { orderSn, ...saved });
+          } catch (orderError) {
+            resultMap.set(orderSn, { orderSn, success: false, error: orderError.message });
+          }
+        }
+      }
+    });
+    
+    const results = Array.from(orderMap.keys()).map(orderSn => resultMap.get(orderSn));
+    const failedOrderSns = results.filter(result => !result.success).map(result => result.orderSn);
+    
+    logger.info(`주문 일괄 저장 완료 - 샵 ID: ${shopId}, 주문: ${results.length}개, 실패: ${failedOrderSns.length}개`);
+    
+    return { results, failedOrderSns };
+  }
+  
+  /**
+   * 변경 감지 (저장된 스냅샷 해시와 비교)
+   * - 함께 저장할 배송 이력이 있으면 내용이 같아도 저장
+   * - 송장번호 저장 등 해시를 거치지 않고 바뀐 상태(status, action_status)가 쇼피 값과 다르면 내용이 같아도 저장
    * @private
    * @param {Object} orderData - 주문 데이터
-   * @param {string} companyId - 회사 ID 
+   * @param {Object|null} existingOrder - 저장된 주문 ({ id, status, action_status, content_hash, content_snapshot }, 새 주문이면 null)
+   * @returns {Promise<Object>} - 변경 감지 결과 ({ unchanged, contentHash, snapshot, changedFields })
+   */
+  async _detectChange(orderData, existingOrder) {
+    const snapshot = this._buildContentSnapshot(orderData);
+    const contentHash = crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+    const hasHistories = !!(orderData.shipping && orderData.shipping.histories && orderData.shipping.histories.length > 0);
+    
+    const statusMatches = !!existingOrder && existingOrder.status === orderData.order_status
+      && existingOrder.action_status === this._mapActionStatus(orderData.order_status);
+    
+    if (existingOrder && existingOrder.content_hash === contentHash && !hasHistories && statusMatches) {
+      await orderTrace.trace(orderData.order_sn, 'db:unchanged', { orderId: existingOrder.id, contentHash });
+      logger.debug(`주문 ${orderData.order_sn} 변경 없음 - 저장 생략`);
+      return { unchanged: true, contentHash, snapshot, changedFields: [] };
+    }
+    
+    const changedFields = existingOrder ? this._diffContentSnapshot(existingOrder.content_snapshot, snapshot) : null;
+    if (changedFields) {
+      logger.info(`주문 ${orderData.order_sn} 변경 필드: ${changedFields.join(', ')}`);
+    }
+    
+    return { unchanged: false, contentHash, snapshot, changedFields };
+  }
+  
+  /**
+   * 주문 배치를 테이블별 다중 행 쿼리로 저장
+   * @private
+   * @param {Array<Object>} plans - 저장할 주문 ({ orderData, existingOrder, content, orderId })
+   * @param {string} companyId - 회사 ID
    * @param {string} shopId - 샵 ID
-   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
-   * @returns {Promise<string>} - 저장된 주문 ID
+   * @param {string} source - 주문 정보를 받은 경로
+   * @param {Object} t - 트랜잭션 객체 (세이브포인트)
    */
-  async _upsertOrderBasic(orderData, companyId, shopId, dbOrTx) {
-    // 이미 주문이 존재하는지 확인
-    const existingOrder = await dbOrTx.oneOrNone(
-      `SELECT id FROM public.toms_shopee_order WHERE order_num = $1 AND platform = 'shopee'`,
-      [orderData.order_sn]
+  async _writeOrdersBulk(plans, companyId, shopId, source, t) {
+    // 1. 주문 기본 정보
+    const orderRows = plans.map(plan => this._buildOrderRow(plan.orderData, plan.orderId, companyId, shopId, plan.content));
+    const savedOrders = await t.any(pgp.helpers.insert(orderRows, orderColumns) + ORDER_CONFLICT_UPDATE + ' RETURNING id, order_num');
+    
+    // 동시에 다른 워커가 먼저 저장한 주문은 그 주문 ID를 사용
+    const savedOrderIds = new Map(savedOrders.map(row => [row.order_num, row.id]));
+    plans.forEach(plan => {
+      plan.orderId = savedOrderIds.get(plan.orderData.order_sn);
+    });
+    
+    // 2. 상태 변경 이력
+    const statusChanges = plans
+      .map((plan, i) => ({ plan, row: orderRows[i] }))
+      .filter(({ plan, row }) => !plan.existingOrder
+        || plan.existingOrder.status !== row.status
+        || plan.existingOrder.action_status !== row.action_status)
+      .map(({ plan, row }) => ({
+        orderId: plan.orderId,
+        orderNum: row.order_num,
+        shopId,
+        fromStatus: plan.existingOrder ? plan.existingOrder.status : null,
+        toStatus: row.status,
+        fromActionStatus: plan.existingOrder ? plan.existingOrder.action_status : null,
+        toActionStatus: row.action_status,
+        source,
+        changedAt: plan.orderData.update_time ? new Date(plan.orderData.update_time * 1000) : null
+      }));
+    await orderStatusRepository.recordStatusChanges(statusChanges, t);
+    
+    // 3. 패키지별 물류 정보 (패키지 정보가 처음 들어온 주문은 기존 주문 단위 물류를 첫 패키지로 전환)
+    plans.forEach(plan => {
+      plan.logisticRows = this._buildLogisticRows(plan.orderData.shipping)
+        .map(logisticData => this._buildLogisticRow(logisticData, plan.orderId));
+    });
+    
+    const adoptRows = plans
+      .filter(plan => plan.logisticRows[0].package_number)
+      .map(plan => ({ toms_order_id: plan.orderId, package_number: plan.logisticRows[0].package_number }));
+    
+    if (adoptRows.length > 0) {
+      await t.none(`
+        UPDATE public.toms_shopee_logistic l SET
+          package_number = v.package_number,
+          updated_at = CURRENT_TIMESTAMP
+        FROM (VALUES ${pgp.helpers.values(adoptRows, ['toms_order_id', 'package_number'])}) AS v(toms_order_id, package_number)
+        WHERE l.toms_order_id = v.toms_order_id::uuid
+        AND l.package_number = ''
+        AND NOT EXISTS (
+          SELECT 1 FROM public.toms_shopee_logistic x
+          WHERE x.toms_order_id = l.toms_order_id AND x.package_number <> ''
+        )
+      `);
+    }
+    
+    const savedLogistics = await t.any(
+      pgp.helpers.insert(plans.flatMap(plan => plan.logisticRows), logisticColumns)
+      + LOGISTIC_CONFLICT_UPDATE
+      + ' RETURNING id, toms_order_id, package_number, tracking_no'
     );
     
-    const orderId = existingOrder ? existingOrder.id : uuidv4();
+    for (const plan of plans) {
+      const { orderData } = plan;
+      plan.logistics = plan.logisticRows.map(row => {
+        const saved = savedLogistics.find(l => l.toms_order_id === plan.orderId && l.package_number === row.package_number);
+        return { id: saved.id, package_number: saved.package_number, tracking_no: saved.tracking_no };
+      });
+      
+      const { items, shipping, ...orderFields } = orderData;
+      await orderTrace.trace(orderData.order_sn, 'db:order', { orderId: plan.orderId, companyId, shopId, order: orderFields, changedFields: plan.content.changedFields, bulk: true });
+      await orderTrace.trace(orderData.order_sn, 'db:logistic', { orderId: plan.orderId, logistics: plan.logistics, shipping: shipping || null });
+      
+      // 4. 배송 이력 (함께 들어온 경우만, 주문 단위 이력은 대표 패키지에 연결)
+      if (shipping && shipping.histories && shipping.histories.length > 0) {
+        await this.upsertLogisticHistories(shipping.histories, plan.logistics[0].id, t);
+        await orderTrace.trace(orderData.order_sn, 'db:logistic-histories', { logisticId: plan.logistics[0].id, histories: shipping.histories });
+      }
+    }
     
-    // action_status 매핑 (C# enum ETomsOrderActionStatus에 해당)
-    // 기본값은 'ORDER'로 설정 (접수 상태)
-    let actionStatus = 'ORDER';
+    // 5. 주문 아이템 (상품 레코드 연결 후 라인 고유키 기준으로 갱신/추가/소프트 삭제)
+    const existingItems = await t.any(
+      `SELECT id, toms_order_id, line_key, platform_item_id, index, deleted_at, tracking_no
+       FROM public.toms_shopee_order_item
+       WHERE toms_order_id = ANY($1::uuid[])`,
+      [plans.map(plan => plan.orderId)]
+    );
     
-    // fulfillment_flag 매핑 (C# enum EShopeeFulfillmentFlag에 해당)
-    // 기본값은 'SELLER'로 설정 (fulfilled_by_cb_seller)
-    let fulfillmentFlag = 'SELLER';
+    // 상품 레코드 (같은 상품은 한 번만 - 한 문장 안에서 같은 행을 두 번 갱신할 수 없음)
+    const tomsItemRows = new Map();
+    plans.forEach(plan => (plan.orderData.items || []).forEach(item => {
+      const row = this._buildTomsItemRow(item, companyId);
+      tomsItemRows.set(`${row.platform_item_id}:${row.platform_model_id}`, row);
+    }));
     
-    // order_status에 따라 action_status 결정
-    if (orderData.order_status === 'READY_TO_SHIP') {
-      actionStatus = 'READY_TO_PRINT';
-    } else if (orderData.order_status === 'SHIPPED') {
-      actionStatus = 'EXPORTED';
-    } else if (orderData.order_status === 'CANCELLED') {
-      actionStatus = 'REQUEST_CANCEL';
+    const tomsItemIds = new Map();
+    if (tomsItemRows.size > 0) {
+      const savedTomsItems = await t.any(
+        pgp.helpers.insert(Array.from(tomsItemRows.values()), tomsItemColumns)
+        + TOMS_ITEM_CONFLICT_UPDATE
+        + ' RETURNING id, platform_item_id, platform_model_id'
+      );
+      savedTomsItems.forEach(row => tomsItemIds.set(`${row.platform_item_id}:${row.platform_model_id}`, row.id));
     }
     
-    // other_status 매핑 (C# enum ETomsOrderOtherStatus에 해당)
-    // 기본값은 'NONE'
-    const otherStatus = 'NONE';
+    const insertRows = [];
+    const updateRows = [];
+    const removedIds = [];
     
-    // fulfillment_flag 매핑 - 데이터베이스에 저장할 열거형 값으로 변환
-    if (orderData.fulfillment_flag === 'fulfilled_by_cb_seller') {
-      fulfillmentFlag = 'SELLER';
-    } else if (orderData.fulfillment_flag === 'fulfilled_by_shopee') {
-      fulfillmentFlag = 'SHOPEE';
+    for (const plan of plans) {
+      const items = plan.orderData.items || [];
+      const { lines, removed } = this._planOrderItems(
+        items,
+        existingItems.filter(row => row.toms_order_id === plan.orderId),
+        plan.logistics
+      );
+      
+      lines.forEach(line => {
+        const { platform_item_id: itemId, platform_model_id: modelId } = this._buildTomsItemRow(line.item, companyId);
+        const row = this._buildOrderItemRow(line, plan.orderId, companyId, tomsItemIds.get(`${itemId}:${modelId}`));
+        (line.existing ? updateRows : insertRows).push(row);
+      });
+      removedIds.push(...removed);
+      
+      if (items.length > 0) {
+        await orderTrace.trace(plan.orderData.order_sn, 'db:order-items', { orderId: plan.orderId, items });
+      } else {
+        logger.warn(`주문 ${plan.orderData.order_sn}에 아이템 정보 없음`);
+      }
     }
     
-    const query = `
-      INSERT INTO public.toms_shopee_order (
-        id, platform, order_num, status, action_status, other_status,
-        country_code, currency, order_date, pay_date, day_to_ship,
-        price, company_id, shop_id, export_declaration_no, simple_memo,
-        created_at, updated_at, arrange_shipment_at, print_at,
-        cancel_by, cancel_reason, fulfillment_flag, message_to_seller
-      ) VALUES (
-        $1, 'shopee', $2, $3, $4, $5, 
-        $6, $7, $8, $9, $10, 
-        $11, $12, $13, $14, $15,
-        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $16, $17,
-        $18, $19, $20, $21
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        status = $3,
-        action_status = $4,
-        other_status = $5,
-        day_to_ship = $10,
-        price = $11,
-        updated_at = CURRENT_TIMESTAMP,
-        arrange_shipment_at = $16,
-        print_at = $17,
-        cancel_by = $18,
-        cancel_reason = $19,
-        fulfillment_flag = $20,
-        message_to_seller = $21
-      RETURNING id
-    `;
+    if (updateRows.length > 0) {
+      await t.none(pgp.helpers.update(updateRows, itemUpdateColumns) + ' WHERE v.id = t.id');
+    }
+    if (insertRows.length > 0) {
+      await t.none(pgp.helpers.insert(insertRows, itemColumns));
+    }
+    if (removedIds.length > 0) {
+      await this._softDeleteOrderItems(removedIds, t);
+    }
     
-    const params = [
-      orderId,
-      orderData.order_sn,
-      orderData.order_status,
-      actionStatus, // action_status
-      otherStatus, // other_status
-      orderData.region || 'KR',
-      orderData.currency || 'KRW',
-      orderData.create_time ? new Date(orderData.create_time * 1000) : null,
-      orderData.pay_time ? new Date(orderData.pay_time * 1000) : null,
-      orderData.ship_by_date ? new Date(orderData.ship_by_date * 1000) : null,
-      parseFloat(orderData.total_amount || 0),
-      companyId,
-      shopId,
-      null, // export_declaration_no
-      null, // simple_memo
-      null, // arrange_shipment_at
-      null, // print_at
-      orderData.cancel_by || null,
-      orderData.cancel_reason || null,
-      fulfillmentFlag, // fulfillment_flag
-      orderData.message_to_seller || null
-    ];
+    logger.debug(`주문 ${plans.length}개 일괄 저장 - 물류: ${savedLogistics.length}개, 아이템 갱신: ${updateRows.length}개, 추가: ${insertRows.length}개, 삭제: ${removedIds.length}개`);
+  }
+  
+  /**
+   * 변경 감지용 정규화 스냅샷 (이 저장소가 저장하는 필드만, 키 순서 고정)
+   * @private
+   * @param {Object} orderData - 주문 데이터 (shipping, items 포함)
+   * @returns {Object} - 스냅샷
+   */
+  _buildContentSnapshot(orderData) {
+    const shipping = orderData.shipping || {};
+    
+    return {
+      status: orderData.order_status || null,
+      region: orderData.region || null,
+      currency: orderData.currency || null,
+      create_time: orderData.create_time || null,
+      pay_time: orderData.pay_time || null,
+      ship_by_date: orderData.ship_by_date || null,
+      total_amount: parseFloat(orderData.total_amount || 0),
+      cancel_by: orderData.cancel_by || null,
+      cancel_reason: orderData.cancel_reason || null,
+      fulfillment_flag: orderData.fulfillment_flag || null,
+      message_to_seller: orderData.message_to_seller || null,
+      buyer_user_id: orderData.buyer_user_id ? orderData.buyer_user_id.toString() : null,
+      buyer_username: orderData.buyer_username || null,
+      shipping: {
+        carrier: shipping.shipping_carrier_name || shipping.shipping_carrier || null,
+        tracking_number: shipping.tracking_number || null,
+        estimated_shipping_fee: parseFloat(shipping.estimated_shipping_fee || 0),
+        actual_shipping_cost: parseFloat(shipping.actual_shipping_cost || 0),
+        packages: (shipping.packages || []).map(pkg => ({
+          package_number: pkg.package_number || null,
+          shipping_carrier: pkg.shipping_carrier || null,
+          logistics_status: pkg.logistics_status || null
+        }))
+      },
+      items: (orderData.items || []).map(item => ({
+        item_id: item.item_id ? item.item_id.toString() : null,
+        model_id: item.model_id ? item.model_id.toString() : null,
+        item_sku: item.item_sku || null,
+        item_name: item.item_name || null,
+        variation_name: item.variation_name || null,
+        price: parseFloat(item.model_discounted_price || 0),
+        original_price: parseFloat(item.model_original_price || 0),
+        quantity: parseInt(item.model_quantity_purchased || 1),
+        weight: parseFloat(item.weight || 0),
+        image_url: item.image_url || null,
+        package_number: item.package_number || null
+      }))
+    };
+  }
+  
+  /**
+   * 스냅샷 비교 - 바뀐 필드 이름 목록 (shipping, items는 하위 필드까지 표시)
+   * @private
+   * @param {Object|null} previous - 저장된 스냅샷 (변경 감지 도입 전 주문은 null)
+   * @param {Object} current - 새 스냅샷
+   * @returns {Array<string>} - 바뀐 필드 (예: status, shipping.packages, items)
+   */
+  _diffContentSnapshot(previous, current) {
+    const prev = previous || {};
+    const changed = [];
+    
+    Object.keys(current).forEach(field => {
+      if (field === 'shipping') {
+        Object.keys(current.shipping).forEach(subField => {
+          const prevShipping = prev.shipping || {};
+          if (JSON.stringify(prevShipping[subField]) !== JSON.stringify(current.shipping[subField])) {
+            changed.push(`shipping.${subField}`);
+          }
+        });
+      } else if (JSON.stringify(prev[field]) !== JSON.stringify(current[field])) {
+        changed.push(field);
+      }
+    });
+    
+    return changed;
+  }
+  
+  /**
+   * 주문 기본 정보 저장 (status 또는 action_status가 바뀌면 상태 변경 이력 추가)
+   * - (platform, shop_id, order_num) 충돌 시 기존 행을 갱신하고 그 ID를 반환
+   * @private
+   * @param {Object} orderData - 주문 데이터
+   * @param {string} companyId - 회사 ID 
+   * @param {string} shopId - 샵 ID
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
+   * @param {string} source - 주문 정보를 받은 경로 (상태 변경 이력에 기록)
+   * @param {Object|null} existingOrder - 저장된 주문 ({ id, status, action_status }, 새 주문이면 null)
+   * @param {Object} content - 변경 감지 정보 ({ contentHash, snapshot, changedFields })
+   * @returns {Promise<string>} - 저장된 주문 ID
+   */
+  async _upsertOrderBasic(orderData, companyId, shopId, dbOrTx, source, existingOrder, content) {
+    const orderId = existingOrder ? existingOrder.id : uuidv4();
+    const row = this._buildOrderRow(orderData, orderId, companyId, shopId, content);
     
     try {
-      const result = await dbOrTx.one(query, params);
+      const result = await dbOrTx.one(pgp.helpers.insert(row, orderColumns) + ORDER_CONFLICT_UPDATE + ' RETURNING id');
       logger.debug(`주문 기본 정보 저장 성공 (ID: ${result.id})`);
+      
+      // 상태 변경 이력 (변경 시각은 쇼피 update_time 기준)
+      if (!existingOrder || existingOrder.status !== row.status || existingOrder.action_status !== row.action_status) {
+        await orderStatusRepository.recordStatusChange({
+          orderId: result.id,
+          orderNum: orderData.order_sn,
+          shopId,
+          fromStatus: existingOrder ? existingOrder.status : null,
+          toStatus: row.status,
+          fromActionStatus: existingOrder ? existingOrder.action_status : null,
+          toActionStatus: row.action_status,
+          source,
+          changedAt: orderData.update_time ? new Date(orderData.update_time * 1000) : null
+        }, dbOrTx);
+      }
+      
       return result.id;
     } catch (error) {
       logger.error(`주문 기본 정보 저장 실패:`, error);
@@ -202,71 +556,196 @@ class OrderRepository {
   }
   
   /**
-   * 배송 정보 저장
+   * 쇼피 주문 상태 -> action_status (C# enum ETomsOrderActionStatus에 해당)
+   * - 기본값은 'ORDER' (접수 상태)
    * @private
-   * @param {Object} logisticData - 배송 데이터
+   * @param {string} orderStatus - 쇼피 주문 상태
+   * @returns {string} - action_status
+   */
+  _mapActionStatus(orderStatus) {
+    if (orderStatus === 'READY_TO_SHIP') {
+      return 'READY_TO_PRINT';
+    } else if (orderStatus === 'SHIPPED') {
+      return 'EXPORTED';
+    } else if (orderStatus === 'CANCELLED') {
+      return 'REQUEST_CANCEL';
+    }
+    return 'ORDER';
+  }
+  
+  /**
+   * 주문 테이블 행 생성 (단건/일괄 저장 공통)
+   * @private
+   * @param {Object} orderData - 주문 데이터
+   * @param {string} orderId - 주문 ID
+   * @param {string} companyId - 회사 ID
+   * @param {string} shopId - 샵 ID
+   * @param {Object} content - 변경 감지 정보 ({ contentHash, snapshot, changedFields })
+   * @returns {Object} - toms_shopee_order 행
+   */
+  _buildOrderRow(orderData, orderId, companyId, shopId, content) {
+    const actionStatus = this._mapActionStatus(orderData.order_status);
+    
+    // fulfillment_flag 매핑 (C# enum EShopeeFulfillmentFlag에 해당)
+    // 기본값은 'SELLER'로 설정 (fulfilled_by_cb_seller)
+    let fulfillmentFlag = 'SELLER';
+    
+    // fulfillment_flag 매핑 - 데이터베이스에 저장할 열거형 값으로 변환
+    if (orderData.fulfillment_flag === 'fulfilled_by_cb_seller') {
+      fulfillmentFlag = 'SELLER';
+    } else if (orderData.fulfillment_flag === 'fulfilled_by_shopee') {
+      fulfillmentFlag = 'SHOPEE';
+    }
+    
+    return {
+      id: orderId,
+      platform: 'shopee',
+      order_num: orderData.order_sn,
+      status: orderData.order_status,
+      action_status: actionStatus,
+      // other_status 매핑 (C# enum ETomsOrderOtherStatus에 해당) - 기본값은 'NONE'
+      other_status: 'NONE',
+      country_code: orderData.region || 'KR',
+      currency: orderData.currency || 'KRW',
+      order_date: orderData.create_time ? new Date(orderData.create_time * 1000) : null,
+      pay_date: orderData.pay_time ? new Date(orderData.pay_time * 1000) : null,
+      day_to_ship: orderData.ship_by_date ? new Date(orderData.ship_by_date * 1000) : null,
+      price: parseFloat(orderData.total_amount || 0),
+      company_id: companyId,
+      shop_id: shopId,
+      export_declaration_no: null,
+      simple_memo: null,
+      arrange_shipment_at: null,
+      print_at: null,
+      cancel_by: orderData.cancel_by || null,
+      cancel_reason: orderData.cancel_reason || null,
+      fulfillment_flag: fulfillmentFlag,
+      message_to_seller: orderData.message_to_seller || null,
+      content_hash: content.contentHash,
+      content_snapshot: content.snapshot,
+      changed_fields: content.changedFields || null,
+      buyer_user_id: orderData.buyer_user_id ? orderData.buyer_user_id.toString() : null,
+      buyer_username: orderData.buyer_username || null
+    };
+  }
+  
+  /**
+   * 패키지별 배송 정보 저장
+   * - 분할 배송 주문은 package_list의 패키지마다 물류 1건을 저장
+   * - 패키지 정보가 없으면 주문 단위 물류 1건(package_number = '')을 저장
+   * - 패키지 정보가 처음 들어온 주문은 기존 주문 단위 물류를 첫 패키지로 전환 (배송 이력 연결 유지)
+   * @private
+   * @param {Object|null} shippingData - 배송 데이터 (packages: 패키지 배열)
    * @param {string} orderId - 주문 ID
    * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
-   * @returns {Promise<string>} - 저장된 배송 ID
+   * @returns {Promise<Array<Object>>} - 저장된 물류 정보 배열 ({ id, package_number, tracking_no }, 첫 번째가 대표 패키지)
    */
-  async _upsertLogistic(logisticData, orderId, dbOrTx) {
-    // 이미 배송 정보가 존재하는지 확인
-    const existingLogistic = await dbOrTx.oneOrNone(
-      `SELECT id FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
-      [orderId]
-    );
+  async _upsertLogistics(shippingData, orderId, dbOrTx) {
+    const logisticRows = this._buildLogisticRows(shippingData);
     
-    const logisticId = existingLogistic ? existingLogistic.id : uuidv4();
+    if (logisticRows[0].package_number) {
+      await dbOrTx.none(`
+        UPDATE public.toms_shopee_logistic SET
+          package_number = $2,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE toms_order_id = $1
+        AND package_number = ''
+        AND NOT EXISTS (
+          SELECT 1 FROM public.toms_shopee_logistic
+          WHERE toms_order_id = $1 AND package_number <> ''
+        )
+      `, [orderId, logisticRows[0].package_number]);
+    }
     
-    const query = `
-      INSERT INTO public.toms_shopee_logistic (
-        id, name, tracking_no, estimated_shipping_fee, actual_shipping_cost,
-        platform, toms_order_id, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, 
-        'shopee', $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-      )
-      ON CONFLICT (toms_order_id) DO UPDATE SET
-        name = COALESCE(NULLIF(EXCLUDED.name, ''), NULLIF(toms_shopee_logistic.name, ''), EXCLUDED.name),
-        tracking_no = COALESCE(NULLIF(EXCLUDED.tracking_no, ''), NULLIF(toms_shopee_logistic.tracking_no, ''), EXCLUDED.tracking_no),
-        estimated_shipping_fee = COALESCE(EXCLUDED.estimated_shipping_fee, toms_shopee_logistic.estimated_shipping_fee),
-        actual_shipping_cost = COALESCE(EXCLUDED.actual_shipping_cost, toms_shopee_logistic.actual_shipping_cost),
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING id
-    `;
+    const logistics = [];
+    for (const logisticData of logisticRows) {
+      logistics.push(await this._upsertLogistic(logisticData, orderId, dbOrTx));
+    }
     
-    const params = [
-      logisticId,
-      logisticData.shipping_carrier_name || logisticData.shipping_carrier || null,
-      logisticData.tracking_number || null,
-      parseFloat(logisticData.estimated_shipping_fee || 0),
-      parseFloat(logisticData.actual_shipping_cost || 0),
-      orderId
-    ];
+    return logistics;
+  }
+  
+  /**
+   * 패키지별 배송 데이터 생성 (패키지 정보가 없으면 주문 단위 1건)
+   * @private
+   * @param {Object|null} shippingData - 배송 데이터 (packages: 패키지 배열)
+   * @returns {Array<Object>} - 패키지별 배송 데이터 (첫 번째가 대표 패키지)
+   */
+  _buildLogisticRows(shippingData) {
+    const shipping = shippingData || {};
+    const packages = shipping.packages && shipping.packages.length > 0
+      ? shipping.packages
+      : [{ package_number: '' }];
+    
+    return packages.map((pkg, i) => ({
+      package_number: pkg.package_number || '',
+      logistics_status: pkg.logistics_status || null,
+      shipping_carrier: pkg.shipping_carrier || shipping.shipping_carrier,
+      shipping_carrier_name: pkg.shipping_carrier || shipping.shipping_carrier_name,
+      tracking_number: pkg.tracking_number || (packages.length === 1 ? shipping.tracking_number : null),
+      // 배송비는 주문 단위 금액이므로 대표 패키지에만 저장
+      estimated_shipping_fee: i === 0 ? shipping.estimated_shipping_fee : 0,
+      actual_shipping_cost: i === 0 ? shipping.actual_shipping_cost : 0
+    }));
+  }
+  
+  /**
+   * 배송 정보 저장 (주문 + 패키지 번호 기준)
+   * @private
+   * @param {Object} logisticData - 배송 데이터
+   * @param {string} orderId - 주문 ID
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
+   * @returns {Promise<Object>} - 저장된 물류 정보 ({ id, package_number, tracking_no })
+   */
+  async _upsertLogistic(logisticData, orderId, dbOrTx) {
+    const query = pgp.helpers.insert(this._buildLogisticRow(logisticData, orderId), logisticColumns)
+      + LOGISTIC_CONFLICT_UPDATE
+      + ' RETURNING id, package_number, tracking_no';
     
     try {
-      const result = await dbOrTx.one(query, params);
+      const result = await dbOrTx.one(query);
       logger.debug(`배송 정보 저장 성공 (ID: ${result.id})`);
       
       // 송장번호 저장 확인 로그 추가
-      logger.info(`배송 정보 저장 완료 - 주문 ID: ${orderId}, 송장번호: ${logisticData.tracking_number || '없음'}, 배송사: ${logisticData.shipping_carrier_name || logisticData.shipping_carrier || '없음'}`);
+      logger.info(`배송 정보 저장 완료 - 주문 ID: ${orderId}, 패키지: ${result.package_number || '없음'}, 송장번호: ${result.tracking_no || '없음'}, 배송사: ${logisticData.shipping_carrier_name || logisticData.shipping_carrier || '없음'}`);
       
-      return result.id;
+      return result;
     } catch (error) {
-      logger.error(`배송 정보 저장 실패 (주문 ID: ${orderId}):`, error);
+      logger.error(`배송 정보 저장 실패 (주문 ID: ${orderId}, 패키지: ${logisticData.package_number || '없음'}):`, error);
       throw error; // 상위 메서드에서 처리하도록 에러를 던짐
     }
   }
   
   /**
-   * 배송 이력 정보 저장
+   * 물류 테이블 행 생성 (단건/일괄 저장 공통)
    * @private
+   * @param {Object} logisticData - 배송 데이터 (_buildLogisticRows 결과 항목)
+   * @param {string} orderId - 주문 ID
+   * @returns {Object} - toms_shopee_logistic 행
+   */
+  _buildLogisticRow(logisticData, orderId) {
+    return {
+      id: uuidv4(),
+      name: logisticData.shipping_carrier_name || logisticData.shipping_carrier || null,
+      tracking_no: logisticData.tracking_number || null,
+      estimated_shipping_fee: parseFloat(logisticData.estimated_shipping_fee || 0),
+      actual_shipping_cost: parseFloat(logisticData.actual_shipping_cost || 0),
+      platform: 'shopee',
+      toms_order_id: orderId,
+      package_number: logisticData.package_number || '',
+      logistics_status: logisticData.logistics_status || null
+    };
+  }
+  
+  /**
+   * 배송 이력 정보 저장 (같은 송장번호/일시/상태의 이력은 위치만 갱신)
+   * - tracking_type: 이력이 속한 구간 (main, first_mile, last_mile)
    * @param {Array} histories - 배송 이력 데이터 배열
    * @param {string} logisticId - 배송 ID
    * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
    * @returns {Promise<Array>} - 저장된 배송 이력 ID 배열
    */
-  async _upsertLogisticHistories(histories, logisticId, dbOrTx) {
+  async upsertLogisticHistories(histories, logisticId, dbOrTx) {
     const results = [];
     
     for (const history of histories) {
@@ -288,13 +767,14 @@ class OrderRepository {
       const query = `
         INSERT INTO public.toms_shopee_logistic_history (
           id, tracking_no, logistic_date, location, logistic_status,
-          created_at, updated_at, toms_logistic_id
+          created_at, updated_at, toms_logistic_id, tracking_type
         ) VALUES (
           $1, $2, $3, $4, $5,
-          CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $6
+          CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $6, $7
         )
         ON CONFLICT (id) DO UPDATE SET
           location = $4,
+          tracking_type = COALESCE($7, toms_shopee_logistic_history.tracking_type),
           updated_at = CURRENT_TIMESTAMP
         RETURNING id
       `;
@@ -305,7 +785,8 @@ class OrderRepository {
         history.tracking_date ? new Date(history.tracking_date * 1000) : null,
         history.location || null,
         history.status || 'UNKNOWN',
-        logisticId
+        logisticId,
+        history.tracking_type || null
       ];
       
       try {
@@ -323,125 +804,51 @@ class OrderRepository {
   
   /**
    * 주문 아이템 정보 저장
+   * - 아이템은 자신을 배송하는 패키지의 물류 정보에 연결 (패키지를 알 수 없으면 대표 패키지)
+   * - 라인 고유키(item_id:model_id:order_item_id 또는 같은 상품 내 순번)로 기존 아이템을 찾아 그 자리에서 갱신 (아이템 ID 유지)
+   * - 주문에서 빠진 라인은 소프트 삭제 (deleted_at), 다시 들어오면 복구
+   * - 송장번호는 새 값이 없으면 기존 값을 유지
    * @private
    * @param {Array} items - 주문 아이템 데이터 배열
    * @param {string} orderId - 주문 ID
    * @param {string} companyId - 회사 ID
+   * @param {Array<Object>} logistics - 주문의 물류 정보 배열 (_upsertLogistics 결과)
    * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
    * @returns {Promise<Array>} - 저장된 주문 아이템 ID 배열
    */
-  async _upsertOrderItems(items, orderId, companyId, dbOrTx) {
+  async _upsertOrderItems(items, orderId, companyId, logistics, dbOrTx) {
     const results = [];
     
-    // 이 주문에 관련된 배송 정보 조회
-    const logistic = await dbOrTx.oneOrNone(
-      `SELECT id, tracking_no FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
+    // 기존 아이템 (소프트 삭제된 라인 포함)
+    const existingItems = await dbOrTx.any(
+      `SELECT id, line_key, platform_item_id, index, deleted_at, tracking_no
+       FROM public.toms_shopee_order_item
+       WHERE toms_order_id = $1`,
       [orderId]
     );
+    const { lines, removed } = this._planOrderItems(items, existingItems, logistics);
     
-    if (!logistic || !logistic.id) {
-      logger.error(`주문 아이템 저장 실패: 주문 ID ${orderId}에 대한 물류 정보가 없습니다`);
-      // 물류 정보가 없는 경우 임시 물류 정보 생성
-      const tempLogisticId = uuidv4();
+    for (const line of lines) {
       try {
-        await dbOrTx.one(`
-          INSERT INTO public.toms_shopee_logistic (
-            id, platform, toms_order_id, created_at, updated_at
-          ) VALUES (
-            $1, 'shopee', $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-          )
-          RETURNING id
-        `, [tempLogisticId, orderId]);
+        const tomsItemId = await this._resolveTomsItemId(line.item, companyId, dbOrTx);
+        const row = this._buildOrderItemRow(line, orderId, companyId, tomsItemId);
         
-        logger.info(`주문 ID ${orderId}에 대한 임시 물류 정보 생성 성공 (ID: ${tempLogisticId})`);
-      } catch (err) {
-        logger.error(`임시 물류 정보 생성 실패:`, err);
-        throw new Error(`물류 정보 생성 실패: ${err.message}`);
-      }
-    }
-    
-    // 다시 조회하거나 새로 생성된 값 사용
-    const logisticId = logistic ? logistic.id : (await dbOrTx.one(
-      `SELECT id FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
-      [orderId]
-    )).id;
-    
-    const trackingNo = logistic ? logistic.tracking_no : null;
-    
-    // 우선 주문 아이템 초기화
-    try {
-      // 아이템을 저장하기 전에 기존 아이템들을 삭제
-      await dbOrTx.none(
-        `DELETE FROM public.toms_shopee_order_item WHERE toms_order_id = $1`,
-        [orderId]
-      );
-      logger.debug(`주문 ID ${orderId}의 기존 아이템 정보 삭제 완료`);
-    } catch (deleteError) {
-      logger.error(`주문 아이템 삭제 실패 (주문 ID: ${orderId}):`, {
-        message: deleteError.message
-      });
-      throw deleteError;
-    }
-    
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      
-      // 아이템 고유키 생성 (SKU + 인덱스)
-      const itemKey = `${item.item_sku || 'UNKNOWN'}-${i}`;
-      
-      // 새로운 아이템 ID 생성
-      const itemId = uuidv4();
-      
-      // toms_item_id는 NOT NULL 제약조건이 있으므로 임시 UUID 생성
-      const tomsItemId = uuidv4();
-      
-      const query = `
-        INSERT INTO public.toms_shopee_order_item (
-          id, platform_item_id, variation_sku, promo_variation_sku, name,
-          option, price, original_price, qty, weight, index,
-          platform, tracking_no, toms_order_id, toms_logistic_id, toms_item_id,
-          company_id, created_at, updated_at, image_url
-        ) VALUES (
-          $1, $2, $3, $4, $5,
-          $6, $7, $8, $9, $10, $11,
-          'shopee', $12, $13, $14, $15,
-          $16, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $17
-        )
-        RETURNING id
-      `;
-      
-      const params = [
-        itemId,
-        item.item_id ? item.item_id.toString() : null,
-        item.item_sku || 'UNKNOWN',
-        null, // promo_variation_sku
-        item.item_name || '상품명 없음',
-        item.variation_name || null,
-        parseFloat(item.model_discounted_price || 0),
-        parseFloat(item.model_original_price || 0),
-        parseInt(item.model_quantity_purchased || 1),
-        parseFloat(item.weight || 0),
-        i, // index
-        trackingNo,
-        orderId,
-        logisticId,
-        tomsItemId, // 임시 UUID 사용 (NOT NULL 제약조건 충족)
-        companyId, // company_platform 테이블의 companyid 값
-        item.image_url || null
-      ];
-      
-      try {
-        const result = await dbOrTx.one(query, params);
+        const query = line.existing
+          ? pgp.helpers.update(row, itemUpdateColumns) + pgp.as.format(' WHERE id = ${id} AND toms_order_id = ${toms_order_id} RETURNING id', row)
+          : pgp.helpers.insert(row, itemColumns) + ' RETURNING id';
+        
+        const result = await dbOrTx.one(query);
         results.push(result.id);
-        logger.debug(`주문 아이템 저장 성공 (ID: ${result.id})`);
+        logger.debug(`주문 아이템 ${line.existing ? '갱신' : '저장'} 성공 (ID: ${result.id}, 라인: ${line.lineKey})`);
       } catch (error) {
         logger.error(`주문 아이템 저장 실패 (주문 ID: ${orderId}):`, {
           message: error.message,
           itemDetails: {
             orderId,
-            itemSku: item.item_sku || 'UNKNOWN',
-            index: i,
-            logisticId
+            itemSku: line.item.item_sku || 'UNKNOWN',
+            index: line.index,
+            lineKey: line.lineKey,
+            logisticId: line.logistic.id
           },
           stack: error.stack ? error.stack.split('\n')[0] : 'No stack trace'
         });
@@ -449,11 +856,171 @@ class OrderRepository {
       }
     }
     
+    // 주문에서 빠진 라인 소프트 삭제
+    if (removed.length > 0) {
+      await this._softDeleteOrderItems(removed, dbOrTx);
+      logger.info(`주문 ID ${orderId}에서 빠진 아이템 ${removed.length}개 삭제 처리`);
+    }
+    
     return results;
   }
+  
+  /**
+   * 주문 아이템과 기존 아이템 매칭 (단건/일괄 저장 공통)
+   * - 같은 라인 고유키, 없으면 라인 고유키 도입 전 저장된 같은 상품/순번의 아이템을 이어받음
+   * @private
+   * @param {Array} items - 주문 아이템 데이터 배열
+   * @param {Array<Object>} existingItems - 주문의 기존 아이템 ({ id, line_key, platform_item_id, index, deleted_at, tracking_no })
+   * @param {Array<Object>} logistics - 주문의 물류 정보 배열
+   * @returns {Object} - { lines: [{ item, index, lineKey, existing, logistic }], removed: 소프트 삭제할 아이템 ID 배열 }
+   */
+  _planOrderItems(items, existingItems, logistics) {
+    const matchedIds = new Set();
+    const occurrences = new Map();
+    
+    const lines = items.map((item, i) => {
+      const lineKey = this._buildItemLineKey(item, occurrences);
+      const platformItemId = item.item_id ? item.item_id.toString() : null;
+      
+      const existing = existingItems.find(row => row.line_key === lineKey)
+        || existingItems.find(row => row.line_key === null && !matchedIds.has(row.id)
+          && row.platform_item_id === platformItemId && Number(row.index) === i)
+        || null;
+      
+      if (existing) {
+        matchedIds.add(existing.id);
+      }
+      
+      // 아이템을 배송하는 패키지의 물류 정보
+      const logistic = logistics.find(l => l.package_number === (item.package_number || '')) || logistics[0];
+      
+      return { item, index: i, lineKey, existing, logistic };
+    });
+    
+    const removed = existingItems
+      .filter(row => !matchedIds.has(row.id) && !row.deleted_at)
+      .map(row => row.id);
+    
+    return { lines, removed };
+  }
+  
+  /**
+   * 주문 아이템 테이블 행 생성 (단건/일괄 저장 공통)
+   * - 송장번호는 새 값이 없으면 기존 값을 유지
+   * @private
+   * @param {Object} line - _planOrderItems의 라인
+   * @param {string} orderId - 주문 ID
+   * @param {string} companyId - 회사 ID
+   * @param {string} tomsItemId - 상품 레코드 ID (toms_shopee_item)
+   * @returns {Object} - toms_shopee_order_item 행
+   */
+  _buildOrderItemRow(line, orderId, companyId, tomsItemId) {
+    const { item, existing, logistic } = line;
+    
+    return {
+      id: existing ? existing.id : uuidv4(),
+      platform_item_id: item.item_id ? item.item_id.toString() : null,
+      variation_sku: item.item_sku || 'UNKNOWN',
+      promo_variation_sku: null,
+      name: item.item_name || '상품명 없음',
+      option: item.variation_name || null,
+      price: parseFloat(item.model_discounted_price || 0),
+      original_price: parseFloat(item.model_original_price || 0),
+      qty: parseInt(item.model_quantity_purchased || 1),
+      weight: parseFloat(item.weight || 0),
+      index: line.index,
+      platform: 'shopee',
+      tracking_no: logistic.tracking_no || (existing ? existing.tracking_no : null) || null,
+      toms_order_id: orderId,
+      toms_logistic_id: logistic.id,
+      toms_item_id: tomsItemId,
+      company_id: companyId, // company_platform 테이블의 companyid 값
+      image_url: item.image_url || null,
+      platform_model_id: item.model_id ? item.model_id.toString() : null,
+      line_key: line.lineKey
+    };
+  }
+  
+  /**
+   * 주문에서 빠진 아이템 소프트 삭제
+   * @private
+   * @param {Array<string>} itemIds - 아이템 ID 배열
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
+   */
+  async _softDeleteOrderItems(itemIds, dbOrTx) {
+    await dbOrTx.none(
+      `UPDATE public.toms_shopee_order_item SET
+        deleted_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::uuid[])`,
+      [itemIds]
+    );
+  }
+  
+  /**
+   * 주문 아이템 라인 고유키
+   * - 쇼피 order_item_id가 있으면 item_id:model_id:oi<order_item_id>, 없으면 item_id:model_id:#<같은 상품의 몇 번째 라인>
+   * - 주문 내 위치를 쓰지 않으므로 앞쪽 라인이 빠져도 나머지 라인의 키가 바뀌지 않음
+   * - 같은 키가 다시 나오면 뒤에 -<n>을 붙여 주문 안에서 겹치지 않게 함
+   * @private
+   * @param {Object} item - 주문 아이템 데이터
+   * @param {Map<string, number>} occurrences - 주문 안에서 지금까지 나온 키별 횟수 (호출마다 갱신)
+   * @returns {string} - 라인 고유키
+   */
+  _buildItemLineKey(item, occurrences) {
+    const product = `${item.item_id || ''}:${item.model_id || ''}`;
+    const base = item.order_item_id ? `${product}:oi${item.order_item_id}` : `${product}:#`;
+    const count = occurrences.get(base) || 0;
+    occurrences.set(base, count + 1);
+    
+    if (item.order_item_id) {
+      return count === 0 ? base : `${base}-${count}`;
+    }
+    return `${base}${count}`;
+  }
+  
+  /**
+   * 쇼피 상품(item_id + model_id)의 상품 레코드 ID 조회 (없으면 생성)
+   * @private
+   * @param {Object} item - 주문 아이템 데이터
+   * @param {string} companyId - 회사 ID
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체
+   * @returns {Promise<string>} - toms_shopee_item ID
+   */
+  async _resolveTomsItemId(item, companyId, dbOrTx) {
+    const result = await dbOrTx.one(
+      pgp.helpers.insert(this._buildTomsItemRow(item, companyId), tomsItemColumns)
+      + TOMS_ITEM_CONFLICT_UPDATE
+      + ' RETURNING id'
+    );
+    
+    return result.id;
+  }
+  
+  /**
+   * 상품 레코드 행 생성 (단건/일괄 저장 공통)
+   * @private
+   * @param {Object} item - 주문 아이템 데이터
+   * @param {string} companyId - 회사 ID
+   * @returns {Object} - toms_shopee_item 행
+   */
+  _buildTomsItemRow(item, companyId) {
+    return {
+      id: uuidv4(),
+      company_id: companyId,
+      platform: 'shopee',
+      platform_item_id: item.item_id ? item.item_id.toString() : item.item_sku || 'UNKNOWN',
+      platform_model_id: item.model_id ? item.model_id.toString() : '',
+      sku: item.item_sku || null,
+      name: item.item_name || null,
+      option: item.variation_name || null,
+      image_url: item.image_url || null
+    };
+  }
 
   /**
    * 주문 상세 정보 조회 (스토어드 프로시저 사용)
+   * - packages에 패키지별 물류 정보, item_details에 아이템별 패키지 연결 정보 포함
    * @param {string|null} orderId - 주문 ID (UUID)
    * @param {string|null} orderNum - 주문 번호
    * @param {string} platform - 플랫폼 (기본값: 'shopee')
@@ -492,6 +1059,13 @@ class OrderRepository {
         result.item_details = [];
       }
       
+      // 패키지별 물류 정보 (분할 배송 주문은 여러 개)
+      if (typeof result.packages === 'string') {
+        result.packages = JSON.parse(result.packages);
+      } else if (!result.packages) {
+        result.packages = [];
+      }
+      
       logger.debug(`주문 상세 정보 조회 성공: ${orderNum || orderId}`);
       return result;
     } catch (error) {
@@ -499,6 +1073,209 @@ class OrderRepository {
       throw error;
     }
   }
+
+  /**
+   * 주문 목록 조회 (필터, 정렬, 키셋 페이지네이션)
+   * - (정렬 컬럼, id) 순으로 정렬하며 정렬 값이 없는 주문은 방향과 관계없이 마지막
+   * - slim: 주문 기본 정보 + 송장번호/배송사 목록, full: 주문 전체 정보 + 물류(packages), 아이템(items)
+   * @param {Object} filters - 필터 (utils/orderQuery.parseOrderListQuery 결과)
+   * @param {Array<string>} [filters.shopIds] - 샵 ID 목록
+   * @param {Array<string>} [filters.statuses] - 주문 상태 목록
+   * @param {Array<string>} [filters.actionStatuses] - action_status 목록
+   * @param {Date} [filters.orderDateFrom] - 주문일 범위 (From 이상, To 미만 - 결제일 payDate, 발송 기한 shipByDate도 동일)
+   * @param {boolean} [filters.hasTracking] - 송장번호 있는 주문만(true) / 없는 주문만(false)
+   * @param {string} [filters.carrier] - 배송사 이름 (부분 일치, 대소문자 무시)
+   * @param {string} [filters.buyer] - 구매자 아이디(대소문자 무시) 또는 구매자 user_id
+   * @param {Object} options - 옵션 ({ sort, order, view, limit, cursor })
+   * @returns {Promise<Object>} - { orders, nextCursor } (마지막 페이지면 nextCursor = null)
+   */
+  async findOrders(filters = {}, { sort = 'order_date', order = 'desc', view = 'slim', limit = 50, cursor = null } = {}) {
+    const params = [];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const conditions = [`o.platform = 'shopee'`];
+
+    if (filters.shopIds) {
+      conditions.push(`o.shop_id = ANY(${param(filters.shopIds.map(String))}::varchar[])`);
+    }
+    if (filters.statuses) {
+      conditions.push(`o.status = ANY(${param(filters.statuses)}::varchar[])`);
+    }
+    if (filters.actionStatuses) {
+      conditions.push(`o.action_status = ANY(${param(filters.actionStatuses)}::varchar[])`);
+    }
+
+    [['orderDate', 'order_date'], ['payDate', 'pay_date'], ['shipByDate', 'day_to_ship']].forEach(([name, column]) => {
+      if (filters[`${name}From`]) {
+        conditions.push(`o.${column} >= ${param(filters[`${name}From`])}`);
+      }
+      if (filters[`${name}To`]) {
+        conditions.push(`o.${column} < ${param(filters[`${name}To`])}`);
+      }
+    });
+
+    if (filters.hasTracking === true || filters.hasTracking === false) {
+      conditions.push(`${filters.hasTracking ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM public.toms_shopee_logistic l
+        WHERE l.toms_order_id = o.id AND COALESCE(l.tracking_no, '') <> ''
+      )`);
+    }
+    if (filters.carrier) {
+      const pattern = `%${filters.carrier.replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(`EXISTS (
+        SELECT 1 FROM public.toms_shopee_logistic l
+        WHERE l.toms_order_id = o.id AND l.name ILIKE ${param(pattern)}
+      )`);
+    }
+    if (filters.buyer) {
+      const buyer = param(filters.buyer);
+      conditions.push(`(lower(o.buyer_username) = lower(${buyer}) OR o.buyer_user_id = ${buyer})`);
+    }
+
+    // 키셋 페이지네이션: 이전 페이지 마지막 행 (정렬 값, id) 다음부터
+    const { column, type } = SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const cmp = order === 'asc' ? '>' : '<';
+    const sortColumn = `o.${column}`;
+
+    if (cursor) {
+      const cursorId = param(cursor.id);
+
+      if (cursor.value === null) {
+        conditions.push(`(${sortColumn} IS NULL AND o.id ${cmp} ${cursorId}::uuid)`);
+      } else {
+        const cursorValue = param(cursor.value);
+        conditions.push(`(
+          ${sortColumn} ${cmp} ${cursorValue}::${type}
+          OR (${sortColumn} = ${cursorValue}::${type} AND o.id ${cmp} ${cursorId}::uuid)
+          OR ${sortColumn} IS NULL
+        )`);
+      }
+    }
+
+    const fullColumns = view === 'full' ? `,
+        o.other_status, o.export_declaration_no, o.simple_memo, o.created_at,
+        o.arrange_shipment_at, o.print_at, o.cancel_by, o.cancel_reason,
+        o.fulfillment_flag, o.message_to_seller, o.buyer_user_id,
+        o.changed_fields, o.content_changed_at,
+        COALESCE(pk.packages, '[]'::json) AS packages,
+        COALESCE(it.items, '[]'::json) AS items` : '';
+
+    const fullJoins = view === 'full' ? `
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'id', l.id,
+          'package_number', l.package_number,
+          'carrier', l.name,
+          'tracking_no', l.tracking_no,
+          'first_mile_tracking_no', l.first_mile_tracking_no,
+          'last_mile_tracking_no', l.last_mile_tracking_no,
+          'plp_number', l.plp_number,
+          'logistics_status', l.logistics_status,
+          'estimated_shipping_fee', l.estimated_shipping_fee,
+          'actual_shipping_cost', l.actual_shipping_cost,
+          'updated_at', l.updated_at
+        ) ORDER BY l.package_number) AS packages
+        FROM public.toms_shopee_logistic l
+        WHERE l.toms_order_id = o.id
+      ) pk ON true
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'id', i.id,
+          'platform_item_id', i.platform_item_id,
+          'platform_model_id', i.platform_model_id,
+          'toms_item_id', i.toms_item_id,
+          'sku', i.variation_sku,
+          'name', i.name,
+          'option', i.option,
+          'price', i.price,
+          'original_price', i.original_price,
+          'qty', i.qty,
+          'weight', i.weight,
+          'index', i.index,
+          'tracking_no', i.tracking_no,
+          'toms_logistic_id', i.toms_logistic_id,
+          'image_url', i.image_url
+        ) ORDER BY i.index) AS items
+        FROM public.toms_shopee_order_item i
+        WHERE i.toms_order_id = o.id AND i.deleted_at IS NULL
+      ) it ON true` : '';
+
+    const query = `
+      SELECT
+        o.id, o.order_num, o.platform, o.shop_id, o.company_id,
+        o.status, o.action_status, o.country_code, o.currency,
+        o.order_date, o.pay_date, o.day_to_ship AS ship_by_date, o.price,
+        o.buyer_username, o.updated_at,
+        COALESCE(lg.tracking_numbers, '{}') AS tracking_numbers,
+        COALESCE(lg.carriers, '{}') AS carriers,
+        ${sortColumn}::text AS sort_value${fullColumns}
+      FROM public.toms_shopee_order o
+      LEFT JOIN LATERAL (
+        SELECT
+          array_agg(DISTINCT l.tracking_no) FILTER (WHERE COALESCE(l.tracking_no, '') <> '') AS tracking_numbers,
+          array_agg(DISTINCT l.name) FILTER (WHERE COALESCE(l.name, '') <> '') AS carriers
+        FROM public.toms_shopee_logistic l
+        WHERE l.toms_order_id = o.id
+      ) lg ON true${fullJoins}
+      WHERE ${conditions.join('\n      AND ')}
+      ORDER BY ${sortColumn} ${direction} NULLS LAST, o.id ${direction}
+      LIMIT ${param(limit + 1)}
+    `;
+
+    try {
+      const rows = await db.any(query, params);
+      const hasMore = rows.length > limit;
+      const orders = rows.slice(0, limit);
+      const last = orders[orders.length - 1];
+
+      return {
+        orders: orders.map(({ sort_value, ...row }) => row),
+        nextCursor: hasMore ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null
+      };
+    } catch (error) {
+      logger.error('주문 목록 조회 실패:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 주문 ID로 주문번호 조회
+   * @param {string} orderId - 주문 ID (UUID)
+   * @returns {Promise<string|null>} - 주문번호
+   */
+  async getOrderNumById(orderId) {
+    try {
+      const result = await db.oneOrNone(
+        `SELECT order_num FROM public.toms_shopee_order WHERE id = $1`,
+        [orderId]
+      );
+      return result ? result.order_num : null;
+    } catch (error) {
+      logger.error(`주문 ${orderId}의 주문번호 조회 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 주문번호로 주문 ID 조회
+   * @param {string} orderNum - 주문번호
+   * @returns {Promise<string|null>} - 주문 ID (UUID)
+   */
+  async getOrderIdByNum(orderNum) {
+    try {
+      const result = await db.oneOrNone(
+        `SELECT id FROM public.toms_shopee_order WHERE order_num = $1 AND platform = 'shopee'`,
+        [orderNum]
+      );
+      return result ? result.id : null;
+    } catch (error) {
+      logger.error(`주문 ${orderNum}의 주문 ID 조회 실패:`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new OrderRepository(); 
\ No newline at end of file
@@ -0,0 +1,226 @@
+const db = require('./db');
+const logger = require('../utils/logger');
+const orderTrace = require('../utils/orderTrace');
+
+const pgp = db.$config.pgp;
+
+// 변경 시각이 없으면 저장 시각 사용
+const statusHistoryColumns = new pgp.helpers.ColumnSet([
+  'toms_order_id', 'order_num', 'shop_id', 'from_status', 'to_status',
+  'from_action_status', 'to_action_status', 'source',
+  { name: 'changed_at', mod: ':raw', init: c => (c.value ? pgp.as.date(c.value) : 'CURRENT_TIMESTAMP') }
+], { table: { table: 'toms_shopee_order_status_history', schema: 'public' } });
+
+class OrderStatusRepository {
+  /**
+   * 주문 상태 변경 이력 추가
+   * @param {Object} change - 변경 정보
+   * @param {string} change.orderId - 주문 ID (UUID)
+   * @param {string} change.orderNum - 주문번호
+   * @param {string|number} change.shopId - 샵 ID
+   * @param {string|null} change.fromStatus - 이전 상태 (처음 저장된 주문은 null)
+   * @param {string|null} change.toStatus - 변경된 상태
+   * @param {string|null} change.fromActionStatus - 이전 action_status
+   * @param {string|null} change.toActionStatus - 변경된 action_status
+   * @param {string} change.source - 변경을 확인한 경로 (poll, push, tracking, manual, backfill)
+   * @param {Date} [change.changedAt] - 변경 시각 (없으면 현재 시각)
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체 (선택적)
+   * @returns {Promise<Object>} - 저장된 이력 ({ id, changed_at })
+   */
+  async recordStatusChange({ orderId, orderNum, shopId, fromStatus, toStatus, fromActionStatus, toActionStatus, source, changedAt = null }, dbOrTx = db) {
+    try {
+      const query = `
+        INSERT INTO public.toms_shopee_order_status_history (
+          toms_order_id, order_num, shop_id, from_status, to_status,
+          from_action_status, to_action_status, source, changed_at
+        ) VALUES (
+          $1, $2, $3, $4, $5,
+          $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP)
+        )
+        RETURNING id, changed_at
+      `;
+
+      const result = await dbOrTx.one(query, [
+        orderId,
+        orderNum,
+        shopId ? String(shopId) : null,
+        fromStatus || null,
+        toStatus || null,
+        fromActionStatus || null,
+        toActionStatus || null,
+        source,
+        changedAt
+      ]);
+
+      logger.debug(`주문 ${orderNum} 상태 변경 기록: ${fromStatus || '-'} -> ${toStatus || '-'} (${source})`);
+      await orderTrace.trace(orderNum, 'db:status-history', { orderId, fromStatus, toStatus, fromActionStatus, toActionStatus, source, changedAt: result.changed_at });
+
+      return result;
+    } catch (error) {
+      logger.error(`주문 ${orderNum} 상태 변경 기록 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 주문 상태 변경 이력 일괄 추가 (주문 일괄 저장용)
+   * @param {Array<Object>} changes - 변경 정보 배열 (recordStatusChange와 같은 형식)
+   * @param {Object} dbOrTx - DB 또는 트랜잭션 객체 (선택적)
+   * @returns {Promise<number>} - 저장된 이력 수
+   */
+  async recordStatusChanges(changes, dbOrTx = db) {
+    if (changes.length === 0) {
+      return 0;
+    }
+
+    try {
+      const rows = changes.map(change => ({
+        toms_order_id: change.orderId,
+        order_num: change.orderNum,
+        shop_id: change.shopId ? String(change.shopId) : null,
+        from_status: change.fromStatus || null,
+        to_status: change.toStatus || null,
+        from_action_status: change.fromActionStatus || null,
+        to_action_status: change.toActionStatus || null,
+        source: change.source,
+        changed_at: change.changedAt || null
+      }));
+
+      await dbOrTx.none(pgp.helpers.insert(rows, statusHistoryColumns));
+
+      for (const change of changes) {
+        await orderTrace.trace(change.orderNum, 'db:status-history', { orderId: change.orderId, fromStatus: change.fromStatus, toStatus: change.toStatus, fromActionStatus: change.fromActionStatus, toActionStatus: change.toActionStatus, source: change.source, changedAt: change.changedAt });
+      }
+
+      logger.debug(`주문 상태 변경 ${changes.length}건 일괄 기록`);
+      return changes.length;
+    } catch (error) {
+      logger.error(`주문 상태 변경 일괄 기록 실패 (${changes.length}건):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 주문 상태 변경 이력 조회 (시간순, 다음 변경까지 걸린 시간 포함)
+   * @param {string} orderId - 주문 ID (UUID)
+   * @returns {Promise<Array>} - 상태 변경 이력 배열
+   */
+  async getTimeline(orderId) {
+    try {
+      const query = `
+        SELECT
+          id, from_status, to_status, from_action_status, to_action_status,
+          source, changed_at, observed_at,
+          EXTRACT(EPOCH FROM (LEAD(changed_at) OVER (ORDER BY changed_at, id) - changed_at))::BIGINT AS duration_seconds
+        FROM public.toms_shopee_order_status_history
+        WHERE toms_order_id = $1
+        ORDER BY changed_at, id
+      `;
+
+      const rows = await db.any(query, [orderId]);
+      return rows.map(row => ({
+        ...row,
+        duration_seconds: row.duration_seconds === null ? null : Number(row.duration_seconds)
+      }));
+    } catch (error) {
+      logger.error(`주문 ${orderId} 상태 변경 이력 조회 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 샵별 평균 단계 소요 시간 리포트
+   * - stages: 상태별로 다음 상태로 바뀌기까지 걸린 평균 시간 (status가 바뀐 이력만 사용)
+   * - payToShip: 결제 시각부터 처음 SHIPPED가 될 때까지의 평균 시간
+   * @param {Object} options - 조회 조건
+   * @param {string|number} [options.shopId] - 샵 ID (없으면 전체 샵)
+   * @param {Date} [options.from] - 이 시각 이후 진입한 단계만 집계
+   * @param {Date} [options.to] - 이 시각 이전 진입한 단계만 집계
+   * @returns {Promise<Array>} - 샵별 리포트 ({ shopId, payToShip: { orders, avgSeconds }, stages: [{ status, orders, avgSeconds, minSeconds, maxSeconds }] })
+   */
+  async getStageDurations({ shopId = null, from = null, to = null } = {}) {
+    try {
+      const params = [shopId ? String(shopId) : null, from, to];
+
+      const stageQuery = `
+        WITH transitions AS (
+          SELECT
+            shop_id,
+            to_status AS status,
+            changed_at,
+            LEAD(changed_at) OVER (PARTITION BY toms_order_id ORDER BY changed_at, id) AS next_changed_at
+          FROM public.toms_shopee_order_status_history
+          WHERE to_status IS DISTINCT FROM from_status
+          AND ($1::VARCHAR IS NULL OR shop_id = $1)
+        )
+        SELECT
+          shop_id,
+          status,
+          COUNT(*)::INT AS orders,
+          ROUND(AVG(EXTRACT(EPOCH FROM (next_changed_at - changed_at))))::BIGINT AS avg_seconds,
+          MIN(EXTRACT(EPOCH FROM (next_changed_at - changed_at)))::BIGINT AS min_seconds,
+          MAX(EXTRACT(EPOCH FROM (next_changed_at - changed_at)))::BIGINT AS max_seconds
+        FROM transitions
+        WHERE next_changed_at IS NOT NULL
+        AND ($2::TIMESTAMP IS NULL OR changed_at >= $2)
+        AND ($3::TIMESTAMP IS NULL OR changed_at < $3)
+        GROUP BY shop_id, status
+        ORDER BY shop_id, avg_seconds DESC
+      `;
+
+      const payToShipQuery = `
+        SELECT
+          o.shop_id,
+          COUNT(*)::INT AS orders,
+          ROUND(AVG(EXTRACT(EPOCH FROM (s.shipped_at - o.pay_date))))::BIGINT AS avg_seconds
+        FROM public.toms_shopee_order o
+        JOIN (
+          SELECT toms_order_id, MIN(changed_at) AS shipped_at
+          FROM public.toms_shopee_order_status_history
+          WHERE to_status = 'SHIPPED'
+          GROUP BY toms_order_id
+        ) s ON s.toms_order_id = o.id
+        WHERE o.pay_date IS NOT NULL
+        AND s.shipped_at >= o.pay_date
+        AND ($1::VARCHAR IS NULL OR o.shop_id = $1)
+        AND ($2::TIMESTAMP IS NULL OR s.shipped_at >= $2)
+        AND ($3::TIMESTAMP IS NULL OR s.shipped_at < $3)
+        GROUP BY o.shop_id
+      `;
+
+      const [stageRows, payToShipRows] = await Promise.all([
+        db.any(stageQuery, params),
+        db.any(payToShipQuery, params)
+      ]);
+
+      const shops = new Map();
+      const getShop = (id) => {
+        if (!shops.has(id)) {
+          shops.set(id, { shopId: id, payToShip: { orders: 0, avgSeconds: null }, stages: [] });
+        }
+        return shops.get(id);
+      };
+
+      stageRows.forEach(row => {
+        getShop(row.shop_id).stages.push({
+          status: row.status,
+          orders: row.orders,
+          avgSeconds: Number(row.avg_seconds),
+          minSeconds: Number(row.min_seconds),
+          maxSeconds: Number(row.max_seconds)
+        });
+      });
+
+      payToShipRows.forEach(row => {
+        getShop(row.shop_id).payToShip = { orders: row.orders, avgSeconds: Number(row.avg_seconds) };
+      });
+
+      return Array.from(shops.values());
+    } catch (error) {
+      logger.error('주문 단계 소요 시간 리포트 조회 실패:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new OrderStatusRepository();
@@ -0,0 +1,79 @@
+const db = require('./db');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// received 상태로 이 시간(분)이 지난 푸시는 처리 중 중단된 것으로 보고 다시 처리
+const STALE_RECEIVED_MINUTES = config.shopee.pushStaleMinutes || 5;
+
+class PushRepository {
+  /**
+   * 푸시 원본 저장 (같은 push_key가 이미 있으면 저장하지 않음)
+   * - 이전 처리가 실패했거나, received 상태로 오래 남아 있으면(처리 중 프로세스 종료) 다시 처리하도록 반환
+   * @param {Object} push - 푸시 정보
+   * @param {string} push.pushKey - 원본 본문 해시
+   * @param {string|number} push.shopId - 샵 ID
+   * @param {number} push.code - 푸시 코드
+   * @param {string} [push.orderSn] - 주문번호
+   * @param {Object} push.payload - 푸시 본문
+   * @returns {Promise<Object|null>} - 처리할 푸시 (이미 처리된 중복이면 null)
+   */
+  async savePush({ pushKey, shopId, code, orderSn = null, payload }) {
+    try {
+      const query = `
+        INSERT INTO public.shopee_push_log (push_key, shop_id, code, order_sn, payload, claimed_at)
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+        ON CONFLICT (push_key) DO UPDATE
+        SET status = 'received', error = NULL, claimed_at = CURRENT_TIMESTAMP
+        WHERE shopee_push_log.status = 'failed'
+        OR (
+          shopee_push_log.status = 'received'
+          AND COALESCE(shopee_push_log.claimed_at, shopee_push_log.received_at) < CURRENT_TIMESTAMP - make_interval(mins => $6)
+        )
+        RETURNING id, push_key, shop_id, code, order_sn, received_at
+      `;
+
+      return await db.oneOrNone(query, [pushKey, shopId, code, orderSn, payload, STALE_RECEIVED_MINUTES]);
+    } catch (error) {
+      logger.error(`쇼피 푸시 저장 실패 (샵 ID: ${shopId}, 코드: ${code}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 푸시 처리 결과 기록
+   * @param {number} id - 푸시 ID
+   * @param {string} status - 처리 상태 (processed, ignored, failed)
+   * @param {string} [error] - 실패 사유
+   * @returns {Promise<void>}
+   */
+  async markPush(id, status, error = null) {
+    try {
+      const query = `
+        UPDATE public.shopee_push_log
+        SET status = $1, error = $2, processed_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `;
+
+      await db.none(query, [status, error, id]);
+    } catch (dbError) {
+      logger.error(`쇼피 푸시 ${id} 처리 결과 기록 실패:`, dbError);
+      throw dbError;
+    }
+  }
+
+  /**
+   * 푸시 조회 (재처리용)
+   * @param {number} id - 푸시 ID
+   * @returns {Promise<Object|null>} - 푸시 정보
+   */
+  async getPushById(id) {
+    try {
+      return await db.oneOrNone('SELECT * FROM public.shopee_push_log WHERE id = $1', [id]);
+    } catch (error) {
+      logger.error(`쇼피 푸시 ${id} 조회 실패:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PushRepository();
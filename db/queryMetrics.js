@@ -0,0 +1,93 @@
+// 쿼리 구분별로 유지할 최대 항목 수 (넘으면 새 구분은 'other'로 합산)
+const MAX_LABELS = 200;
+
+/**
+ * 프로세스별 쿼리 실행 시간 통계
+ * - 쿼리 구분(태스크/트랜잭션 태그, 없으면 명령 + 첫 테이블)별로 횟수, 오류, 느린 쿼리 수, 누적/최대 시간 집계
+ */
+class QueryMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 통계 초기화
+   */
+  reset() {
+    this.since = new Date();
+    this.total = this._emptyEntry();
+    this.byLabel = new Map();
+  }
+
+  /**
+   * @private
+   */
+  _emptyEntry() {
+    return { count: 0, errors: 0, slow: 0, totalMs: 0, maxMs: 0 };
+  }
+
+  /**
+   * 쿼리 구분 이름
+   * @param {string} query - 실행한 SQL
+   * @param {string} [tag] - 태스크/트랜잭션 태그
+   * @returns {string} - 구분 이름
+   */
+  labelOf(query, tag) {
+    if (tag) {
+      return String(tag);
+    }
+
+    const sql = typeof query === 'string' ? query : (query && query.text) || '';
+    const command = (sql.trim().match(/^\w+/) || ['QUERY'])[0].toUpperCase();
+    const table = sql.match(/\b(?:FROM|INTO|UPDATE|TABLE)\s+([\w."]+)/i);
+
+    return table ? `${command} ${table[1].replace(/"/g, '')}` : command;
+  }
+
+  /**
+   * 쿼리 1건 기록
+   * @param {string} label - 쿼리 구분
+   * @param {number} durationMs - 실행 시간(ms)
+   * @param {Object} options - 옵션
+   * @param {boolean} [options.failed=false] - 오류 여부
+   * @param {boolean} [options.slow=false] - 느린 쿼리 여부
+   */
+  record(label, durationMs, { failed = false, slow = false } = {}) {
+    const key = this.byLabel.has(label) || this.byLabel.size < MAX_LABELS ? label : 'other';
+
+    if (!this.byLabel.has(key)) {
+      this.byLabel.set(key, this._emptyEntry());
+    }
+
+    for (const entry of [this.total, this.byLabel.get(key)]) {
+      entry.count++;
+      entry.totalMs += durationMs;
+      entry.maxMs = Math.max(entry.maxMs, durationMs);
+      if (failed) entry.errors++;
+      if (slow) entry.slow++;
+    }
+  }
+
+  /**
+   * 통계 요약
+   * @param {number} [limit=20] - 누적 시간 기준 상위 구분 수
+   * @returns {Object} - { since, total, queries: [{ label, count, errors, slow, totalMs, avgMs, maxMs }] }
+   */
+  getSummary(limit = 20) {
+    const withAverage = entry => ({
+      ...entry,
+      avgMs: entry.count > 0 ? Math.round(entry.totalMs / entry.count) : 0
+    });
+
+    return {
+      since: this.since.toISOString(),
+      total: withAverage(this.total),
+      queries: Array.from(this.byLabel.entries())
+        .map(([label, entry]) => ({ label, ...withAverage(entry) }))
+        .sort((a, b) => b.totalMs - a.totalMs)
+        .slice(0, limit)
+    };
+  }
+}
+
+module.exports = new QueryMetrics();
@@ -10,12 +10,14 @@ class ShopRepository {
   async getActiveShops(isSandbox = true) {
     try {
       const query = `
-        SELECT ss.*, cp.companyid, cp.issandbox  
+        SELECT ss.*, cp.companyid, cp.issandbox,
+          cp.partner_id AS platform_partner_id, cp.partner_key_enc AS platform_partner_key_enc
         FROM public.shopee_shop ss
         JOIN public.company_platform cp ON ss.platform_id = cp.id
         WHERE cp.isactive = true
         AND ss.order_update_minute IS NOT NULL
         AND ss.deleted IS NULL
+        AND ss.needs_reauth = false
         AND cp.platform = 'SHOPEE'
         AND cp.issandbox = $1
         ORDER BY ss.shop_id
@@ -36,7 +38,8 @@ class ShopRepository {
   async getShopById(shopId) {
     try {
       const query = `
-        SELECT ss.* , cp.companyid, cp.issandbox 
+        SELECT ss.* , cp.companyid, cp.issandbox,
+          cp.partner_id AS platform_partner_id, cp.partner_key_enc AS platform_partner_key_enc
         FROM public.shopee_shop ss
         JOIN public.company_platform cp ON ss.platform_id = cp.id
         WHERE ss.shop_id = $1  AND ss.deleted IS NULL AND cp.isactive = true 
@@ -52,6 +55,26 @@ class ShopRepository {
     }
   }
 
+  /**
+   * 샵 PK로 최신 토큰 정보 조회 (토큰 갱신 전 재확인용)
+   * @param {string} id - 샵 PK (shopee_shop.id)
+   * @returns {Promise<Object>} - 토큰 정보
+   */
+  async getShopTokenById(id) {
+    try {
+      const query = `
+        SELECT id, shop_id, access_token, refresh_token, expire_at, expire_in
+        FROM public.shopee_shop
+        WHERE id = $1
+      `;
+
+      return await db.oneOrNone(query, [id]);
+    } catch (error) {
+      logger.error(`샵 PK ${id}의 토큰 조회 실패:`, error);
+      throw error;
+    }
+  }
+
   /**
    * 샵의 토큰 정보 업데이트
    * @param {string} shopId - 샵 ID
@@ -69,6 +92,9 @@ class ShopRepository {
           expire_at = $4,
           expire_in = $5,
           token_expiry_date = to_timestamp($6),
+          needs_reauth = false,
+          auth_error = NULL,
+          auth_error_at = NULL,
           updated = CURRENT_TIMESTAMP
         WHERE id = $7
         RETURNING *
@@ -90,6 +116,231 @@ class ShopRepository {
       throw error;
     }
   }
+
+  /**
+   * 쇼피 회사 플랫폼 정보 조회
+   * @param {string} platformId - company_platform.id
+   * @returns {Promise<Object>} - 회사 플랫폼 정보
+   */
+  async getCompanyPlatformById(platformId) {
+    try {
+      const query = `
+        SELECT cp.id, cp.companyid, cp.issandbox, cp.isactive, cp.partner_id, cp.partner_key_enc
+        FROM public.company_platform cp
+        WHERE cp.id = $1
+        AND cp.platform = 'SHOPEE'
+      `;
+
+      return await db.oneOrNone(query, [platformId]);
+    } catch (error) {
+      logger.error(`회사 플랫폼 ${platformId} 조회 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 회사 플랫폼의 쇼피 파트너 앱 정보 저장 (파트너 키는 암호화된 값으로 전달)
+   * @param {string} platformId - company_platform.id
+   * @param {string|number} partnerId - 쇼피 파트너 ID
+   * @param {string} partnerKeyEnc - 암호화된 파트너 키
+   * @returns {Promise<Object>} - 갱신된 회사 플랫폼 정보
+   */
+  async updatePlatformPartnerCredential(platformId, partnerId, partnerKeyEnc) {
+    try {
+      const query = `
+        UPDATE public.company_platform
+        SET
+          partner_id = $1,
+          partner_key_enc = $2,
+          partner_key_updated = CURRENT_TIMESTAMP
+        WHERE id = $3
+        AND platform = 'SHOPEE'
+        RETURNING id, companyid, issandbox, partner_id, partner_key_updated
+      `;
+
+      return await db.oneOrNone(query, [partnerId, partnerKeyEnc, platformId]);
+    } catch (error) {
+      logger.error(`회사 플랫폼 ${platformId}의 파트너 정보 저장 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 인증 완료된 샵 등록 또는 갱신 (같은 shop_id가 있으면 토큰과 플랫폼을 갱신하고 삭제 표시 해제)
+   * @param {string} platformId - company_platform.id
+   * @param {string|number} shopId - 쇼피 샵 ID
+   * @param {Object} tokenInfo - 토큰 정보 객체 (access_token, refresh_token, expire, expire_in)
+   * @returns {Promise<Object>} - 등록/갱신된 샵 정보 (created: 신규 등록 여부)
+   */
+  async upsertAuthorizedShop(platformId, shopId, tokenInfo) {
+    try {
+      return await db.tx('upsert-authorized-shop', async tx => {
+        const existing = await tx.oneOrNone(`
+          SELECT id FROM public.shopee_shop
+          WHERE shop_id = $1
+          ORDER BY deleted NULLS FIRST, id DESC
+          LIMIT 1
+        `, [shopId]);
+
+        const params = [
+          platformId,
+          shopId,
+          tokenInfo.access_token,
+          tokenInfo.refresh_token,
+          new Date(),
+          tokenInfo.expire,
+          tokenInfo.expire_in
+        ];
+
+        if (existing) {
+          const shop = await tx.one(`
+            UPDATE public.shopee_shop
+            SET
+              platform_id = $1,
+              access_token = $3,
+              refresh_token = $4,
+              auth_time = $5,
+              expire_at = $6,
+              expire_in = $7,
+              token_expiry_date = to_timestamp($6),
+              needs_reauth = false,
+              auth_error = NULL,
+              auth_error_at = NULL,
+              deleted = NULL,
+              updated = CURRENT_TIMESTAMP
+            WHERE id = $8 AND shop_id = $2
+            RETURNING *
+          `, [...params, existing.id]);
+
+          return { ...shop, created: false };
+        }
+
+        // 신규 샵은 기본 수집 단위(60분)로 등록하여 정기 수집 대상에 포함
+        const shop = await tx.one(`
+          INSERT INTO public.shopee_shop (
+            platform_id, shop_id, access_token, refresh_token, auth_time,
+            expire_at, expire_in, token_expiry_date, order_update_minute, updated
+          ) VALUES (
+            $1, $2, $3, $4, $5,
+            $6, $7, to_timestamp($6), 60, CURRENT_TIMESTAMP
+          )
+          RETURNING *
+        `, params);
+
+        return { ...shop, created: true };
+      });
+    } catch (error) {
+      logger.error(`샵 ID ${shopId} 인증 정보 등록 실패 (플랫폼: ${platformId}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 액세스 토큰이 곧 만료되는 활성 샵 목록 조회 (재인증 필요 샵 제외)
+   * @param {number} expireBefore - 이 시각(초) 이전에 만료되는 토큰 조회
+   * @param {boolean} isSandbox - 샌드박스 모드 여부
+   * @returns {Promise<Array>} - 샵 목록
+   */
+  async getShopsWithExpiringTokens(expireBefore, isSandbox = true) {
+    try {
+      const query = `
+        SELECT ss.*, cp.companyid, cp.issandbox,
+          cp.partner_id AS platform_partner_id, cp.partner_key_enc AS platform_partner_key_enc
+        FROM public.shopee_shop ss
+        JOIN public.company_platform cp ON ss.platform_id = cp.id
+        WHERE cp.isactive = true
+        AND ss.deleted IS NULL
+        AND ss.needs_reauth = false
+        AND cp.platform = 'SHOPEE'
+        AND cp.issandbox = $2
+        AND (ss.expire_at IS NULL OR ss.expire_at < $1)
+        ORDER BY ss.expire_at NULLS FIRST
+      `;
+
+      return await db.any(query, [expireBefore, isSandbox]);
+    } catch (error) {
+      logger.error(`토큰 만료 예정 샵 조회 실패 (샌드박스 모드: ${isSandbox}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 샵별 인증 상태 조회 (재인증 필요 여부, 토큰 만료 정보)
+   * @param {boolean} isSandbox - 샌드박스 모드 여부
+   * @returns {Promise<Array>} - 샵 인증 상태 목록
+   */
+  async getShopsAuthStatus(isSandbox = true) {
+    try {
+      const query = `
+        SELECT ss.id, ss.shop_id, ss.expire_at, ss.auth_time,
+          ss.needs_reauth, ss.auth_error, ss.auth_error_at, cp.companyid
+        FROM public.shopee_shop ss
+        JOIN public.company_platform cp ON ss.platform_id = cp.id
+        WHERE cp.isactive = true
+        AND ss.deleted IS NULL
+        AND cp.platform = 'SHOPEE'
+        AND cp.issandbox = $1
+        ORDER BY ss.needs_reauth DESC, ss.shop_id
+      `;
+
+      return await db.any(query, [isSandbox]);
+    } catch (error) {
+      logger.error(`샵 인증 상태 조회 실패 (샌드박스 모드: ${isSandbox}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 샵을 재인증 필요 상태로 표시 (활성 샵 조회에서 제외됨)
+   * @param {string} id - 샵 PK (shopee_shop.id)
+   * @param {string} reason - 토큰 갱신 실패 사유
+   * @returns {Promise<Object>} - 갱신된 샵 정보
+   */
+  async markNeedsReauth(id, reason) {
+    try {
+      const query = `
+        UPDATE public.shopee_shop
+        SET
+          needs_reauth = true,
+          auth_error = $1,
+          auth_error_at = CURRENT_TIMESTAMP,
+          updated = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id, shop_id, needs_reauth
+      `;
+
+      return await db.oneOrNone(query, [reason, id]);
+    } catch (error) {
+      logger.error(`샵 PK ${id}의 재인증 필요 표시 실패:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 샵의 주문 동기화 워터마크 갱신 (기존 값보다 이전으로 되돌리지 않음)
+   * @param {string} shopId - 샵 PK (shopee_shop.id)
+   * @param {number} watermark - 동기화가 완료된 update_time 상한 (초)
+   * @returns {Promise<Object>} - 갱신된 워터마크 정보
+   */
+  async updateOrderSyncWatermark(shopId, watermark) {
+    try {
+      const query = `
+        UPDATE public.shopee_shop
+        SET 
+          order_sync_watermark = GREATEST(COALESCE(order_sync_watermark, 0), $1),
+          order_synced_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id, shop_id, order_sync_watermark
+      `;
+      
+      const result = await db.one(query, [watermark, shopId]);
+      logger.debug(`샵 ID ${result.shop_id}의 주문 동기화 워터마크 갱신: ${result.order_sync_watermark}`);
+      return result;
+    } catch (error) {
+      logger.error(`샵 ID ${shopId}의 주문 동기화 워터마크 갱신 실패:`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ShopRepository(); 
\ No newline at end of file
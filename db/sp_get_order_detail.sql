@@ -5,6 +5,11 @@
 --   또는
 --   p_order_num: 주문 번호 (VARCHAR)
 --   p_platform: 플랫폼 (VARCHAR, 기본값: 'shopee')
+-- 분할 배송 주문은 packages에 패키지별 물류 정보가 모두 담기고,
+-- logistic_* 컬럼은 대표 패키지(가장 먼저 생성된 물류) 기준
+-- 반환 컬럼이 바뀌면 CREATE OR REPLACE로 갱신할 수 없으므로 먼저 삭제
+
+DROP FUNCTION IF EXISTS public.get_order_detail(UUID, VARCHAR, VARCHAR);
 
 CREATE OR REPLACE FUNCTION public.get_order_detail(
     p_order_id UUID DEFAULT NULL,
@@ -39,8 +44,13 @@ RETURNS TABLE (
     logistic_id UUID,
     logistic_name VARCHAR,
     tracking_no VARCHAR,
+    first_mile_tracking_no VARCHAR,
+    last_mile_tracking_no VARCHAR,
+    plp_number VARCHAR,
     estimated_shipping_fee FLOAT8,
     actual_shipping_cost FLOAT8,
+    package_count INT,
+    packages JSONB,
     item_count INT,
     item_details JSONB
 ) AS $$
@@ -79,10 +89,13 @@ BEGIN
             OR (p_order_num IS NOT NULL AND o.order_num = p_order_num AND o.platform = p_platform)
     ),
     logistic_info AS (
-        SELECT 
+        SELECT DISTINCT ON (l.toms_order_id)
             l.id AS logistic_id,
             l.name AS logistic_name,
             l.tracking_no,
+            l.first_mile_tracking_no,
+            l.last_mile_tracking_no,
+            l.plp_number,
             l.estimated_shipping_fee,
             l.actual_shipping_cost,
             l.toms_order_id
@@ -90,6 +103,33 @@ BEGIN
             public.toms_shopee_logistic l
         JOIN 
             order_info oi ON l.toms_order_id = oi.order_id
+        ORDER BY 
+            l.toms_order_id, l.created_at, l.package_number
+    ),
+    package_info AS (
+        SELECT 
+            l.toms_order_id,
+            COUNT(l.id) AS package_count,
+            jsonb_agg(
+                jsonb_build_object(
+                    'logistic_id', l.id,
+                    'package_number', NULLIF(l.package_number, ''),
+                    'logistic_name', l.name,
+                    'tracking_no', l.tracking_no,
+                    'first_mile_tracking_no', l.first_mile_tracking_no,
+                    'last_mile_tracking_no', l.last_mile_tracking_no,
+                    'plp_number', l.plp_number,
+                    'logistics_status', l.logistics_status,
+                    'estimated_shipping_fee', l.estimated_shipping_fee,
+                    'actual_shipping_cost', l.actual_shipping_cost
+                ) ORDER BY l.created_at, l.package_number
+            ) AS packages
+        FROM 
+            public.toms_shopee_logistic l
+        JOIN 
+            order_info oi ON l.toms_order_id = oi.order_id
+        GROUP BY 
+            l.toms_order_id
     ),
     item_info AS (
         SELECT 
@@ -99,6 +139,8 @@ BEGIN
                 jsonb_build_object(
                     'id', oi.id,
                     'platform_item_id', oi.platform_item_id,
+                    'platform_model_id', oi.platform_model_id,
+                    'toms_item_id', oi.toms_item_id,
                     'variation_sku', oi.variation_sku,
                     'name', oi.name,
                     'option', oi.option,
@@ -107,13 +149,19 @@ BEGIN
                     'qty', oi.qty,
                     'weight', oi.weight,
                     'tracking_no', oi.tracking_no,
+                    'logistic_id', oi.toms_logistic_id,
+                    'package_number', NULLIF(pl.package_number, ''),
                     'image_url', oi.image_url
-                )
+                ) ORDER BY oi.index
             ) AS item_details
         FROM 
             public.toms_shopee_order_item oi
         JOIN 
             order_info o ON oi.toms_order_id = o.order_id
+        LEFT JOIN 
+            public.toms_shopee_logistic pl ON oi.toms_logistic_id = pl.id
+        WHERE 
+            oi.deleted_at IS NULL
         GROUP BY 
             oi.toms_order_id
     )
@@ -145,14 +193,21 @@ BEGIN
         l.logistic_id,
         l.logistic_name,
         l.tracking_no,
+        l.first_mile_tracking_no,
+        l.last_mile_tracking_no,
+        l.plp_number,
         l.estimated_shipping_fee,
         l.actual_shipping_cost,
-        COALESCE(i.item_count, 0) AS item_count,
+        COALESCE(p.package_count, 0)::INT AS package_count,
+        COALESCE(p.packages, '[]'::jsonb) AS packages,
+        COALESCE(i.item_count, 0)::INT AS item_count,
         COALESCE(i.item_details, '[]'::jsonb) AS item_details
     FROM 
         order_info o
     LEFT JOIN 
         logistic_info l ON o.order_id = l.toms_order_id
+    LEFT JOIN 
+        package_info p ON o.order_id = p.toms_order_id
     LEFT JOIN 
         item_info i ON o.order_id = i.toms_order_id;
 END;
@@ -0,0 +1,194 @@
+const db = require('./db/db');
+
+/**
+ * 중복 주문 병합 (같은 platform + shop_id + order_num으로 여러 행이 저장된 주문)
+ * 사용법: node dedupOrders.js [--apply]
+ * - 가장 최근에 갱신된 주문을 남기고 나머지 주문의 물류, 배송 이력, 아이템, 상태 변경 이력을 옮긴 뒤 삭제
+ * - 같은 패키지의 물류는 하나로 합침 (빈 송장번호/배송사는 삭제되는 물류의 값으로 채움)
+ * - 같은 라인의 아이템은 남기는 주문의 아이템을 쓰고, 중복 아이템은 소프트 삭제 (아이템 ID 참조 유지)
+ * - --apply 없이 실행하면 병합 대상만 출력
+ * - 병합 후 db/migrations/011_add_order_natural_key.sql 적용
+ */
+async function findDuplicateGroups() {
+  return db.any(`
+    SELECT platform, shop_id, order_num,
+      array_agg(id ORDER BY updated_at DESC NULLS LAST, created_at) AS order_ids
+    FROM public.toms_shopee_order
+    GROUP BY platform, shop_id, order_num
+    HAVING COUNT(*) > 1
+    ORDER BY order_num
+  `);
+}
+
+async function mergeLogistics(tx, keeperId, duplicateId) {
+  const keeperLogistics = await tx.any(
+    `SELECT id, package_number FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
+    [keeperId]
+  );
+  const duplicateLogistics = await tx.any(
+    `SELECT id, package_number FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
+    [duplicateId]
+  );
+  let merged = 0;
+
+  for (const logistic of duplicateLogistics) {
+    const keeper = keeperLogistics.find(l => l.package_number === logistic.package_number);
+
+    if (!keeper) {
+      // 같은 패키지가 없으면 물류를 그대로 옮김
+      await tx.none(`UPDATE public.toms_shopee_logistic SET toms_order_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`, [keeperId, logistic.id]);
+      keeperLogistics.push({ id: logistic.id, package_number: logistic.package_number });
+      continue;
+    }
+
+    await tx.none(`
+      UPDATE public.toms_shopee_logistic k SET
+        name = COALESCE(NULLIF(k.name, ''), d.name),
+        tracking_no = COALESCE(NULLIF(k.tracking_no, ''), d.tracking_no),
+        first_mile_tracking_no = COALESCE(k.first_mile_tracking_no, d.first_mile_tracking_no),
+        last_mile_tracking_no = COALESCE(k.last_mile_tracking_no, d.last_mile_tracking_no),
+        plp_number = COALESCE(k.plp_number, d.plp_number),
+        logistics_status = COALESCE(k.logistics_status, d.logistics_status),
+        updated_at = CURRENT_TIMESTAMP
+      FROM public.toms_shopee_logistic d
+      WHERE k.id = $1 AND d.id = $2
+    `, [keeper.id, logistic.id]);
+
+    await tx.none(`UPDATE public.toms_shopee_logistic_history SET toms_logistic_id = $1 WHERE toms_logistic_id = $2`, [keeper.id, logistic.id]);
+    await tx.none(`UPDATE public.toms_shopee_order_item SET toms_logistic_id = $1 WHERE toms_logistic_id = $2`, [keeper.id, logistic.id]);
+    await tx.none(`DELETE FROM public.toms_shopee_logistic WHERE id = $1`, [logistic.id]);
+
+    // 옮겨온 배송 이력 중 같은 송장번호/일시/상태의 이력 정리
+    await tx.none(`
+      DELETE FROM public.toms_shopee_logistic_history h
+      USING public.toms_shopee_logistic_history k
+      WHERE h.toms_logistic_id = $1
+      AND k.toms_logistic_id = $1
+      AND h.id > k.id
+      AND h.tracking_no IS NOT DISTINCT FROM k.tracking_no
+      AND h.logistic_date IS NOT DISTINCT FROM k.logistic_date
+      AND h.logistic_status = k.logistic_status
+    `, [keeper.id]);
+    merged++;
+  }
+
+  return { moved: duplicateLogistics.length - merged, merged };
+}
+
+async function mergeItems(tx, keeperId, duplicateId) {
+  // 소프트 삭제된 아이템도 line_key를 가지고 있으므로 함께 비교 (같은 line_key로 옮기면 유일 인덱스 위반)
+  const keeperItems = await tx.any(
+    `SELECT id, line_key, platform_item_id, index, deleted_at FROM public.toms_shopee_order_item WHERE toms_order_id = $1`,
+    [keeperId]
+  );
+  const duplicateItems = await tx.any(
+    `SELECT id, line_key, platform_item_id, index, deleted_at FROM public.toms_shopee_order_item WHERE toms_order_id = $1`,
+    [duplicateId]
+  );
+  let softDeleted = 0;
+
+  for (const item of duplicateItems) {
+    const keeper = keeperItems.find(k => !k.deleted_at && ((item.line_key !== null && k.line_key === item.line_key)
+      || (k.platform_item_id === item.platform_item_id && Number(k.index) === Number(item.index))));
+
+    if (!keeper) {
+      // 남기는 주문의 소프트 삭제된 행이 같은 line_key를 쓰고 있으면 line_key를 비우고 옮김
+      // (다음 저장 시 item_id + index가 같은 라인으로 이어받음)
+      const lineKeyTaken = item.line_key !== null && keeperItems.some(k => k.line_key === item.line_key);
+      await tx.none(`
+        UPDATE public.toms_shopee_order_item SET
+          toms_order_id = $1,
+          line_key = CASE WHEN $3 THEN NULL ELSE line_key END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [keeperId, item.id, lineKeyTaken]);
+      keeperItems.push({ ...item, line_key: lineKeyTaken ? null : item.line_key });
+      continue;
+    }
+
+    // 남기는 아이템에 송장번호가 없으면 중복 아이템의 값 사용
+    await tx.none(`
+      UPDATE public.toms_shopee_order_item k SET
+        tracking_no = COALESCE(NULLIF(k.tracking_no, ''), d.tracking_no),
+        updated_at = CURRENT_TIMESTAMP
+      FROM public.toms_shopee_order_item d
+      WHERE k.id = $1 AND d.id = $2
+    `, [keeper.id, item.id]);
+
+    // 라인 고유키 유일성 때문에 line_key를 비우고 소프트 삭제
+    await tx.none(`
+      UPDATE public.toms_shopee_order_item SET
+        toms_order_id = $1,
+        line_key = NULL,
+        deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [keeperId, item.id]);
+    softDeleted++;
+  }
+
+  return { moved: duplicateItems.length - softDeleted, softDeleted };
+}
+
+async function mergeGroup(group) {
+  const [keeperId, ...duplicateIds] = group.order_ids;
+
+  return db.tx('dedup-order-tx', async tx => {
+    const summary = { logisticsMoved: 0, logisticsMerged: 0, itemsMoved: 0, itemsSoftDeleted: 0 };
+
+    for (const duplicateId of duplicateIds) {
+      const logistics = await mergeLogistics(tx, keeperId, duplicateId);
+      const items = await mergeItems(tx, keeperId, duplicateId);
+
+      await tx.none(`UPDATE public.toms_shopee_order_status_history SET toms_order_id = $1 WHERE toms_order_id = $2`, [keeperId, duplicateId]);
+      await tx.none(`DELETE FROM public.toms_shopee_order WHERE id = $1`, [duplicateId]);
+
+      summary.logisticsMoved += logistics.moved;
+      summary.logisticsMerged += logistics.merged;
+      summary.itemsMoved += items.moved;
+      summary.itemsSoftDeleted += items.softDeleted;
+    }
+
+    return summary;
+  });
+}
+
+async function dedupOrders() {
+  const apply = process.argv.includes('--apply');
+  let exitCode = 0;
+
+  try {
+    const groups = await findDuplicateGroups();
+
+    if (groups.length === 0) {
+      console.log('중복 주문이 없습니다.');
+      return;
+    }
+
+    console.log(`중복 주문 ${groups.length}건 발견${apply ? '' : ' (확인만 - 병합하려면 --apply)'}`);
+
+    for (const group of groups) {
+      const [keeperId, ...duplicateIds] = group.order_ids;
+      console.log(`- 주문번호: ${group.order_num}, 샵 ID: ${group.shop_id}, 남길 주문: ${keeperId}, 병합할 주문: ${duplicateIds.join(', ')}`);
+
+      if (!apply) {
+        continue;
+      }
+
+      try {
+        const summary = await mergeGroup(group);
+        console.log(`  병합 완료 - 물류 이동: ${summary.logisticsMoved}개, 물류 병합: ${summary.logisticsMerged}개, 아이템 이동: ${summary.itemsMoved}개, 중복 아이템 삭제: ${summary.itemsSoftDeleted}개`);
+      } catch (error) {
+        console.error(`  병합 실패 (롤백됨): ${error.message}`);
+        exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error('중복 주문 병합 오류:', error);
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+dedupOrders();
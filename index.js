@@ -27,6 +27,11 @@ async function main() {
       // 단일 프로세스 모드로 실행
       logger.info('단일 프로세스 모드로 실행');
       
+      // 시작 시 마이그레이션 적용 (DB_MIGRATE_ON_START=true)
+      if (config.db.migrateOnStart) {
+        await require('./db/migrator').up();
+      }
+      
       // 로컬 스케줄러 시작
       const orderScheduler = require('./schedules/orderScheduler');
       orderScheduler.start();
@@ -35,7 +40,12 @@ async function main() {
       const express = require('express');
       const app = express();
       
-      app.use(express.json());
+      // 푸시 서명 검증을 위해 원본 본문 보관
+      app.use(express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        }
+      }));
       
       // 상태 확인 API
       app.get('/health', (req, res) => {
@@ -133,6 +143,12 @@ async function main() {
         }
       });
       
+      // DB 연결 풀/쿼리 시간 통계 API
+      app.get('/db/stats', (req, res) => {
+        const db = require('./db/db');
+        res.json({ status: 'ok', master: db.getStats(), workers: [] });
+      });
+      
       // 특정 샵 수동 주문 수집 API
       app.post('/order/collect/:shopId', async (req, res) => {
         const { shopId } = req.params;
@@ -156,7 +172,306 @@ async function main() {
           res.status(500).json({ error: '주문 수집 작업 큐 추가 실패' });
         }
       });
+
+      // 특정 샵 과거 주문 백필 API
+      app.post('/order/backfill/:shopId', async (req, res) => {
+        const { shopId } = req.params;
+        const { startDate, endDate, orderStatus } = req.body || {};
+        
+        try {
+          const result = await orderScheduler.scheduleBackfill(shopId, { startDate, endDate, orderStatus });
+          
+          if (!result.success) {
+            return res.status(400).json({ status: 'error', message: result.error });
+          }
+          
+          res.json({
+            status: 'ok',
+            message: `샵 ID ${shopId}의 주문 백필 작업이 큐에 추가되었습니다.`,
+            jobId: result.jobId,
+            timeFrom: result.timeFrom,
+            timeTo: result.timeTo,
+            totalChunks: result.totalChunks
+          });
+        } catch (error) {
+          logger.error(`샵 ID ${shopId} 주문 백필 요청 중 오류:`, error);
+          res.status(500).json({ error: '주문 백필 작업 큐 추가 실패' });
+        }
+      });
+      
+      // 주문 백필 작업 진행 상태 조회 API
+      app.get('/order/backfill/:jobId', async (req, res) => {
+        const { jobId } = req.params;
+        
+        try {
+          const { orderCollectionQueue } = require('./queues/orderQueue');
+          
+          const job = await orderCollectionQueue.getJob(jobId);
+          
+          if (!job || job.name !== 'backfill-shop-orders') {
+            return res.status(404).json({ status: 'error', message: `백필 작업을 찾을 수 없습니다: ${jobId}` });
+          }
+          
+          res.json({
+            status: 'ok',
+            jobId: job.id,
+            state: await job.getState(),
+            progress: job.progress(),
+            data: job.data,
+            attemptsMade: job.attemptsMade,
+            failedReason: job.failedReason || null
+          });
+        } catch (error) {
+          logger.error(`백필 작업 ${jobId} 상태 조회 중 오류:`, error);
+          res.status(500).json({ error: '백필 작업 상태 조회 실패' });
+        }
+      });
+      
+      // 샵 인증 URL 생성 API (회사 플랫폼별)
+      app.get('/auth/shopee/url/:platformId', async (req, res) => {
+        const { platformId } = req.params;
+        
+        try {
+          const authService = require('./services/authService');
+          const result = await authService.createAuthorizationUrl(platformId);
+          
+          if (!result.success) {
+            return res.status(404).json({ status: 'error', message: result.error });
+          }
+          
+          res.json({
+            status: 'ok',
+            url: result.url,
+            expiresIn: result.expiresIn
+          });
+        } catch (error) {
+          logger.error(`회사 플랫폼 ${platformId} 샵 인증 URL 생성 중 오류:`, error);
+          res.status(500).json({ error: '샵 인증 URL 생성 실패' });
+        }
+      });
+
+      // 샵 인증 콜백 API (쇼피가 code, shop_id 또는 main_account_id를 전달)
+      app.get('/auth/shopee/callback', async (req, res) => {
+        const { code, shop_id: shopId, main_account_id: mainAccountId, state } = req.query;
+        
+        try {
+          const authService = require('./services/authService');
+          const result = await authService.handleCallback({ code, shopId, mainAccountId, state });
+          
+          if (!result.success) {
+            return res.status(400).json({ status: 'error', message: result.error });
+          }
+          
+          res.json({
+            status: 'ok',
+            message: `샵 ${result.shops.length}개의 인증이 완료되었습니다.`,
+            platformId: result.platformId,
+            shops: result.shops
+          });
+        } catch (error) {
+          logger.error(`샵 인증 콜백 처리 중 오류 (샵 ID: ${shopId || '-'}, 메인 계정 ID: ${mainAccountId || '-'}):`, error);
+          res.status(500).json({ error: '샵 인증 처리 실패' });
+        }
+      });
+
+      // 쇼피 푸시(웹훅) 수신 API
+      app.post('/shopee/push', async (req, res) => {
+        try {
+          const pushService = require('./services/pushService');
+          const result = await pushService.handlePush({
+            rawBody: req.rawBody,
+            authorization: req.get('Authorization')
+          });
+          
+          if (!result.success) {
+            return res.status(result.statusCode || 400).json({ status: 'error', message: result.error });
+          }
+          
+          res.json({
+            status: 'ok',
+            pushId: result.pushId || null,
+            action: result.action || null,
+            duplicate: result.duplicate === true
+          });
+        } catch (error) {
+          logger.error('쇼피 푸시 처리 중 오류:', error);
+          res.status(500).json({ error: '쇼피 푸시 처리 실패' });
+        }
+      });
+
+      // 저장된 쇼피 푸시 재처리 API
+      app.post('/shopee/push/:pushId/replay', async (req, res) => {
+        const { pushId } = req.params;
+        
+        try {
+          const pushService = require('./services/pushService');
+          const result = await pushService.replayPush(pushId);
+          
+          if (!result.success) {
+            return res.status(404).json({ status: 'error', message: result.error });
+          }
+          
+          res.json({
+            status: 'ok',
+            pushId: result.pushId,
+            action: result.action
+          });
+        } catch (error) {
+          logger.error(`쇼피 푸시 ${pushId} 재처리 중 오류:`, error);
+          res.status(500).json({ error: '쇼피 푸시 재처리 실패' });
+        }
+      });
+
+      // 샵 인증 상태 조회 API (재인증 필요 샵, 토큰 만료 정보)
+      app.get('/shops/auth-status', async (req, res) => {
+        try {
+          const tokenService = require('./services/tokenService');
+          const shops = await tokenService.getAuthStatus(config.shopee.isSandbox);
+          
+          res.json({
+            status: 'ok',
+            total: shops.length,
+            needsReauth: shops.filter(shop => shop.needsReauth).length,
+            refreshTokenExpiring: shops.filter(shop => shop.refreshTokenExpiring).length,
+            shops
+          });
+        } catch (error) {
+          logger.error('샵 인증 상태 조회 중 오류:', error);
+          res.status(500).json({ error: '샵 인증 상태 조회 실패' });
+        }
+      });
+
+      // 주문 추적 대상 목록 API
+      app.get('/order/trace', async (req, res) => {
+        try {
+          const orderTrace = require('./utils/orderTrace');
+          const orders = await orderTrace.listOrders();
+          res.json({ status: 'ok', total: orders.length, orders });
+        } catch (error) {
+          logger.error('주문 추적 대상 조회 중 오류:', error);
+          res.status(500).json({ error: '주문 추적 대상 조회 실패' });
+        }
+      });
+
+      // 주문 추적 대상 추가 API (body: { orderSns: [...], ttlHours })
+      app.post('/order/trace', async (req, res) => {
+        const { orderSn, orderSns, ttlHours } = req.body || {};
+        const targets = (orderSns || (orderSn ? [orderSn] : [])).filter(Boolean);
+        
+        if (targets.length === 0) {
+          return res.status(400).json({ status: 'error', message: 'orderSns(또는 orderSn)가 필요합니다.' });
+        }
+        
+        try {
+          const orderTrace = require('./utils/orderTrace');
+          const orders = await orderTrace.addOrders(targets, { ttlHours: ttlHours ? parseFloat(ttlHours) : null });
+          res.json({ status: 'ok', orders });
+        } catch (error) {
+          logger.error('주문 추적 대상 추가 중 오류:', error);
+          res.status(500).json({ error: '주문 추적 대상 추가 실패' });
+        }
+      });
+
+      // 주문 추적 대상 제거 API (?purge=true 이면 추적 기록도 삭제)
+      app.delete('/order/trace/:orderSn', async (req, res) => {
+        const { orderSn } = req.params;
+        
+        try {
+          const orderTrace = require('./utils/orderTrace');
+          const removed = await orderTrace.removeOrder(orderSn, { purge: req.query.purge === 'true' });
+          res.json({ status: 'ok', orderSn, removed });
+        } catch (error) {
+          logger.error(`주문 ${orderSn} 추적 대상 제거 중 오류:`, error);
+          res.status(500).json({ error: '주문 추적 대상 제거 실패' });
+        }
+      });
+
+      // 주문 추적 기록 조회 API (주문 ID 또는 주문번호)
+      app.get('/order/:orderId/trace', async (req, res) => {
+        const { orderId } = req.params;
+        const orderRepository = require('./db/orderRepository');
+        const orderTrace = require('./utils/orderTrace');
+        
+        try {
+          // UUID 형식이면 주문번호로 변환
+          const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(orderId);
+          const orderSn = isUuid ? await orderRepository.getOrderNumById(orderId) : orderId;
+          
+          if (!orderSn) {
+            return res.status(404).json({ status: 'error', message: `주문 정보를 찾을 수 없습니다: ${orderId}` });
+          }
+          
+          const trace = await orderTrace.getTrace(orderSn);
+          res.json({ status: 'ok', ...trace, total: trace.entries.length });
+        } catch (error) {
+          logger.error(`주문 ${orderId} 추적 기록 조회 중 오류:`, error);
+          res.status(500).json({ error: '주문 추적 기록 조회 실패' });
+        }
+      });
+
+      // 주문 상태 변경 이력 조회 API (주문 ID 또는 주문번호)
+      app.get('/order/:orderId/timeline', async (req, res) => {
+        const { orderId } = req.params;
+        const orderRepository = require('./db/orderRepository');
+        const orderStatusRepository = require('./db/orderStatusRepository');
+        
+        try {
+          // UUID 형식이 아니면 주문번호로 주문 ID 조회
+          const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(orderId);
+          const tomsOrderId = isUuid ? orderId : await orderRepository.getOrderIdByNum(orderId);
+          
+          if (!tomsOrderId) {
+            return res.status(404).json({ status: 'error', message: `주문 정보를 찾을 수 없습니다: ${orderId}` });
+          }
+          
+          const timeline = await orderStatusRepository.getTimeline(tomsOrderId);
+          res.json({ status: 'ok', orderId: tomsOrderId, total: timeline.length, timeline });
+        } catch (error) {
+          logger.error(`주문 ${orderId} 상태 변경 이력 조회 중 오류:`, error);
+          res.status(500).json({ error: '주문 상태 변경 이력 조회 실패' });
+        }
+      });
       
+      // 샵별 평균 단계 소요 시간 리포트 API (?shopId=&from=&to=, from/to는 ISO 날짜)
+      app.get('/report/status-durations', async (req, res) => {
+        const { shopId, from, to } = req.query;
+        const orderStatusRepository = require('./db/orderStatusRepository');
+        
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+          return res.status(400).json({ status: 'error', message: 'from, to는 ISO 날짜 형식이어야 합니다.' });
+        }
+        
+        try {
+          const shops = await orderStatusRepository.getStageDurations({ shopId: shopId || null, from: fromDate, to: toDate });
+          res.json({ status: 'ok', total: shops.length, shops });
+        } catch (error) {
+          logger.error('주문 단계 소요 시간 리포트 조회 중 오류:', error);
+          res.status(500).json({ error: '주문 단계 소요 시간 리포트 조회 실패' });
+        }
+      });
+        
+      // 주문 목록 조회 API (필터, 정렬, 키셋 페이지네이션 - 파라미터는 utils/orderQuery.js 참고)
+      app.get('/orders', async (req, res) => {
+        const orderRepository = require('./db/orderRepository');
+        const { parseOrderListQuery } = require('./utils/orderQuery');
+        const parsed = parseOrderListQuery(req.query);
+        
+        if (parsed.error) {
+          return res.status(400).json({ status: 'error', message: parsed.error });
+        }
+        
+        try {
+          const { orders, nextCursor } = await orderRepository.findOrders(parsed.filters, parsed.options);
+          res.json({ status: 'ok', count: orders.length, nextCursor, orders });
+        } catch (error) {
+          logger.error('주문 목록 조회 중 오류:', error);
+          res.status(500).json({ error: '주문 목록 조회 실패' });
+        }
+      });
+        
       // 주문 상세 정보 조회 API
       app.get('/order/:orderId', async (req, res) => {
         const { orderId } = req.params;
@@ -4,6 +4,15 @@ const express = require('express');
 const logger = require('./utils/logger');
 const config = require('./config/config');
 const orderScheduler = require('./schedules/orderScheduler');
+const tokenService = require('./services/tokenService');
+const authService = require('./services/authService');
+const pushService = require('./services/pushService');
+const orderRepository = require('./db/orderRepository');
+const orderStatusRepository = require('./db/orderStatusRepository');
+const db = require('./db/db');
+const migrator = require('./db/migrator');
+const orderTrace = require('./utils/orderTrace');
+const { parseOrderListQuery } = require('./utils/orderQuery');
 const { orderCollectionQueue } = require('./queues/orderQueue');
 
 // 클러스터 모드 설정
@@ -23,13 +32,18 @@ class Master {
    * Express 서버 설정
    */
   setupExpress() {
-    this.app.use(express.json());
+    // 푸시 서명 검증을 위해 원본 본문 보관
+    this.app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
 
     // 상태 확인 API
     this.app.get('/health', (req, res) => {
       res.json({
         status: 'ok',
-        workers: Array.from(this.workerMap.values()),
+        workers: Array.from(this.workerMap.values()).map(({ db: dbStats, ...worker }) => worker),
         timestamp: new Date().toISOString()
       });
     });
@@ -81,6 +95,302 @@ class Master {
       }
     });
 
+    // 특정 샵 과거 주문 백필 API
+    this.app.post('/order/backfill/:shopId', async (req, res) => {
+      const { shopId } = req.params;
+      const { startDate, endDate, orderStatus } = req.body || {};
+      
+      try {
+        const result = await orderScheduler.scheduleBackfill(shopId, { startDate, endDate, orderStatus });
+        
+        if (!result.success) {
+          return res.status(400).json({ status: 'error', message: result.error });
+        }
+        
+        res.json({
+          status: 'ok',
+          message: `샵 ID ${shopId}의 주문 백필 작업이 큐에 추가되었습니다.`,
+          jobId: result.jobId,
+          timeFrom: result.timeFrom,
+          timeTo: result.timeTo,
+          totalChunks: result.totalChunks
+        });
+      } catch (error) {
+        logger.error(`샵 ID ${shopId} 주문 백필 요청 중 오류:`, error);
+        res.status(500).json({ error: '주문 백필 작업 큐 추가 실패' });
+      }
+    });
+    
+    // 주문 백필 작업 진행 상태 조회 API
+    this.app.get('/order/backfill/:jobId', async (req, res) => {
+      const { jobId } = req.params;
+      
+      try {
+        const job = await orderCollectionQueue.getJob(jobId);
+        
+        if (!job || job.name !== 'backfill-shop-orders') {
+          return res.status(404).json({ status: 'error', message: `백필 작업을 찾을 수 없습니다: ${jobId}` });
+        }
+        
+        res.json({
+          status: 'ok',
+          jobId: job.id,
+          state: await job.getState(),
+          progress: job.progress(),
+          data: job.data,
+          attemptsMade: job.attemptsMade,
+          failedReason: job.failedReason || null
+        });
+      } catch (error) {
+        logger.error(`백필 작업 ${jobId} 상태 조회 중 오류:`, error);
+        res.status(500).json({ error: '백필 작업 상태 조회 실패' });
+      }
+    });
+
+    // 샵 인증 URL 생성 API (회사 플랫폼별)
+    this.app.get('/auth/shopee/url/:platformId', async (req, res) => {
+      const { platformId } = req.params;
+      
+      try {
+        const result = await authService.createAuthorizationUrl(platformId);
+        
+        if (!result.success) {
+          return res.status(404).json({ status: 'error', message: result.error });
+        }
+        
+        res.json({
+          status: 'ok',
+          url: result.url,
+          expiresIn: result.expiresIn
+        });
+      } catch (error) {
+        logger.error(`회사 플랫폼 ${platformId} 샵 인증 URL 생성 중 오류:`, error);
+        res.status(500).json({ error: '샵 인증 URL 생성 실패' });
+      }
+    });
+
+    // 샵 인증 콜백 API (쇼피가 code, shop_id 또는 main_account_id를 전달)
+    this.app.get('/auth/shopee/callback', async (req, res) => {
+      const { code, shop_id: shopId, main_account_id: mainAccountId, state } = req.query;
+      
+      try {
+        const result = await authService.handleCallback({ code, shopId, mainAccountId, state });
+        
+        if (!result.success) {
+          return res.status(400).json({ status: 'error', message: result.error });
+        }
+        
+        res.json({
+          status: 'ok',
+          message: `샵 ${result.shops.length}개의 인증이 완료되었습니다.`,
+          platformId: result.platformId,
+          shops: result.shops
+        });
+      } catch (error) {
+        logger.error(`샵 인증 콜백 처리 중 오류 (샵 ID: ${shopId || '-'}, 메인 계정 ID: ${mainAccountId || '-'}):`, error);
+        res.status(500).json({ error: '샵 인증 처리 실패' });
+      }
+    });
+
+    // 쇼피 푸시(웹훅) 수신 API
+    this.app.post('/shopee/push', async (req, res) => {
+      try {
+        const result = await pushService.handlePush({
+          rawBody: req.rawBody,
+          authorization: req.get('Authorization')
+        });
+        
+        if (!result.success) {
+          return res.status(result.statusCode || 400).json({ status: 'error', message: result.error });
+        }
+        
+        res.json({
+          status: 'ok',
+          pushId: result.pushId || null,
+          action: result.action || null,
+          duplicate: result.duplicate === true
+        });
+      } catch (error) {
+        logger.error('쇼피 푸시 처리 중 오류:', error);
+        res.status(500).json({ error: '쇼피 푸시 처리 실패' });
+      }
+    });
+
+    // 저장된 쇼피 푸시 재처리 API
+    this.app.post('/shopee/push/:pushId/replay', async (req, res) => {
+      const { pushId } = req.params;
+      
+      try {
+        const result = await pushService.replayPush(pushId);
+        
+        if (!result.success) {
+          return res.status(404).json({ status: 'error', message: result.error });
+        }
+        
+        res.json({
+          status: 'ok',
+          pushId: result.pushId,
+          action: result.action
+        });
+      } catch (error) {
+        logger.error(`쇼피 푸시 ${pushId} 재처리 중 오류:`, error);
+        res.status(500).json({ error: '쇼피 푸시 재처리 실패' });
+      }
+    });
+
+    // 샵 인증 상태 조회 API (재인증 필요 샵, 토큰 만료 정보)
+    this.app.get('/shops/auth-status', async (req, res) => {
+      try {
+        const shops = await tokenService.getAuthStatus(config.shopee.isSandbox);
+        
+        res.json({
+          status: 'ok',
+          total: shops.length,
+          needsReauth: shops.filter(shop => shop.needsReauth).length,
+          refreshTokenExpiring: shops.filter(shop => shop.refreshTokenExpiring).length,
+          shops
+        });
+      } catch (error) {
+        logger.error('샵 인증 상태 조회 중 오류:', error);
+        res.status(500).json({ error: '샵 인증 상태 조회 실패' });
+      }
+    });
+
+    // 주문 추적 대상 목록 API
+    this.app.get('/order/trace', async (req, res) => {
+      try {
+        const orders = await orderTrace.listOrders();
+        res.json({ status: 'ok', total: orders.length, orders });
+      } catch (error) {
+        logger.error('주문 추적 대상 조회 중 오류:', error);
+        res.status(500).json({ error: '주문 추적 대상 조회 실패' });
+      }
+    });
+
+    // 주문 추적 대상 추가 API (body: { orderSns: [...], ttlHours })
+    this.app.post('/order/trace', async (req, res) => {
+      const { orderSn, orderSns, ttlHours } = req.body || {};
+      const targets = (orderSns || (orderSn ? [orderSn] : [])).filter(Boolean);
+      
+      if (targets.length === 0) {
+        return res.status(400).json({ status: 'error', message: 'orderSns(또는 orderSn)가 필요합니다.' });
+      }
+      
+      try {
+        const orders = await orderTrace.addOrders(targets, { ttlHours: ttlHours ? parseFloat(ttlHours) : null });
+        res.json({ status: 'ok', orders });
+      } catch (error) {
+        logger.error('주문 추적 대상 추가 중 오류:', error);
+        res.status(500).json({ error: '주문 추적 대상 추가 실패' });
+      }
+    });
+
+    // 주문 추적 대상 제거 API (?purge=true 이면 추적 기록도 삭제)
+    this.app.delete('/order/trace/:orderSn', async (req, res) => {
+      const { orderSn } = req.params;
+      
+      try {
+        const removed = await orderTrace.removeOrder(orderSn, { purge: req.query.purge === 'true' });
+        res.json({ status: 'ok', orderSn, removed });
+      } catch (error) {
+        logger.error(`주문 ${orderSn} 추적 대상 제거 중 오류:`, error);
+        res.status(500).json({ error: '주문 추적 대상 제거 실패' });
+      }
+    });
+
+    // 주문 추적 기록 조회 API (주문 ID 또는 주문번호)
+    this.app.get('/order/:orderId/trace', async (req, res) => {
+      const { orderId } = req.params;
+      
+      try {
+        // UUID 형식이면 주문번호로 변환
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(orderId);
+        const orderSn = isUuid ? await orderRepository.getOrderNumById(orderId) : orderId;
+        
+        if (!orderSn) {
+          return res.status(404).json({ status: 'error', message: `주문 정보를 찾을 수 없습니다: ${orderId}` });
+        }
+        
+        const trace = await orderTrace.getTrace(orderSn);
+        res.json({ status: 'ok', ...trace, total: trace.entries.length });
+      } catch (error) {
+        logger.error(`주문 ${orderId} 추적 기록 조회 중 오류:`, error);
+        res.status(500).json({ error: '주문 추적 기록 조회 실패' });
+      }
+    });
+
+    // 주문 상태 변경 이력 조회 API (주문 ID 또는 주문번호)
+    this.app.get('/order/:orderId/timeline', async (req, res) => {
+      const { orderId } = req.params;
+      
+      try {
+        // UUID 형식이 아니면 주문번호로 주문 ID 조회
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(orderId);
+        const tomsOrderId = isUuid ? orderId : await orderRepository.getOrderIdByNum(orderId);
+        
+        if (!tomsOrderId) {
+          return res.status(404).json({ status: 'error', message: `주문 정보를 찾을 수 없습니다: ${orderId}` });
+        }
+        
+        const timeline = await orderStatusRepository.getTimeline(tomsOrderId);
+        res.json({ status: 'ok', orderId: tomsOrderId, total: timeline.length, timeline });
+      } catch (error) {
+        logger.error(`주문 ${orderId} 상태 변경 이력 조회 중 오류:`, error);
+        res.status(500).json({ error: '주문 상태 변경 이력 조회 실패' });
+      }
+    });
+
+    // 주문 목록 조회 API (필터, 정렬, 키셋 페이지네이션 - 파라미터는 utils/orderQuery.js 참고)
+    this.app.get('/orders', async (req, res) => {
+      const parsed = parseOrderListQuery(req.query);
+      
+      if (parsed.error) {
+        return res.status(400).json({ status: 'error', message: parsed.error });
+      }
+      
+      try {
+        const { orders, nextCursor } = await orderRepository.findOrders(parsed.filters, parsed.options);
+        res.json({ status: 'ok', count: orders.length, nextCursor, orders });
+      } catch (error) {
+        logger.error('주문 목록 조회 중 오류:', error);
+        res.status(500).json({ error: '주문 목록 조회 실패' });
+      }
+    });
+
+    // 샵별 평균 단계 소요 시간 리포트 API (?shopId=&from=&to=, from/to는 ISO 날짜)
+    this.app.get('/report/status-durations', async (req, res) => {
+      const { shopId, from, to } = req.query;
+      
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ status: 'error', message: 'from, to는 ISO 날짜 형식이어야 합니다.' });
+      }
+      
+      try {
+        const shops = await orderStatusRepository.getStageDurations({ shopId: shopId || null, from: fromDate, to: toDate });
+        res.json({ status: 'ok', total: shops.length, shops });
+      } catch (error) {
+        logger.error('주문 단계 소요 시간 리포트 조회 중 오류:', error);
+        res.status(500).json({ error: '주문 단계 소요 시간 리포트 조회 실패' });
+      }
+    });
+
+    // DB 연결 풀/쿼리 시간 통계 API (워커 통계는 마지막 상태 보고 기준)
+    this.app.get('/db/stats', (req, res) => {
+      res.json({
+        status: 'ok',
+        master: db.getStats(),
+        workers: Array.from(this.workerMap.values()).map(worker => ({
+          id: worker.id,
+          pid: worker.pid,
+          lastUpdate: worker.lastUpdate,
+          db: worker.db || null
+        }))
+      });
+    });
+
     // 시스템 정보 API
     this.app.get('/system/info', (req, res) => {
       res.json({
@@ -110,6 +420,7 @@ class Master {
         pid: worker.process.pid,
         status: message.status,
         jobs: message.jobs,
+        db: message.db,
         lastUpdate: new Date().toISOString()
       });
 
@@ -168,9 +479,13 @@ class Master {
   }
 
   /**
-   * 마스터 프로세스 시작
+   * 마스터 프로세스 시작 (DB_MIGRATE_ON_START=true 이면 워커 시작 전에 마이그레이션 적용)
    */
-  start() {
+  async start() {
+    if (config.db.migrateOnStart) {
+      await migrator.up();
+    }
+    
     if (config.cluster.enabled) {
       // 클러스터 모드로 실행
       this.initCluster();
@@ -216,7 +531,10 @@ class Master {
 // 마스터 프로세스 시작
 if (cluster.isMaster) {
   const master = new Master();
-  master.start();
+  master.start().catch(error => {
+    logger.error('마스터 프로세스 시작 실패:', error);
+    process.exit(1);
+  });
 } else {
   // 워커 프로세스는 worker.js 로직을 사용
   require('./worker');
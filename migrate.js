@@ -0,0 +1,43 @@
+const migrator = require('./db/migrator');
+
+/**
+ * DB 스키마 마이그레이션
+ * 사용법: node migrate.js <up|down|status> [--to=버전] [--steps=개수]
+ * - up: 대기 중인 마이그레이션 적용 (--to=006 이면 006까지만), 이후 바뀐 스토어드 함수 재적용
+ * - down: 마지막으로 적용된 마이그레이션 되돌리기 (--steps=2 이면 2개)
+ * - status: 마이그레이션별 적용 상태 출력
+ */
+function readOption(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function migrate() {
+  const command = process.argv[2] || 'up';
+  let exitCode = 0;
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up({ to: readOption('to') });
+      console.log(applied.length > 0 ? `적용 완료: ${applied.join(', ')}` : '적용할 마이그레이션이 없습니다.');
+    } else if (command === 'down') {
+      const reverted = await migrator.down({ steps: parseInt(readOption('steps') || '1', 10) });
+      console.log(reverted.length > 0 ? `되돌림 완료: ${reverted.join(', ')}` : '되돌릴 마이그레이션이 없습니다.');
+    } else if (command === 'status') {
+      const rows = await migrator.status();
+      rows.forEach(row => {
+        console.log(`${row.state.padEnd(8)} ${row.version} ${row.name}${row.appliedAt ? ` (${row.appliedAt.toISOString()})` : ''}`);
+      });
+    } else {
+      console.error('사용법: node migrate.js <up|down|status> [--to=버전] [--steps=개수]');
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('마이그레이션 오류:', error.message);
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+migrate();
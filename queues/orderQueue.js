@@ -5,6 +5,14 @@ const logger = require('../utils/logger');
 const redisConfig = require('../config/redis');
 const shopeeConfig = require('../config/shopee');
 const config = require('../config/config');
+const { shopeeBackoffStrategy } = require('../utils/retryUtils');
+
+// 오류 분류(ShopeeApiError.category)에 따라 재시도 여부와 지연 시간을 결정하는 전략
+const queueSettings = {
+  backoffStrategies: {
+    shopeeApi: shopeeBackoffStrategy
+  }
+};
 
 // Redis 클라이언트 생성
 const createRedisClient = () => {
@@ -35,11 +43,12 @@ const orderCollectionQueue = new Queue('orderCollection', {
     port: config.redis.port,
     password: config.redis.password
   },
+  settings: queueSettings,
   defaultJobOptions: {
     attempts: 3,
     backoff: {
-      type: 'exponential',
-      delay: 1000
+      type: 'shopeeApi',
+      options: { delay: 1000 }
     },
     removeOnComplete: 100, // 성공한 작업 중 최대 100개만 저장
     removeOnFail: 200      // 실패한 작업 중 최대 200개만 저장
@@ -53,11 +62,12 @@ const orderDetailQueue = new Queue('orderDetail', {
     port: config.redis.port,
     password: config.redis.password
   },
+  settings: queueSettings,
   defaultJobOptions: {
     attempts: 3,
     backoff: {
-      type: 'exponential',
-      delay: 2000
+      type: 'shopeeApi',
+      options: { delay: 2000 }
     },
     removeOnComplete: 100,
     removeOnFail: 200
@@ -71,11 +81,12 @@ const shipmentInfoQueue = new Queue('shipmentInfo', {
     port: config.redis.port,
     password: config.redis.password
   },
+  settings: queueSettings,
   defaultJobOptions: {
     attempts: 3,
     backoff: {
-      type: 'exponential',
-      delay: 2000
+      type: 'shopeeApi',
+      options: { delay: 2000 }
     },
     removeOnComplete: 100,
     removeOnFail: 200
@@ -89,11 +100,12 @@ const inventoryQueue = new Queue('inventory', {
     port: config.redis.port,
     password: config.redis.password
   },
+  settings: queueSettings,
   defaultJobOptions: {
     attempts: 3,
     backoff: {
-      type: 'exponential',
-      delay: 1500
+      type: 'shopeeApi',
+      options: { delay: 1500 }
     },
     removeOnComplete: 100,
     removeOnFail: 200
@@ -1,16 +1,21 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const shopRepository = require('../db/shopRepository');
+const tokenService = require('../services/tokenService');
 const config = require('../config/config');
+const shopeeConfig = require('../config/shopee');
 const { orderCollectionQueue } = require('../queues/orderQueue');
 const cluster = require('cluster');
 
 class OrderScheduler {
   constructor() {
     this.cronExpression = config.scheduler.cronExpression;
+    this.tokenCronExpression = config.scheduler.tokenCronExpression || '*/30 * * * *';
     this.isRunning = false;
+    this.isTokenMaintenanceRunning = false;
     this.currentJobs = new Map(); // 실행 중인 작업 목록
     this.cronJob = null;
+    this.tokenCronJob = null;
   }
 
   /**
@@ -63,10 +68,88 @@ class OrderScheduler {
       }
     });
     
+    // 토큰 관리 작업 스케줄링 (만료 예정 토큰 선제 갱신, 재인증 필요 샵 점검)
+    logger.info(`토큰 관리 스케줄러 시작 (cron: ${this.tokenCronExpression})`);
+    this.tokenCronJob = cron.schedule(this.tokenCronExpression, async () => {
+      await this.runTokenMaintenance();
+    });
+    
     // 초기 실행 (즉시 1회 실행)
     this._initialRun();
   }
   
+  /**
+   * 토큰 관리 작업 실행
+   * - N시간 안에 만료되는 액세스 토큰을 미리 갱신
+   * - 갱신 불가능한 샵은 tokenService에서 재인증 필요(needs_reauth)로 표시되어 정기 수집에서 제외됨
+   * - 리프레시 토큰이 30일 제한에 가까운 샵은 경고
+   * @returns {Promise<Object>} - 실행 결과
+   */
+  async runTokenMaintenance() {
+    if (this.isTokenMaintenanceRunning) {
+      logger.warn('이전 토큰 관리 작업이 아직 실행 중입니다. 이번 실행은 건너뜁니다.');
+      return { success: false, error: '이미 실행 중' };
+    }
+    
+    this.isTokenMaintenanceRunning = true;
+    
+    const result = {
+      checked: 0,
+      refreshed: 0,
+      failed: 0,
+      needsReauth: [],
+      refreshTokenExpiring: []
+    };
+    
+    try {
+      const refreshHours = config.scheduler.tokenRefreshHours || 2;
+      const expireBefore = Math.floor(Date.now() / 1000) + (refreshHours * 60 * 60);
+      
+      const shops = await shopRepository.getShopsWithExpiringTokens(expireBefore, config.shopee.isSandbox);
+      result.checked = shops.length;
+      
+      if (shops.length > 0) {
+        logger.info(`${refreshHours}시간 안에 토큰이 만료되는 샵 ${shops.length}개 갱신 시작`);
+      }
+      
+      // 샵별로 락을 잡고 갱신하므로 순차 처리
+      for (const shop of shops) {
+        try {
+          await tokenService.ensureValidToken(shop, { force: true });
+          result.refreshed++;
+        } catch (error) {
+          result.failed++;
+          logger.error(`샵 ID ${shop.shop_id}의 토큰 선제 갱신 실패: ${error.message}`);
+        }
+      }
+      
+      // 재인증 필요 샵, 리프레시 토큰 만료 임박 샵 점검
+      const statuses = await tokenService.getAuthStatus(config.shopee.isSandbox);
+      
+      for (const status of statuses) {
+        if (status.needsReauth) {
+          result.needsReauth.push(status.shopId);
+        } else if (status.refreshTokenExpiring) {
+          result.refreshTokenExpiring.push(status.shopId);
+          logger.warn(`샵 ID ${status.shopId}의 리프레시 토큰이 곧 만료됩니다 (만료: ${status.refreshTokenExpireAt}). 토큰 갱신 상태를 확인하세요.`);
+        }
+      }
+      
+      if (result.needsReauth.length > 0) {
+        logger.warn(`재인증이 필요한 샵 ${result.needsReauth.length}개: ${result.needsReauth.join(', ')}`);
+      }
+      
+      logger.info(`토큰 관리 작업 완료 - 대상: ${result.checked}개, 갱신: ${result.refreshed}개, 실패: ${result.failed}개`);
+      
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('토큰 관리 작업 중 오류 발생:', error);
+      return { success: false, error: error.message, ...result };
+    } finally {
+      this.isTokenMaintenanceRunning = false;
+    }
+  }
+  
   /**
    * 초기 실행 (서비스 시작 시 1회 실행)
    * @private
@@ -116,7 +199,7 @@ class OrderScheduler {
           { shopId: shop.shop_id },
           { 
             attempts: config.scheduler.maxRetryCount,
-            backoff: { type: 'exponential', delay: 5000 },
+            backoff: { type: 'shopeeApi', options: { delay: 5000 } },
             removeOnComplete: true
           }
         );
@@ -163,7 +246,7 @@ class OrderScheduler {
           { shopId },
           { 
             attempts: config.scheduler.maxRetryCount,
-            backoff: { type: 'exponential', delay: 5000 },
+            backoff: { type: 'shopeeApi', options: { delay: 5000 } },
             removeOnComplete: true 
           }
         );
@@ -215,7 +298,7 @@ class OrderScheduler {
         { 
           priority: 1, // 높은 우선순위
           attempts: config.scheduler.maxRetryCount,
-          backoff: { type: 'exponential', delay: 2000 },
+          backoff: { type: 'shopeeApi', options: { delay: 2000 } },
           removeOnComplete: true
         }
       );
@@ -233,6 +316,103 @@ class OrderScheduler {
     }
   }
   
+  /**
+   * 특정 샵의 과거 주문 백필 작업 등록
+   * @param {string} shopId - 샵 ID
+   * @param {Object} options - 백필 옵션
+   * @param {string} options.startDate - 시작일 (ISO 8601 또는 YYYY-MM-DD)
+   * @param {string} options.endDate - 종료일 (YYYY-MM-DD 형식이면 해당 일자 포함)
+   * @param {string} [options.orderStatus] - 주문 상태 필터
+   * @returns {Promise<Object>} - 등록 결과
+   */
+  async scheduleBackfill(shopId, options = {}) {
+    const { startDate, endDate, orderStatus = null } = options;
+    
+    try {
+      const timeFrom = this._parseBackfillDate(startDate, false);
+      const timeTo = Math.min(this._parseBackfillDate(endDate, true), Math.floor(Date.now() / 1000));
+      
+      if (timeFrom === null || timeTo === null) {
+        return { success: false, error: 'startDate와 endDate를 올바른 날짜 형식으로 입력해야 합니다.' };
+      }
+      
+      if (timeFrom >= timeTo) {
+        return { success: false, error: 'startDate는 endDate(또는 현재 시각)보다 이전이어야 합니다.' };
+      }
+      
+      if (orderStatus && !Object.values(shopeeConfig.orderStatus).includes(orderStatus)) {
+        return { success: false, error: `지원하지 않는 주문 상태: ${orderStatus}` };
+      }
+      
+      const shop = await shopRepository.getShopById(shopId);
+      if (!shop) {
+        return { success: false, error: '샵을 찾을 수 없음' };
+      }
+      
+      // 동일한 백필 요청은 하나의 작업으로 처리 (jobId 중복 시 Bull이 추가하지 않음)
+      const jobId = `backfill-${shopId}-${timeFrom}-${timeTo}-${orderStatus || 'ALL'}`;
+      
+      // 완료되었거나 최종 실패한 같은 작업이 남아 있으면 제거하고 새로 등록 (남아 있으면 같은 요청이 무시됨)
+      const previousJob = await orderCollectionQueue.getJob(jobId);
+      if (previousJob) {
+        const state = await previousJob.getState();
+        if (state === 'completed' || state === 'failed') {
+          logger.info(`샵 ID ${shopId}의 이전 백필 작업(${jobId}, ${state})을 제거하고 다시 등록합니다.`);
+          await previousJob.remove();
+        }
+      }
+      
+      const job = await orderCollectionQueue.add(
+        'backfill-shop-orders',
+        { shopId, timeFrom, timeTo, orderStatus, lastCompletedChunk: -1, failedOrderSns: [] },
+        {
+          jobId,
+          priority: 10, // 정기 수집보다 낮은 우선순위
+          attempts: config.scheduler.maxRetryCount,
+          backoff: { type: 'shopeeApi', options: { delay: 10000 } }
+        }
+      );
+      
+      const totalChunks = Math.ceil((timeTo - timeFrom) / (15 * 24 * 60 * 60));
+      logger.info(`샵 ID ${shopId} 주문 백필 작업이 큐에 추가됨 (작업 ID: ${job.id}, 구간: ${totalChunks}개)`);
+      
+      return {
+        success: true,
+        message: '주문 백필 작업이 큐에 추가되었습니다.',
+        jobId: job.id,
+        timeFrom,
+        timeTo,
+        totalChunks
+      };
+    } catch (error) {
+      logger.error(`샵 ID ${shopId} 주문 백필 작업 등록 중 오류 발생:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * 백필 날짜 문자열을 Unix 시간(초)으로 변환
+   * @private
+   * @param {string} value - 날짜 문자열
+   * @param {boolean} isEnd - 종료일 여부 (YYYY-MM-DD이면 다음날 0시로 변환)
+   * @returns {number|null} - Unix 시간 (초), 파싱 실패 시 null
+   */
+  _parseBackfillDate(value, isEnd) {
+    if (!value) {
+      return null;
+    }
+    
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      return null;
+    }
+    
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const endOffset = isEnd && isDateOnly ? 24 * 60 * 60 * 1000 : 0;
+    
+    return Math.floor((time + endOffset) / 1000);
+  }
+  
   /**
    * 스케줄러 종료
    */
@@ -241,6 +421,11 @@ class OrderScheduler {
       this.cronJob.stop();
       logger.info('주문 수집 스케줄러 종료됨');
     }
+    
+    if (this.tokenCronJob) {
+      this.tokenCronJob.stop();
+      logger.info('토큰 관리 스케줄러 종료됨');
+    }
   }
 }
 
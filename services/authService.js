@@ -0,0 +1,103 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const redisClient = require('../utils/redis');
+const shopeeApiFactory = require('./shopeeApiFactory');
+const shopRepository = require('../db/shopRepository');
+
+// 인증 요청 state 유효 시간 (초)
+const AUTH_STATE_TTL_SECONDS = 10 * 60;
+
+class AuthService {
+  /**
+   * 샵 인증 URL 생성
+   * - 콜백에서 어느 회사 플랫폼의 요청인지 확인할 수 있도록 state를 Redis에 저장
+   * @param {string} platformId - company_platform.id
+   * @returns {Promise<Object>} - 인증 URL 정보 ({ success, url, expiresIn } 또는 { success: false, error })
+   */
+  async createAuthorizationUrl(platformId) {
+    const platform = await shopRepository.getCompanyPlatformById(platformId);
+
+    if (!platform || !platform.isactive) {
+      return { success: false, error: '활성화된 쇼피 회사 플랫폼을 찾을 수 없음' };
+    }
+
+    const state = uuidv4();
+    await redisClient.set(`auth:state:${state}`, String(platform.id), 'EX', AUTH_STATE_TTL_SECONDS);
+
+    const redirectUrl = new URL(config.shopee.authRedirectUrl);
+    redirectUrl.searchParams.set('state', state);
+
+    // 회사 플랫폼 환경(샌드박스/라이브)에 맞는 클라이언트 사용
+    const shopeeApi = shopeeApiFactory.forPlatform(platform);
+    const url = shopeeApi.getAuthorizationUrl(redirectUrl.toString());
+
+    logger.info(`회사 플랫폼 ${platform.id}의 샵 인증 URL 생성 (샌드박스 모드: ${shopeeApi.isSandbox})`);
+
+    return { success: true, url, expiresIn: AUTH_STATE_TTL_SECONDS };
+  }
+
+  /**
+   * 샵 인증 콜백 처리
+   * - 인증 코드를 토큰으로 교환하고 shopee_shop에 등록/갱신
+   * - 메인 계정 인증이면 응답의 shop_id_list에 있는 모든 샵을 같은 토큰으로 등록
+   * @param {Object} params - 콜백 파라미터
+   * @param {string} params.code - 인증 코드
+   * @param {string} [params.shopId] - 인증한 샵 ID
+   * @param {string} [params.mainAccountId] - 인증한 메인 계정 ID
+   * @param {string} params.state - createAuthorizationUrl에서 발급한 state
+   * @returns {Promise<Object>} - 처리 결과 ({ success, platformId, shops } 또는 { success: false, error })
+   */
+  async handleCallback({ code, shopId, mainAccountId, state }) {
+    if (!code || (!shopId && !mainAccountId)) {
+      return { success: false, error: 'code와 shop_id(또는 main_account_id)가 필요합니다.' };
+    }
+
+    if (!state) {
+      return { success: false, error: 'state가 없습니다.' };
+    }
+
+    // state는 1회만 사용 (재사용 방지)
+    const stateKey = `auth:state:${state}`;
+    const [[, platformId]] = await redisClient.multi().get(stateKey).del(stateKey).exec();
+
+    if (!platformId) {
+      return { success: false, error: '만료되었거나 유효하지 않은 state입니다.' };
+    }
+
+    const platform = await shopRepository.getCompanyPlatformById(platformId);
+    if (!platform) {
+      return { success: false, error: '쇼피 회사 플랫폼을 찾을 수 없음' };
+    }
+
+    const tokenResponse = await shopeeApiFactory.forPlatform(platform).getAccessToken(code, shopId, mainAccountId);
+
+    if (!tokenResponse || !tokenResponse.access_token) {
+      throw new Error('토큰 발급 실패: 응답에 access_token 없음');
+    }
+
+    const shopIds = shopId ? [shopId] : (tokenResponse.shop_id_list || []);
+    if (shopIds.length === 0) {
+      return { success: false, error: '인증된 샵이 없습니다.' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tokenInfo = {
+      access_token: tokenResponse.access_token,
+      refresh_token: tokenResponse.refresh_token,
+      expire: now + tokenResponse.expire_in,
+      expire_in: tokenResponse.expire_in
+    };
+
+    const shops = [];
+    for (const id of shopIds) {
+      const shop = await shopRepository.upsertAuthorizedShop(platform.id, id, tokenInfo);
+      shops.push({ shopId: shop.shop_id, created: shop.created });
+      logger.info(`샵 ID ${shop.shop_id} 인증 완료 (회사 플랫폼: ${platform.id}, 신규 등록: ${shop.created})`);
+    }
+
+    return { success: true, platformId: platform.id, shops };
+  }
+}
+
+module.exports = new AuthService();
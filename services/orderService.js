@@ -1,24 +1,42 @@
 const logger = require('../utils/logger');
-const shopeeApi = require('./shopeeApi');
+const shopeeApiFactory = require('./shopeeApiFactory');
+const tokenService = require('./tokenService');
 const orderRepository = require('../db/orderRepository');
+const orderStatusRepository = require('../db/orderStatusRepository');
+const shopRepository = require('../db/shopRepository');
 const config = require('../config/config');
 const db = require('../db/db'); // DB 모듈 임포트
 const { v4: uuidv4 } = require('uuid');
+const { ShopeeApiError, ERROR_CATEGORY } = require('./shopeeApiError');
+const { withRetry, isRetryableError } = require('../utils/retryUtils');
+const orderTrace = require('../utils/orderTrace');
+
+// 더 이상 바뀌지 않는 패키지 물류 상태 (배송 이력을 다시 조회하지 않음)
+const TERMINAL_LOGISTICS_STATUSES = [
+  'LOGISTICS_DELIVERY_DONE', 'LOGISTICS_DELIVERY_FAILED', 'LOGISTICS_COD_REJECTED',
+  'LOGISTICS_LOST', 'LOGISTICS_INVALID', 'LOGISTICS_REQUEST_CANCELED'
+];
 
 class OrderService {
   /**
    * 주문 데이터 수집
    * @param {Object} shop - 샵 정보
+   * @param {Object} options - 옵션 객체
+   * @param {boolean} [options.manual] - 수동 실행 여부 (상태 변경 이력의 source를 manual로 기록)
    * @returns {Promise<Object>} - 수집 결과
    */
-  async collectOrders(shop) {
-    const MAX_RETRY = config.scheduler.maxRetryCount;
-    let retryCount = 0;
+  async collectOrders(shop, options = {}) {
+    const source = options.manual ? 'manual' : 'poll';
     const stats = {
       total: 0,
       success: 0,
       failed: 0,
-      orderSns: []
+      new: 0,
+      changed: 0,
+      unchanged: 0,
+      orderSns: [],
+      pages: 0,
+      ordersPerPage: []
     };
 
     try {
@@ -31,7 +49,8 @@ class OrderService {
 
       // DB에서 직접 샵 정보를 조회
       const query = `
-        SELECT ss.*, cp.id as platform_id, cp.companyid, cp.issandbox 
+        SELECT ss.*, cp.id as platform_id, cp.companyid, cp.issandbox,
+          cp.partner_id AS platform_partner_id, cp.partner_key_enc AS platform_partner_key_enc
         FROM public.shopee_shop ss
         JOIN public.company_platform cp ON ss.platform_id = cp.id
         WHERE ss.id = $1 AND ss.deleted IS NULL AND cp.isactive = true 
@@ -45,18 +64,27 @@ class OrderService {
         return { success: false, error: `데이터베이스 오류: ${dbError.message}` };
       }
       
-      if (!validShop || !validShop.access_token) {
+      if (!validShop || (!validShop.access_token && !validShop.refresh_token)) {
         logger.error(`샵 ID ${shop.shop_id}의 유효한 토큰 없음`);
         return { success: false, error: '유효한 토큰 없음' };
       }
       
+      // 토큰 갱신이 불가능해 재인증이 필요한 샵은 API를 호출하지 않음
+      if (validShop.needs_reauth) {
+        logger.warn(`샵 ID ${shop.shop_id}는 재인증이 필요하여 주문 수집을 건너뜁니다.`);
+        return { success: false, error: '재인증 필요', errorCategory: ERROR_CATEGORY.AUTH };
+      }
+      
       // company_id 확인 (디버깅용)
       logger.debug(`샵 ID ${shop.shop_id}의 company_id: ${validShop.companyid}`);
 
-      // 샌드박스 모드 설정 (회사 설정 기준)
-      shopeeApi.isSandbox = validShop.issandbox === true;
+      // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트 (회사 설정 기준)
+      const shopeeApi = shopeeApiFactory.forShop(validShop);
       logger.info(`샵 ID ${shop.shop_id}의 샌드박스 모드: ${shopeeApi.isSandbox}`);
 
+      // 만료 임박 토큰 선제 갱신 (분산 락으로 워커 간 중복 갱신 방지)
+      validShop = await tokenService.ensureValidToken(validShop);
+
       // 샵의 주문 수집 단위(분) 확인
       //const minutesToCollect = validShop.order_update_minute || 60;
       
@@ -64,22 +92,25 @@ class OrderService {
       //const timeFrom = Math.floor(Date.now() / 1000) - (minutesToCollect * 60);
       //const timeTo = Math.floor(Date.now() / 1000);
 
-      const now = new Date();
-      const utcToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-      const utcTomorrow = new Date(utcToday.getTime() + 24 * 60 * 60 * 1000);
-      const utcYesterday = new Date(utcToday.getTime() - 1 * 60 * 60 * 1000);
-
-      const timeFrom = Math.floor(utcYesterday.getTime() / 1000); // 어제 0시
-      const timeTo = Math.floor(utcTomorrow.getTime() / 1000);        // 오늘 0시
+      // 증분 동기화 구간 설정 (워터마크 - 오버랩 ~ 현재)
+      const { timeFrom, timeTo } = this._getSyncWindow(validShop);
+      stats.syncWindow = { timeFrom, timeTo };
+      logger.info(`샵 ID ${shop.shop_id}의 동기화 구간: ${timeFrom} ~ ${timeTo} (워터마크: ${validShop.order_sync_watermark || '없음'})`);
       
       // 특정 주문 처리 (송장번호 문제 디버깅/해결용)
       //await this.processSpecificOrder(validShop);
       
-      // 주문 데이터 수집 시작
-      while (retryCount <= MAX_RETRY) {
+      // 인증 오류 시 토큰 강제 갱신은 1회만 시도
+      let authRefreshed = false;
+      
+      // 주문 목록 전체 수집 1회 시도 (인증 오류는 토큰 강제 갱신 후 재시도 횟수 차감 없이 다시 시도)
+      const collectAttempt = async () => {
         try {
-          // 주문 목록 조회
-          const orderListResponse = await shopeeApi.getOrderList(
+          // 재시도 시 이전 시도의 통계 초기화
+          Object.assign(stats, { total: 0, success: 0, failed: 0, new: 0, changed: 0, unchanged: 0, orderSns: [], failedOrderSns: [], pages: 0, ordersPerPage: [] });
+          
+          // 주문 목록 전체 페이지 순회 (15일 초과 기간은 자동 분할)
+          const pages = shopeeApi.iterateOrderList(
             validShop.access_token,
             validShop.shop_id,
             {
@@ -90,66 +121,73 @@ class OrderService {
             }
           );
           
-          if (!orderListResponse.response) {
-            logger.warn(`샵 ID ${validShop.shop_id}의 주문 목록 응답 없음`);
-            return { success: true, stats };
-          }
-          
-          if (!orderListResponse.response.order_list || orderListResponse.response.order_list.length === 0) {
-            logger.info(`샵 ID ${validShop.shop_id}의 수집 대상 주문 없음`);
-            return { success: true, stats };
-          }
-          
-          const orders = orderListResponse.response.order_list;
-          stats.total = orders.length;
-          
-          logger.info(`샵 ID ${validShop.shop_id}의 주문 ${orders.length}개 발견됨`);
-          
-          // 주문번호 목록 추출
-          const orderSns = orders.map(order => order.order_sn);
-          
-          // 주문 세부 정보 및 배송 정보 수집 및 저장
-          await this._processOrderDetails(validShop, orderSns, stats);
-          
-          // 불완전한 물류 정보 보완 (송장번호 또는 배송사 정보 누락 해결)
-          try {
-            await this.fixIncompleteLogisticInfo(validShop);
-          } catch (fixError) {
-            logger.warn(`샵 ID ${validShop.shop_id}의 물류 정보 보완 중 오류 (계속 진행): ${fixError.message}`);
+          for await (const page of pages) {
+            stats.pages++;
+            stats.ordersPerPage.push(page.orders.length);
+            
+            if (page.orders.length === 0) {
+              continue;
+            }
+            
+            stats.total += page.orders.length;
+            logger.info(`샵 ID ${validShop.shop_id}의 주문 목록 ${page.pageNo}페이지: ${page.orders.length}개 (추가 페이지: ${page.more})`);
+            
+            // 주문 세부 정보 및 배송 정보 수집 및 저장
+            const orderSns = page.orders.map(order => order.order_sn);
+            await this._processOrderDetails(validShop, orderSns, stats, source);
           }
-          
-          // 성공 처리 후 반복 종료
-          break;
         } catch (error) {
-          retryCount++;
-          
-          if (retryCount > MAX_RETRY) {
-            // 에러 정보 간소화하여 순환 참조 방지
-            const errorInfo = {
-              message: error.message,
-              name: error.name
-            };
-            
-            logger.error(`샵 ID ${validShop.shop_id}의 주문 수집 실패, 최대 재시도 횟수 초과:`, errorInfo);
-            return { 
-              success: false, 
-              error: `최대 재시도 횟수 초과: ${error.message}`,
-              stats
-            };
+          if (tokenService.isAuthError(error) && !authRefreshed) {
+            authRefreshed = true;
+            logger.warn(`샵 ID ${validShop.shop_id}의 주문 수집 중 인증 오류, 토큰 강제 갱신 후 재시도: ${error.message}`);
+            validShop = await tokenService.ensureValidToken(validShop, { force: true });
+            return collectAttempt();
           }
-          
-          // 다음 재시도까지 대기 (지수 백오프)
-          const waitTime = Math.pow(2, retryCount) * 1000;
-          
-          // 에러 정보 간소화
-          const errorInfo = {
-            message: error.message,
-            name: error.name
-          };
-          
-          logger.warn(`샵 ID ${validShop.shop_id}의 주문 수집 실패, ${retryCount}번째 재시도 (${waitTime}ms 후):`, errorInfo);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+          throw error;
         }
+      };
+      
+      // 주문 데이터 수집 시작 (재시도 가능한 오류만 분류별 대기 후 재시도)
+      try {
+        await withRetry(collectAttempt, [], { maxRetries: config.scheduler.maxRetryCount, shouldRetry: isRetryableError });
+      } catch (error) {
+        const retryable = isRetryableError(error);
+        logger.error(`샵 ID ${validShop.shop_id}의 주문 수집 실패${retryable ? ', 최대 재시도 횟수 초과' : ', 재시도 불가능한 오류'} [${error.category || '-'}]:`, {
+          message: error.message,
+          name: error.name
+        });
+        
+        // 재시도 가능한 오류는 작업 큐(Bull)의 재시도 전략으로 넘길 수 있도록 원래 오류를 함께 반환
+        return {
+          success: false,
+          error: retryable ? `최대 재시도 횟수 초과: ${error.message}` : error.message,
+          errorCategory: error.category,
+          retryable,
+          cause: error,
+          stats
+        };
+      }
+      
+      // 모든 페이지와 주문 저장이 커밋된 경우에만 워터마크 전진
+      if (stats.failed === 0) {
+        await shopRepository.updateOrderSyncWatermark(validShop.id, timeTo);
+        stats.watermark = timeTo;
+      } else {
+        logger.warn(`샵 ID ${validShop.shop_id}의 주문 ${stats.failed}개 저장 실패로 워터마크를 유지합니다.`);
+      }
+      
+      if (stats.total === 0) {
+        logger.info(`샵 ID ${validShop.shop_id}의 수집 대상 주문 없음`);
+        return { success: true, stats };
+      }
+      
+      logger.info(`샵 ID ${validShop.shop_id}의 주문 ${stats.total}개 발견됨 (${stats.pages}페이지) - 신규: ${stats.new}개, 변경: ${stats.changed}개, 변경 없음: ${stats.unchanged}개`);
+      
+      // 불완전한 물류 정보 보완 (송장번호 또는 배송사 정보 누락 해결)
+      try {
+        await this.fixIncompleteLogisticInfo(validShop);
+      } catch (fixError) {
+        logger.warn(`샵 ID ${validShop.shop_id}의 물류 정보 보완 중 오류 (계속 진행): ${fixError.message}`);
       }
       
       return { success: true, stats };
@@ -169,20 +207,176 @@ class OrderService {
     }
   }
   
+  /**
+   * 과거 주문 백필 (임의 기간)
+   * - 기간을 쇼피 제한(15일) 단위 구간으로 나누어 순차 처리
+   * - startChunk부터 처리하므로 중단된 작업을 마지막 완료 구간 다음부터 재개할 수 있음
+   * - 저장에 실패한 주문번호는 구간 완료 콜백으로 넘기고, 재개 시 retryOrderSns로 받아 구간보다 먼저 다시 처리
+   * - 모든 구간을 마친 뒤에도 실패한 주문이 남아 있으면 오류를 던져 작업 재시도로 넘김
+   * - 증분 동기화 워터마크는 변경하지 않음
+   * @param {Object} shop - 샵 정보
+   * @param {Object} options - 백필 옵션
+   * @param {number} options.timeFrom - 시작 시간 (초)
+   * @param {number} options.timeTo - 종료 시간 (초)
+   * @param {string} [options.orderStatus] - 주문 상태 필터 (없으면 전체)
+   * @param {number} [options.startChunk=0] - 처리를 시작할 구간 인덱스
+   * @param {Array<string>} [options.retryOrderSns=[]] - 이전 실행에서 저장에 실패하여 다시 처리할 주문번호
+   * @param {Function} [options.onChunkComplete] - 구간 완료 콜백 (chunkIndex, totalChunks, chunkStats, failedOrderSns)
+   *   - failedOrderSns: 지금까지 처리하지 못한 전체 주문번호 (재개 시 retryOrderSns로 전달)
+   *   - 재시도 주문 처리를 마친 시점에는 chunkIndex = startChunk - 1 로 호출
+   * @returns {Promise<Object>} - 백필 결과
+   */
+  async backfillOrders(shop, options) {
+    const { timeFrom, timeTo, orderStatus = null, startChunk = 0, retryOrderSns = [], onChunkComplete = null } = options;
+    
+    // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트 (회사 설정 기준)
+    const shopeeApi = shopeeApiFactory.forShop(shop);
+    const chunks = shopeeApi.splitTimeRange(timeFrom, timeTo);
+    const stats = {
+      totalChunks: chunks.length,
+      processedChunks: 0,
+      total: 0,
+      success: 0,
+      failed: 0,
+      new: 0,
+      changed: 0,
+      unchanged: 0,
+      pages: 0
+    };
+    
+    if (!shop.companyid || (!shop.access_token && !shop.refresh_token)) {
+      throw new Error(`샵 ID ${shop.shop_id}의 company_id 또는 토큰 정보 없음`);
+    }
+    
+    logger.info(`샵 ID ${shop.shop_id} 주문 백필 시작 - 기간: ${timeFrom} ~ ${timeTo}, 상태: ${orderStatus || '전체'}, 구간: ${startChunk + 1}/${chunks.length}부터, 재시도 주문: ${retryOrderSns.length}개`);
+    
+    // 처리하지 못한 주문번호 (재시도 주문 + 각 구간의 실패 주문)
+    let failedOrderSns = [];
+    
+    const addChunkStats = chunkStats => {
+      stats.total += chunkStats.total;
+      stats.success += chunkStats.success;
+      stats.failed += chunkStats.failed;
+      stats.new += chunkStats.new;
+      stats.changed += chunkStats.changed;
+      stats.unchanged += chunkStats.unchanged;
+      stats.pages += chunkStats.pages;
+    };
+    
+    // 이전 실행에서 실패한 주문을 먼저 다시 처리
+    if (retryOrderSns.length > 0) {
+      const retryStats = { total: retryOrderSns.length, success: 0, failed: 0, new: 0, changed: 0, unchanged: 0, orderSns: [], failedOrderSns: [], pages: 0 };
+      
+      Object.assign(shop, await tokenService.ensureValidToken(shop));
+      await this._processOrderDetails(shop, retryOrderSns, retryStats, 'backfill');
+      
+      addChunkStats(retryStats);
+      failedOrderSns = retryStats.failedOrderSns;
+      
+      logger.info(`샵 ID ${shop.shop_id} 백필 실패 주문 재시도 완료 - 주문: ${retryStats.total}개, 성공: ${retryStats.success}개, 실패: ${retryStats.failed}개`);
+      
+      if (onChunkComplete) {
+        await onChunkComplete(startChunk - 1, chunks.length, retryStats, failedOrderSns);
+      }
+    }
+    
+    for (let chunkIndex = startChunk; chunkIndex < chunks.length; chunkIndex++) {
+      const chunk = chunks[chunkIndex];
+      const chunkStats = { total: 0, success: 0, failed: 0, new: 0, changed: 0, unchanged: 0, orderSns: [], failedOrderSns: [], pages: 0 };
+      
+      // 장기 작업이므로 구간마다 토큰 만료 여부 확인
+      Object.assign(shop, await tokenService.ensureValidToken(shop));
+      
+      const pages = shopeeApi.iterateOrderList(shop.access_token, shop.shop_id, {
+        time_range_field: 'create_time',
+        time_from: chunk.timeFrom,
+        time_to: chunk.timeTo,
+        page_size: 100,
+        order_status: orderStatus
+      });
+      
+      for await (const page of pages) {
+        chunkStats.pages++;
+        
+        if (page.orders.length === 0) {
+          continue;
+        }
+        
+        chunkStats.total += page.orders.length;
+        await this._processOrderDetails(shop, page.orders.map(order => order.order_sn), chunkStats, 'backfill');
+      }
+      
+      stats.processedChunks++;
+      addChunkStats(chunkStats);
+      failedOrderSns = [...new Set([...failedOrderSns, ...chunkStats.failedOrderSns])];
+      
+      logger.info(`샵 ID ${shop.shop_id} 백필 구간 ${chunkIndex + 1}/${chunks.length} 완료 - 주문: ${chunkStats.total}개, 성공: ${chunkStats.success}개, 실패: ${chunkStats.failed}개, 변경 없음: ${chunkStats.unchanged}개`);
+      
+      if (onChunkComplete) {
+        await onChunkComplete(chunkIndex, chunks.length, chunkStats, failedOrderSns);
+      }
+    }
+    
+    // 실패한 주문이 남아 있으면 작업을 실패로 끝내 재시도 때 그 주문만 다시 처리
+    if (failedOrderSns.length > 0) {
+      throw new Error(`샵 ID ${shop.shop_id} 백필 중 주문 ${failedOrderSns.length}개 저장 실패 (재시도 시 다시 처리): ${failedOrderSns.slice(0, 20).join(', ')}`);
+    }
+    
+    logger.info(`샵 ID ${shop.shop_id} 주문 백필 완료 - 총 주문: ${stats.total}개, 성공: ${stats.success}개, 실패: ${stats.failed}개 (신규: ${stats.new}개, 변경: ${stats.changed}개, 변경 없음: ${stats.unchanged}개)`);
+    
+    return { success: true, stats };
+  }
+  
+  /**
+   * 샵의 증분 동기화 구간 계산
+   * - 워터마크가 있으면 (워터마크 - 오버랩) ~ 현재
+   * - 워터마크가 없으면 (현재 - 초기 수집 기간) ~ 현재
+   * @private
+   * @param {Object} shop - 샵 정보 (order_sync_watermark 포함)
+   * @returns {Object} - 동기화 구간 ({ timeFrom, timeTo })
+   */
+  _getSyncWindow(shop) {
+    const now = Math.floor(Date.now() / 1000);
+    const watermark = shop.order_sync_watermark ? parseInt(shop.order_sync_watermark, 10) : null;
+    
+    const timeFrom = watermark
+      ? watermark - (config.scheduler.syncOverlapMinutes * 60)
+      : now - (config.scheduler.initialSyncMinutes * 60);
+    
+    return { timeFrom: Math.min(timeFrom, now), timeTo: now };
+  }
+  
   /**
    * 주문 세부 정보 및 배송 정보 처리
+   * - 요청한 주문번호 중 저장하지 못한 주문(상세 응답 없음, 응답에서 빠진 주문, 저장 실패)은 모두 실패로 집계
    * @private
    * @param {Object} shop - 샵 정보
    * @param {Array} orderSns - 주문번호 배열
    * @param {Object} stats - 통계 객체
+   * @param {string} source - 주문 정보를 받은 경로 (poll, push, manual, backfill - 상태 변경 이력에 기록)
    */
-  async _processOrderDetails(shop, orderSns, stats) {
+  async _processOrderDetails(shop, orderSns, stats, source = 'poll') {
+    // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트
+    const shopeeApi = shopeeApiFactory.forShop(shop);
+    
     // stats 객체에 orderSns 배열이 없으면 초기화
     if (!stats.orderSns) {
       stats.orderSns = [];
       logger.debug('stats.orderSns 배열이 없어 초기화했습니다.');
     }
     
+    // 저장하지 못한 주문번호 (백필 재시도용)
+    if (!stats.failedOrderSns) {
+      stats.failedOrderSns = [];
+    }
+    
+    // 변경 감지 결과 카운터 (new: 신규, changed: 내용 변경, unchanged: 저장 생략)
+    ['new', 'changed', 'unchanged'].forEach(key => {
+      if (typeof stats[key] !== 'number') {
+        stats[key] = 0;
+      }
+    });
+    
     // 배치 단위로 처리 (API 제한 고려)
     const batchSize = 50;
     
@@ -196,8 +390,13 @@ class OrderService {
     
     logger.debug(`샵 ID ${shop.id}의 company_id: ${companyId} 사용`);
     
+    // 인증 오류 시 토큰 강제 갱신은 1회만 시도
+    let authRefreshed = false;
+    
     for (let i = 0; i < orderSns.length; i += batchSize) {
       const batchOrderSns = orderSns.slice(i, i + batchSize);
+      // 이 배치에서 성공/실패로 이미 집계한 주문번호 (배치 오류 시 중복 집계 방지)
+      const settledSns = new Set();
       
       try {
         // 주문 세부 정보 조회
@@ -208,354 +407,507 @@ class OrderService {
         );
         
         if (!orderDetailResponse.response || !orderDetailResponse.response.order_list) {
-          logger.warn(`샵 ID ${shop.shop_id}의 주문 상세 정보 없음`);
+          logger.warn(`샵 ID ${shop.shop_id}의 주문 상세 정보 없음 - 배치 주문 ${batchOrderSns.length}개 실패 처리`);
+          stats.failed += batchOrderSns.length;
+          stats.failedOrderSns.push(...batchOrderSns);
           continue;
         }
         
         const orderDetails = orderDetailResponse.response.order_list;
         logger.info(`샵 ID ${shop.shop_id}의 주문 상세 정보 ${orderDetails.length}개 조회 성공`);
+
         
-        // 배송 정보는 개별 주문 처리 시 getTrackingInfo API로 조회
-        const shipmentMap = {};
-        
-        // 각 주문 처리 (트랜잭션 추가)
+        // 주문 데이터 매핑 (아이템, 패키지별 배송 정보)
+        const formattedOrders = [];
         for (const orderDetail of orderDetails) {
-          try {
-            const orderSn = orderDetail.order_sn;
-            
-            // DB 트랜잭션 시작
-            logger.info(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 저장 시작 (트랜잭션)`);
-            await db.tx('save-order-tx', async tx => {
-              // 아이템 데이터 매핑 및 필수 필드 추가
-              const formattedItems = orderDetail.item_list ? orderDetail.item_list.map(item => ({
-                item_id: item.item_id,
-                item_sku: item.model_sku || `shopee-${item.item_id}`,
-                item_name: item.item_name,
-                variation_name: item.model_name,
-                model_discounted_price: item.model_discounted_price,
-                model_original_price: item.model_original_price,
-                model_quantity_purchased: item.model_quantity_purchased,
-                weight: item.weight || 0,
-                image_url: item.image_info && item.image_info.image_url ? item.image_info.image_url : null
-              })) : [];
-              
-              // 주문 데이터 포맷팅
-              const formattedOrder = {
-                ...orderDetail,
-                shipping: this._extractShippingInfo(orderDetail, orderSn),
-                items: formattedItems
-              };
-              
-              // fulfillment_flag 처리 - 열거형 값으로 변환
-              if (formattedOrder.fulfillment_flag === 'fulfilled_by_cb_seller') {
-                formattedOrder.fulfillment_flag = 'SELLER';
-              } else if (formattedOrder.fulfillment_flag === 'fulfilled_by_shopee') {
-                formattedOrder.fulfillment_flag = 'SHOPEE';
-              }
-              
-              // 로그에 매핑된 데이터 상세 기록
-              logger.debug(`주문 ${orderSn} 데이터 매핑 결과:`, {
-                orderSn: orderSn,
-                itemCount: formattedItems.length,
-                hasShipping: shipmentMap[orderSn] ? true : false
-              });
-              
-              // 송장번호 확인 로그 추가
-              if (shipmentMap[orderSn] && shipmentMap[orderSn].tracking_number) {
-                logger.info(`주문 ${orderSn} 저장 전 송장번호 확인: ${shipmentMap[orderSn].tracking_number}`);
-              } else {
-                logger.warn(`주문 ${orderSn}의 송장번호 정보 없음`);
-              }
-              
-              try {
-                // 주문 저장 (중복인 경우 업데이트) - company_id는 company_platform 테이블에서 조회한 값 사용
-                const savedOrder = await orderRepository.upsertOrder(formattedOrder, companyId, shop.shop_id, tx);
-                
-                if (savedOrder && savedOrder.orderId) {
-                  stats.success++;
-                  stats.orderSns.push(orderSn);
-                  logger.info(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 저장 성공 (주문 ID: ${savedOrder.orderId})`);
-                } else {
-                  throw new Error(`주문 저장 실패: 반환된 주문 ID 없음`);
-                }
-                
-                // 트랜잭션 성공적으로 완료
-                return savedOrder;
-              } catch (dbError) {
-                logger.error(`주문 저장 중 데이터베이스 오류:`, {
-                  message: dbError.message,
-                  orderSn: orderSn,
-                  error: dbError.stack ? dbError.stack.split('\n')[0] : 'No stack trace'
-                });
-                throw dbError; // 트랜잭션 롤백을 위해 에러 전파
-              }
-            });
-          } catch (orderError) {
+          const orderSn = orderDetail.order_sn;
+          
+          // 아이템 데이터 매핑 및 필수 필드 추가
+          const formattedItems = orderDetail.item_list ? orderDetail.item_list.map(item => ({
+            item_id: item.item_id,
+            model_id: item.model_id,
+            order_item_id: item.order_item_id,
+            package_number: this._findItemPackageNumber(orderDetail.package_list, item),
+            item_sku: item.model_sku || `shopee-${item.item_id}`,
+            item_name: item.item_name,
+            variation_name: item.model_name,
+            model_discounted_price: item.model_discounted_price,
+            model_original_price: item.model_original_price,
+            model_quantity_purchased: item.model_quantity_purchased,
+            weight: item.weight || 0,
+            image_url: item.image_info && item.image_info.image_url ? item.image_info.image_url : null
+          })) : [];
+          
+          // 주문 데이터 포맷팅
+          const formattedOrder = {
+            ...orderDetail,
+            shipping: this._extractShippingInfo(orderDetail, orderSn),
+            items: formattedItems
+          };
+          
+          // fulfillment_flag 처리 - 열거형 값으로 변환
+          if (formattedOrder.fulfillment_flag === 'fulfilled_by_cb_seller') {
+            formattedOrder.fulfillment_flag = 'SELLER';
+          } else if (formattedOrder.fulfillment_flag === 'fulfilled_by_shopee') {
+            formattedOrder.fulfillment_flag = 'SHOPEE';
+          }
+          
+          // 추적 대상 주문은 매핑 결과 전체 기록
+          await orderTrace.trace(orderSn, 'map:order', { shopId: shop.shop_id, companyId, order: formattedOrder });
+          
+          // 로그에 매핑된 데이터 상세 기록
+          logger.debug(`주문 ${orderSn} 데이터 매핑 결과:`, {
+            orderSn: orderSn,
+            itemCount: formattedItems.length,
+            packageCount: formattedOrder.shipping && formattedOrder.shipping.packages ? formattedOrder.shipping.packages.length : 0
+          });
+          
+          formattedOrders.push(formattedOrder);
+        }
+        
+        // 배치 일괄 저장 (실패한 주문만 제외) - company_id는 company_platform 테이블에서 조회한 값 사용
+        logger.info(`샵 ID ${shop.shop_id}의 주문 ${formattedOrders.length}개 일괄 저장 시작`);
+        const { results } = await orderRepository.upsertOrders(formattedOrders, companyId, shop.shop_id, source);
+        
+        for (const savedOrder of results) {
+          const orderSn = savedOrder.orderSn;
+          settledSns.add(String(orderSn));
+          await orderTrace.trace(orderSn, 'save:order', { result: savedOrder });
+          
+          if (savedOrder.success) {
+            stats.success++;
+            stats[savedOrder.change]++;
+            // 변경 없는 주문도 배송 정보 처리 대상에 포함 (송장번호는 배송 정보 처리에서 따로 저장)
+            stats.orderSns.push(orderSn);
+            if (savedOrder.change === 'unchanged') {
+              logger.info(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 변경 없음 (주문 ID: ${savedOrder.orderId})`);
+            } else {
+              logger.info(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 저장 성공 (주문 ID: ${savedOrder.orderId}, ${savedOrder.change === 'new' ? '신규' : `변경: ${savedOrder.changedFields.join(', ')}`})`);
+            }
+          } else {
             stats.failed++;
-            
-            // 에러 정보 간소화
-            const errorInfo = {
-              message: orderError.message,
-              name: orderError.name,
-              stack: orderError.stack ? orderError.stack.split('\n')[0] : 'No stack trace'
-            };
-            
-            logger.error(`샵 ID ${shop.shop_id}의 주문 ${orderDetail.order_sn} 처리 실패:`, errorInfo);
+            stats.failedOrderSns.push(orderSn);
+            await orderTrace.trace(orderSn, 'save:order-failed', { message: savedOrder.error });
+            logger.error(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 처리 실패: ${savedOrder.error}`);
           }
         }
+        
+        // 쇼피가 상세 응답에서 뺀 주문 등 저장 결과가 없는 주문도 실패로 집계
+        const unsavedSns = batchOrderSns.filter(orderSn => !settledSns.has(String(orderSn)));
+        if (unsavedSns.length > 0) {
+          logger.warn(`샵 ID ${shop.shop_id}의 주문 상세 응답에 없는 주문 ${unsavedSns.length}개 실패 처리: ${unsavedSns.join(', ')}`);
+          stats.failed += unsavedSns.length;
+          stats.failedOrderSns.push(...unsavedSns);
+          unsavedSns.forEach(orderSn => settledSns.add(String(orderSn)));
+        }
       } catch (batchError) {
+        // 인증 오류는 토큰을 강제 갱신한 뒤 같은 배치를 다시 처리 (호출자의 샵 정보에도 반영)
+        if (tokenService.isAuthError(batchError) && !authRefreshed) {
+          authRefreshed = true;
+          logger.warn(`샵 ID ${shop.shop_id}의 주문 상세 조회 중 인증 오류, 토큰 강제 갱신 후 재시도: ${batchError.message}`);
+          Object.assign(shop, await tokenService.ensureValidToken(shop, { force: true }));
+          i -= batchSize;
+          continue;
+        }
+        
         // 에러 정보 간소화
         const errorInfo = {
           message: batchError.message,
-          name: batchError.name
+          name: batchError.name,
+          category: batchError.category || null
         };
         
         logger.error(`샵 ID ${shop.shop_id}의 주문 배치 처리 실패:`, errorInfo);
-        stats.failed += batchOrderSns.length;
+        const unsettledSns = batchOrderSns.filter(orderSn => !settledSns.has(String(orderSn)));
+        stats.failed += unsettledSns.length;
+        stats.failedOrderSns.push(...unsettledSns);
       }
-      
-      // API 제한 고려 대기
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
   }
   
   /**
    * 배치 방식으로 주문 추적 정보 처리
+   * - 주문 수집 때 저장된 패키지 번호를 모아 get_mass_tracking_number로 한 번에 조회
+   *   (저장된 패키지 번호가 없는 주문만 get_order_detail로 패키지 목록 조회)
+   * - 패키지별 결과를 주문에 다시 매핑하고, 실패한 패키지는 주문별 패키지 목록에 사유와 함께 기록
+   * - 패키지 정보가 없는 주문만 주문번호로 개별 조회
+   * - 구간별 송장번호(first/last mile, PLP)는 따로 저장
+   * - 배송 이력은 송장번호가 새로 생기거나 바뀐 패키지, 아직 배송이 끝나지 않은 패키지만 조회
    * @private
    * @param {Object} shop - 샵 정보
    * @param {Array} orderSns - 주문번호 배열
-   * @param {Object} shipmentMap - 배송 정보 맵 (참조로 전달)
-   * @returns {Promise<Object>} - 처리 결과 통계
+   * @param {Object} shipmentMap - 배송 정보 맵 (참조로 전달, 주문번호 -> 배송 정보 + packages)
+   * @returns {Promise<Object>} - 처리 결과 통계 ({ processed, updated, failedPackages, histories })
    */
   async _processTrackingInfoBatch(shop, orderSns, shipmentMap) {
-    if (orderSns.length === 0) return { processed: 0, updated: 0 };
+    // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트
+    const shopeeApi = shopeeApiFactory.forShop(shop);
+    
+    if (orderSns.length === 0) return { processed: 0, updated: 0, failedPackages: 0, histories: 0 };
     
     logger.debug(`샵 ID ${shop.shop_id}의 주문 ${orderSns.length}개에 대한 추적 정보 조회 시작`);
     
-    // 개별 처리를 위한 지연 시간 설정 (API 제한 고려)
-    const delayBetweenRequests = 500; // 0.5초
+    // 1. DB 주문 정보 일괄 조회 (송장번호를 가질 수 있는 상태의 주문만 대상)
+    const orderRows = await db.any(
+      `SELECT o.order_num, o.id, o.status,
+         COALESCE(jsonb_object_agg(l.package_number, jsonb_build_object(
+           'tracking_no', l.tracking_no,
+           'first_mile_tracking_no', l.first_mile_tracking_no,
+           'last_mile_tracking_no', l.last_mile_tracking_no,
+           'plp_number', l.plp_number,
+           'carrier', l.name,
+           'logistics_status', l.logistics_status
+         )) FILTER (WHERE l.id IS NOT NULL), '{}'::jsonb) AS tracking_by_package
+       FROM public.toms_shopee_order o
+       LEFT JOIN public.toms_shopee_logistic l ON o.id = l.toms_order_id
+       WHERE o.order_num = ANY($1) AND o.platform = 'shopee'
+       GROUP BY o.order_num, o.id, o.status`,
+      [orderSns]
+    );
+    const dbOrders = new Map(orderRows.map(row => [row.order_num, row]));
+    
+    const targetSns = orderSns.filter(orderSn => {
+      const row = dbOrders.get(orderSn);
+      
+      if (!row) {
+        logger.warn(`주문 ${orderSn} DB에 주문 정보가 없습니다.`);
+        return false;
+      }
+      
+      if (!['PROCESSED', 'SHIPPED', 'COMPLETED'].includes(row.status)) {
+        logger.debug(`주문 ${orderSn}는 송장번호를 가질 수 없는 상태(${row.status})입니다.`);
+        return false;
+      }
+      
+      return true;
+    });
+    
+    // 2. 패키지 목록 - 주문 수집 때 저장된 패키지 번호 사용, 없는 주문만 주문 상세 조회 (get_order_detail 1회 최대 50개)
+    const packageInfo = {}; // 주문번호 -> { carrier, packages }
+    const detailSns = [];
+    targetSns.forEach(orderSn => {
+      const stored = Object.entries(dbOrders.get(orderSn).tracking_by_package || {})
+        .filter(([packageNumber]) => packageNumber)
+        .map(([packageNumber, logistic]) => ({ package_number: packageNumber, shipping_carrier: logistic.carrier || null }));
+      
+      if (stored.length > 0) {
+        packageInfo[orderSn] = { carrier: stored[0].shipping_carrier, packages: stored };
+      } else {
+        detailSns.push(orderSn);
+      }
+    });
+    
+    for (let i = 0; i < detailSns.length; i += 50) {
+      const detailResponse = await shopeeApi.getOrderDetail(shop.access_token, shop.shop_id, detailSns.slice(i, i + 50));
+      const details = (detailResponse.response && detailResponse.response.order_list) || [];
+      
+      details.forEach(detail => {
+        packageInfo[detail.order_sn] = {
+          carrier: detail.shipping_carrier || detail.checkout_shipping_carrier || null,
+          packages: (detail.package_list || []).filter(pkg => pkg.package_number)
+        };
+      });
+    }
+    
+    // 3. 모든 패키지의 송장번호를 대량 조회
+    const packageNumbers = [];
+    const packageOrderSns = {}; // 패키지 번호 -> 주문번호 (추적 대상 주문의 API 호출 기록용)
+    targetSns.forEach(orderSn => {
+      (packageInfo[orderSn] ? packageInfo[orderSn].packages : []).forEach(pkg => {
+        packageNumbers.push(pkg.package_number);
+        packageOrderSns[pkg.package_number] = orderSn;
+      });
+    });
+    
+    const packageResults = new Map();
+    if (packageNumbers.length > 0) {
+      const massResponse = await shopeeApi.getMassTrackingInfo(shop.access_token, shop.shop_id, packageNumbers, packageOrderSns);
+      massResponse.response.success_list.forEach(item => packageResults.set(item.package_number, item));
+      massResponse.response.fail_list.forEach(item => packageResults.set(item.package_number, item));
+    }
+    
+    // 4. 패키지별 결과를 주문에 매핑
     let successCount = 0;
     let failCount = 0;
-    let updateCount = 0;
-    
-    // DB 트랜잭션을 사용하지 않고 개별 저장 (안정성 향상)
-    const batchSize = 10; // 10개 단위로 중간 저장
+    let failedPackages = 0;
     const updatedOrders = [];
+    const historyOrders = [];
     
-    // 모든 주문에 대해 개별적으로 조회
-    for (let i = 0; i < orderSns.length; i++) {
-      const orderSn = orderSns[i];
-      
-      // shipmentMap에 없으면 빈 객체로 초기화
-      if (!shipmentMap[orderSn]) {
-        shipmentMap[orderSn] = {
-          tracking_number: null,
-          shipping_carrier: null,
-          shipping_carrier_name: null,
-          estimated_shipping_fee: 0,
-          actual_shipping_cost: 0,
-          histories: []
-        };
+    for (const orderSn of targetSns) {
+      const row = dbOrders.get(orderSn);
+      const info = packageInfo[orderSn] || { carrier: null, packages: [] };
+      
+      const packages = info.packages.length > 0
+        ? info.packages.map(pkg => this._toPackageTracking(pkg.package_number, pkg.shipping_carrier || info.carrier, packageResults.get(pkg.package_number)))
+        : [await this._getOrderTrackingFallback(shopeeApi, shop, orderSn, info.carrier)];
+      
+      packages.filter(pkg => pkg.fail_reason).forEach(pkg => {
+        failedPackages++;
+        logger.warn(`주문 ${orderSn} 패키지 ${pkg.package_number || '-'} 송장번호 조회 실패: ${pkg.fail_reason}`);
+      });
+      
+      // 이미 동일한 번호가 DB에 있는 패키지는 저장하지 않음 (중복 업데이트 방지)
+      const storedTracking = row.tracking_by_package || {};
+      const changedPackages = packages.filter(pkg => pkg.resolved_tracking_number && (pkg.package_number
+        ? this._isTrackingChanged(storedTracking[pkg.package_number], pkg)
+        : Object.values(storedTracking).every(stored => this._isTrackingChanged(stored, pkg))));
+      
+      // 배송 이력 조회 - 송장번호가 새로 생기거나 바뀐 패키지, 아직 배송이 끝나지 않은 패키지만 (완료 주문 제외)
+      const historyPackages = packages.filter(pkg => pkg.resolved_tracking_number && (changedPackages.includes(pkg) ||
+        (row.status !== 'COMPLETED' && !this._isLogisticsFinished(storedTracking[pkg.package_number]))));
+      for (const pkg of historyPackages) {
+        pkg.histories = await this._getPackageHistories(shopeeApi, shop, orderSn, pkg);
+      }
+      
+      // 주문의 대표 송장번호는 송장번호가 있는 첫 번째 패키지 기준
+      const primary = packages.find(pkg => pkg.resolved_tracking_number) || null;
+      const trackingNumber = primary ? primary.resolved_tracking_number : null;
+      
+      shipmentMap[orderSn] = {
+        tracking_number: trackingNumber,
+        shipping_carrier: primary ? primary.shipping_carrier : info.carrier,
+        shipping_carrier_name: primary ? primary.shipping_carrier : info.carrier,
+        estimated_shipping_fee: 0,
+        actual_shipping_cost: 0,
+        first_mile_tracking_number: primary ? primary.first_mile_tracking_number : null,
+        last_mile_tracking_number: primary ? primary.last_mile_tracking_number : null,
+        plp_number: primary ? primary.plp_number : null,
+        histories: packages.reduce((all, pkg) => all.concat(pkg.histories || []), []),
+        packages
+      };
+      
+      await orderTrace.trace(orderSn, 'map:tracking', { orderId: row.id, currentTracking: row.tracking_by_package, shipment: shipmentMap[orderSn] });
+      
+      if (!trackingNumber) {
+        logger.warn(`송장번호 없음: 주문 ${orderSn} (패키지 ${packages.length}개 모두 송장번호 없음)`);
+        failCount++;
+        continue;
+      }
+      
+      logger.info(`송장번호 확인: 주문 ${orderSn}, 송장번호: ${trackingNumber}, 배송사: ${shipmentMap[orderSn].shipping_carrier_name || '없음'}, 패키지: ${packages.length}개`);
+      
+      if (shipmentMap[orderSn].histories.length > 0) {
+        historyOrders.push({ orderSn, orderId: row.id, packages: packages.filter(pkg => pkg.histories && pkg.histories.length > 0) });
+      }
+      
+      if (changedPackages.length === 0) {
+        logger.debug(`주문 ${orderSn}의 송장번호가 이미 DB에 동일하게 있음 (${trackingNumber})`);
+        continue;
+      }
+      
+      successCount++;
+      updatedOrders.push({
+        orderSn,
+        orderId: row.id,
+        trackingNumber,
+        carrierName: shipmentMap[orderSn].shipping_carrier_name,
+        packages: changedPackages.map(pkg => ({
+          packageNumber: pkg.package_number,
+          trackingNumber: pkg.resolved_tracking_number,
+          firstMileTrackingNumber: pkg.first_mile_tracking_number,
+          lastMileTrackingNumber: pkg.last_mile_tracking_number,
+          plpNumber: pkg.plp_number,
+          carrierName: pkg.shipping_carrier
+        }))
+      });
+    }
+    
+    const updateCount = await this._saveTrackingNumbers(shop, updatedOrders);
+    
+    // 송장번호 저장 후 이력 저장 (새 패키지의 물류 정보가 먼저 생성되어야 함)
+    const historyCount = await this._saveTrackingHistories(historyOrders);
+    
+    logger.info(`샵 ID ${shop.shop_id}의 송장번호 조회 완료 - 성공: ${successCount}개, 실패: ${failCount}개, 실패 패키지: ${failedPackages}개, DB 저장: ${updateCount}개, 배송 이력: ${historyCount}건, 총 처리: ${orderSns.length}개 (대상 ${targetSns.length}개, 패키지 ${packageNumbers.length}개)`);
+    
+    return { 
+      processed: orderSns.length,
+      updated: updateCount,
+      failedPackages,
+      histories: historyCount
+    };
+  }
+  
+  /**
+   * DB에 저장된 구간별 송장번호와 조회 결과 비교
+   * @private
+   * @param {Object} [stored] - DB 물류 정보 ({ tracking_no, first_mile_tracking_no, last_mile_tracking_no, plp_number })
+   * @param {Object} pkg - 패키지 송장 정보 (_toPackageTracking 결과)
+   * @returns {boolean} - 저장이 필요한지 여부
+   */
+  _isTrackingChanged(stored, pkg) {
+    if (!stored) {
+      return true;
+    }
+    
+    return stored.tracking_no !== pkg.resolved_tracking_number ||
+      (pkg.first_mile_tracking_number && stored.first_mile_tracking_no !== pkg.first_mile_tracking_number) ||
+      (pkg.last_mile_tracking_number && stored.last_mile_tracking_no !== pkg.last_mile_tracking_number) ||
+      (pkg.plp_number && stored.plp_number !== pkg.plp_number) ||
+      false;
+  }
+  
+  /**
+   * 저장된 패키지 물류 상태가 더 이상 바뀌지 않는 상태인지
+   * @private
+   * @param {Object} [stored] - DB 물류 정보 ({ logistics_status })
+   * @returns {boolean} - 배송이 끝난 패키지 여부
+   */
+  _isLogisticsFinished(stored) {
+    return !!stored && TERMINAL_LOGISTICS_STATUSES.includes(stored.logistics_status);
+  }
+  
+  /**
+   * 패키지의 배송 이력 조회 (get_tracking_info)
+   * - 쇼피는 주문번호 + 패키지 번호로 패키지 단위 이력을 주므로 패키지마다 1회 호출
+   * - 이력은 패키지의 대표 송장번호에 main 구간으로 연결
+   * @private
+   * @param {ShopeeApi} shopeeApi - 쇼피 API 클라이언트
+   * @param {Object} shop - 샵 정보
+   * @param {string} orderSn - 주문번호
+   * @param {Object} pkg - 패키지 송장 정보 (_toPackageTracking 결과)
+   * @returns {Promise<Array>} - 배송 이력 배열 ({ tracking_no, tracking_type, tracking_date, status, location })
+   */
+  async _getPackageHistories(shopeeApi, shop, orderSn, pkg) {
+    try {
+      const response = await shopeeApi.getDetailedTrackingInfo(shop.access_token, shop.shop_id, orderSn, pkg.package_number);
+      const trackingInfo = (response && response.response && response.response.tracking_info) || [];
+      
+      logger.debug(`주문 ${orderSn} 패키지 ${pkg.package_number || '-'} 배송 이력 ${trackingInfo.length}개 조회`);
+      
+      return trackingInfo.map(info => ({
+        tracking_no: pkg.resolved_tracking_number,
+        tracking_type: 'main',
+        tracking_date: info.update_time || Math.floor(Date.now() / 1000),
+        status: info.logistics_status || 'UNKNOWN',
+        location: info.description || 'Unknown'
+      }));
+    } catch (error) {
+      // 인증/파트너 오류는 이후 호출도 모두 실패하므로 배치 전체 중단
+      if (error instanceof ShopeeApiError && [ERROR_CATEGORY.AUTH, ERROR_CATEGORY.PARTNER].includes(error.category)) {
+        throw error;
       }
       
+      logger.warn(`주문 ${orderSn} 패키지 ${pkg.package_number || '-'} 배송 이력 조회 실패: ${error.message}`);
+      return [];
+    }
+  }
+  
+  /**
+   * 패키지별 배송 이력 DB 저장 (이미 저장된 이력은 건너뜀)
+   * @private
+   * @param {Array} historyOrders - 이력을 저장할 주문 배열 ({ orderSn, orderId, packages: [{ package_number, histories }] })
+   * @returns {Promise<number>} - 저장된 이력 수
+   */
+  async _saveTrackingHistories(historyOrders) {
+    let savedCount = 0;
+    
+    for (const order of historyOrders) {
       try {
-        // 개별 주문에 대한 물류 추적 정보 조회
-        logger.debug(`주문 ${orderSn}의 송장번호 조회 시작`);
-        
-        // 주문 정보 조회 (DB)
-        let orderId = null;
-        let currentTrackingNo = null;
-        let orderStatus = null;
-        
-        try {
-          // 주문 번호로 주문 정보 조회
-          const orderResult = await db.oneOrNone(
-            `SELECT o.id, o.status, l.tracking_no 
-             FROM public.toms_shopee_order o
-             LEFT JOIN public.toms_shopee_logistic l ON o.id = l.toms_order_id
-             WHERE o.order_num = $1 AND o.platform = 'shopee'`,
-            [orderSn]
-          );
-          
-          if (orderResult && orderResult.id) {
-            orderId = orderResult.id;
-            orderStatus = orderResult.status;
-            currentTrackingNo = orderResult.tracking_no;
+        await db.tx('save-tracking-history-tx', async tx => {
+          for (const pkg of order.packages) {
+            // 패키지 물류 정보 (패키지 번호가 없으면 대표 물류)
+            const logistic = pkg.package_number
+              ? await tx.oneOrNone(
+                `SELECT id FROM public.toms_shopee_logistic WHERE toms_order_id = $1 AND package_number = $2`,
+                [order.orderId, pkg.package_number]
+              )
+              : await tx.oneOrNone(
+                `SELECT id FROM public.toms_shopee_logistic 
+                 WHERE toms_order_id = $1 
+                 ORDER BY created_at, package_number 
+                 LIMIT 1`,
+                [order.orderId]
+              );
             
-            // 특정 상태의 주문만 송장번호 조회 (최적화)
-            const canHaveTracking = ['PROCESSED', 'SHIPPED', 'COMPLETED'].includes(orderStatus);
-            if (!canHaveTracking) {
-              logger.debug(`주문 ${orderSn}는 송장번호를 가질 수 없는 상태(${orderStatus})입니다.`);
+            if (!logistic) {
+              logger.warn(`주문 ${order.orderSn} 패키지 ${pkg.package_number || '-'}의 물류 정보가 없어 배송 이력을 저장하지 않음`);
               continue;
             }
-          } else {
-            logger.warn(`주문 ${orderSn} DB에 주문 정보가 없습니다.`);
-            continue;
-          }
-        } catch (dbError) {
-          logger.warn(`주문 ${orderSn}의 주문 정보 조회 중 오류: ${dbError.message}`);
-          continue;
-        }
-        
-        // API 호출 (C# 코드와 유사한 방식으로 처리)
-        const trackingResponse = await shopeeApi.getTrackingInfo(
-          shop.access_token,
-          shop.shop_id,
-          orderSn,
-          null // package_number 필드가 없으므로 null 전달
-        ).catch(err => {
-          logger.warn(`송장번호 조회 API 호출 중 오류 발생 (주문: ${orderSn}): ${err.message}`);
-          return null;
-        });
-        
-        if (trackingResponse && trackingResponse.response) {
-          const trackingInfo = trackingResponse.response;
-          
-          // 배송사 명 관련 필드 디버그 로그 추가
-          logger.debug(`주문 ${orderSn} API 응답 필드 확인:`, {
-            shipping_provider: trackingInfo.shipping_provider || null,
-            shipping_provider_name: trackingInfo.shipping_provider_name || null,
-            logistic_name: trackingInfo.logistic_name || null,
-            carrier_name: trackingInfo.carrier_name || null,
-            carrier: trackingInfo.carrier || null,
-            logistics_channel: trackingInfo.logistics_channel || null,
-            logistics_status: trackingInfo.logistics_status || null
-          });
-          
-          // 송장번호 확인 - 다양한 필드에서 시도
-          const trackingNumber = trackingInfo.tracking_number || 
-                                trackingInfo.first_mile_tracking_number || 
-                                trackingInfo.last_mile_tracking_number || 
-                                trackingInfo.plp_number;
-          
-          // 배송사 명 추출
-          const carrierName = trackingInfo.shipping_provider_name || 
-                             trackingInfo.logistic_name || 
-                             trackingInfo.carrier_name || 
-                             trackingInfo.shipping_provider || 
-                             trackingInfo.carrier || 
-                             trackingInfo.logistics_channel || null;
-          
-          // 배송 정보 업데이트
-          if (trackingNumber) {
-            shipmentMap[orderSn] = {
-              ...shipmentMap[orderSn],
-              tracking_number: trackingNumber,
-              shipping_carrier: trackingInfo.shipping_provider || trackingInfo.logistic_name || trackingInfo.carrier_name || trackingInfo.carrier || trackingInfo.logistics_channel || null,
-              shipping_carrier_name: trackingInfo.shipping_provider_name || trackingInfo.logistic_name || trackingInfo.carrier_name || trackingInfo.shipping_provider || trackingInfo.carrier || trackingInfo.logistics_channel || null,
-              estimated_shipping_fee: trackingInfo.estimated_shipping_fee || 0,
-              actual_shipping_cost: trackingInfo.actual_shipping_cost || 0,
-              first_mile_tracking_number: trackingInfo.first_mile_tracking_number || null,
-              last_mile_tracking_number: trackingInfo.last_mile_tracking_number || null,
-              plp_number: trackingInfo.plp_number || null
-            };
-            
-            // 송장번호 로그 추가
-            logger.info(`송장번호 확인: 주문 ${orderSn}, 송장번호: ${trackingNumber}, 배송사: ${shipmentMap[orderSn].shipping_carrier_name || '없음'}`);
-            
-            // 이미 동일한 번호가 DB에 있는지 확인 (중복 업데이트 방지)
-            if (currentTrackingNo !== trackingNumber) {
-              // 필수 필드 검증
-              if (!orderSn || !orderId || !trackingNumber) {
-                logger.error(`송장번호 업데이트 대상 추가 실패 - 필수 필드 누락:`, {
-                  orderSn: orderSn || 'NULL',
-                  orderId: orderId || 'NULL', 
-                  trackingNumber: trackingNumber || 'NULL'
-                });
-                failCount++;
-                continue;
-              }
-              
-              successCount++;
-              updatedOrders.push({ 
-                orderSn: orderSn, 
-                orderId: orderId,
-                trackingNumber: trackingNumber,
-                carrierName: shipmentMap[orderSn].shipping_carrier_name
-              });
-              
-              logger.info(`송장번호 DB 업데이트 예정: 주문 ${orderSn}, 송장번호: ${trackingNumber}`);
-            } else {
-              logger.debug(`주문 ${orderSn}의 송장번호가 이미 DB에 동일하게 있음 (${trackingNumber})`);
-            }
             
-            // 송장번호가 있는 경우에만 상세 추적 정보 조회 - 선택적 기능
-            try {
-              // 상세 배송 추적 정보 조회
-              const detailedResponse = await shopeeApi.getDetailedTrackingInfo(
-                shop.access_token,
-                shop.shop_id,
-                trackingNumber
-              );
-              
-              if (detailedResponse && 
-                  detailedResponse.response && 
-                  detailedResponse.response.tracking_info) {
-                
-                const detailedInfo = detailedResponse.response;
-                
-                // 배송 이력 정보 추출
-                if (detailedInfo.tracking_info && detailedInfo.tracking_info.length > 0) {
-                  shipmentMap[orderSn].histories = detailedInfo.tracking_info.map(info => ({
-                    tracking_no: trackingNumber,
-                    tracking_date: info.update_time || Math.floor(Date.now() / 1000),
-                    status: info.logistics_status || 'UNKNOWN',
-                    location: info.description || 'Unknown'
-                  }));
-                  
-                  logger.debug(`주문 ${orderSn}의 배송 이력 정보 ${detailedInfo.tracking_info.length}개 조회 성공`);
-                }
-              }
-            } catch (detailError) {
-              logger.warn(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 상세 추적 정보 조회 실패: ${detailError.message}`);
-            }
-          } else {
-            logger.warn(`송장번호 없음: 주문 ${orderSn} (API 응답에 송장번호 없음)`);
-            failCount++;
+            const saved = await orderRepository.upsertLogisticHistories(pkg.histories, logistic.id, tx);
+            savedCount += saved.length;
           }
-        } else {
-          logger.warn(`주문 ${orderSn}의 송장번호 조회 응답 없음`);
-          failCount++;
-        }
-        
-        // 일정 개수마다 중간 저장 (안정성 향상)
-        if (updatedOrders.length >= batchSize) {
-          const savedCount = await this._saveTrackingNumbers(shop, updatedOrders);
-          updateCount += savedCount;
-          updatedOrders.length = 0;
-          logger.info(`중간 저장 완료: ${updateCount}개 주문의 송장번호 DB 저장 완료`);
-        }
+        });
         
-        // API 호출 제한 고려 (요청 간 지연 적용)
-        await new Promise(resolve => setTimeout(resolve, delayBetweenRequests));
+        await orderTrace.trace(order.orderSn, 'db:tracking-histories', {
+          orderId: order.orderId,
+          packages: order.packages.map(pkg => ({ package_number: pkg.package_number, histories: pkg.histories }))
+        });
       } catch (error) {
-        logger.error(`샵 ID ${shop.shop_id}의 주문 ${orderSn} 송장번호 조회 실패: ${error.message}`);
-        failCount++;
-        
-        // 실패해도 계속 진행 (다음 주문 처리)
-        await new Promise(resolve => setTimeout(resolve, delayBetweenRequests));
+        logger.error(`주문 ${order.orderSn}의 배송 이력 저장 실패: ${error.message}`);
       }
     }
     
-    // 남은 주문 정보 저장
-    if (updatedOrders.length > 0) {
-      const savedCount = await this._saveTrackingNumbers(shop, updatedOrders);
-      updateCount += savedCount;
+    return savedCount;
+  }
+  
+  /**
+   * 패키지별 송장번호 조회 결과 정리
+   * @private
+   * @param {string} packageNumber - 패키지 번호
+   * @param {string|null} shippingCarrier - 패키지 배송사
+   * @param {Object} [result] - get_mass_tracking_number의 success_list 또는 fail_list 항목 (응답에 없으면 undefined)
+   * @returns {Object} - 패키지 송장 정보 (resolved_tracking_number: 저장에 사용할 송장번호)
+   */
+  _toPackageTracking(packageNumber, shippingCarrier, result) {
+    if (!result) {
+      return this._toPackageTracking(packageNumber, shippingCarrier, { fail_reason: '응답에 패키지 없음' });
     }
     
-    logger.info(`샵 ID ${shop.shop_id}의 송장번호 조회 완료 - 성공: ${successCount}개, 실패: ${failCount}개, DB 저장: ${updateCount}개, 총 처리: ${orderSns.length}개`);
-    
-    return { 
-      processed: orderSns.length,
-      updated: updateCount
+    const tracking = {
+      package_number: packageNumber,
+      shipping_carrier: shippingCarrier || null,
+      tracking_number: result.tracking_number || null,
+      first_mile_tracking_number: result.first_mile_tracking_number || null,
+      last_mile_tracking_number: result.last_mile_tracking_number || null,
+      plp_number: result.plp_number || null,
+      hint: result.hint || null
     };
+    
+    // 송장번호 확인 - 다양한 필드에서 시도
+    tracking.resolved_tracking_number = tracking.tracking_number ||
+                                        tracking.first_mile_tracking_number ||
+                                        tracking.last_mile_tracking_number ||
+                                        tracking.plp_number;
+    
+    tracking.fail_reason = tracking.resolved_tracking_number
+      ? null
+      : (result.fail_reason || result.hint || '송장번호 미발급');
+    
+    return tracking;
+  }
+  
+  /**
+   * 패키지 정보가 없는 주문의 송장번호 개별 조회 (get_tracking_number)
+   * @private
+   * @param {ShopeeApi} shopeeApi - 쇼피 API 클라이언트
+   * @param {Object} shop - 샵 정보
+   * @param {string} orderSn - 주문번호
+   * @param {string|null} shippingCarrier - 주문 배송사
+   * @returns {Promise<Object>} - 패키지 송장 정보
+   */
+  async _getOrderTrackingFallback(shopeeApi, shop, orderSn, shippingCarrier) {
+    try {
+      const trackingResponse = await shopeeApi.getTrackingInfo(shop.access_token, shop.shop_id, orderSn, null);
+      const trackingInfo = (trackingResponse && trackingResponse.response) || {};
+      
+      return this._toPackageTracking(null, shippingCarrier, trackingInfo);
+    } catch (error) {
+      // 인증/파트너 오류는 이후 호출도 모두 실패하므로 배치 전체 중단
+      if (error instanceof ShopeeApiError && [ERROR_CATEGORY.AUTH, ERROR_CATEGORY.PARTNER].includes(error.category)) {
+        throw error;
+      }
+      
+      return this._toPackageTracking(null, shippingCarrier, { fail_reason: `${error.category || 'unknown'}: ${error.message}` });
+    }
   }
   
   /**
    * 송장번호 DB 저장
+   * - packages가 있으면 패키지별 물류와 그 패키지의 아이템에 저장, 없으면 주문의 대표 물류와 전체 아이템에 저장
    * @private
    * @param {Object} shop - 샵 정보
-   * @param {Array} updatedOrders - 업데이트된 주문 정보 배열
+   * @param {Array} updatedOrders - 업데이트된 주문 정보 배열 ({ orderSn, orderId, trackingNumber, carrierName, firstMileTrackingNumber?, lastMileTrackingNumber?, plpNumber?, packages? })
    * @returns {Promise<number>} - 저장된 주문 수
    */
   async _saveTrackingNumbers(shop, updatedOrders) {
@@ -591,65 +943,107 @@ class OrderService {
           carrierName: order.carrierName || 'NULL'
         });
         
+        // 패키지별로 저장 (패키지 정보가 없으면 주문의 대표 물류에 저장)
+        const packages = order.packages && order.packages.length > 0
+          ? order.packages
+          : [{
+            packageNumber: null,
+            trackingNumber: order.trackingNumber,
+            firstMileTrackingNumber: order.firstMileTrackingNumber,
+            lastMileTrackingNumber: order.lastMileTrackingNumber,
+            plpNumber: order.plpNumber,
+            carrierName: order.carrierName
+          }];
+        
         // 트랜잭션으로 처리
+        const writes = [];
         await db.tx('save-tracking-tx', async tx => {
-          // 물류 정보 확인
-          const logisticResult = await tx.oneOrNone(
-            `SELECT id FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
-            [order.orderId]
-          );
-          
-          if (logisticResult && logisticResult.id) {
-            // 기존 물류 정보에서 name 값 조회
-            const existingLogistic = await tx.oneOrNone(
-              `SELECT name FROM public.toms_shopee_logistic WHERE id = $1`,
-              [logisticResult.id]
-            );
+          for (const pkg of packages) {
+            // 물류 정보 확인 - 패키지 번호가 있으면 해당 패키지(없으면 패키지 번호 없는 기존 물류를 전환), 없으면 대표 물류
+            const existingLogistic = pkg.packageNumber
+              ? await tx.oneOrNone(
+                `SELECT id, name, package_number FROM public.toms_shopee_logistic 
+                 WHERE toms_order_id = $1 AND package_number IN ($2, '')
+                 ORDER BY (package_number = $2) DESC 
+                 LIMIT 1`,
+                [order.orderId, pkg.packageNumber]
+              )
+              : await tx.oneOrNone(
+                `SELECT id, name, package_number FROM public.toms_shopee_logistic 
+                 WHERE toms_order_id = $1 
+                 ORDER BY created_at, package_number 
+                 LIMIT 1`,
+                [order.orderId]
+              );
             
-            // 기존 name이 있으면 유지, 없으면 새로 설정
-            const finalCarrierName = existingLogistic && existingLogistic.name 
-              ? existingLogistic.name 
-              : (order.carrierName || null);
+            let logisticId;
             
-            // 기존 물류 정보 업데이트 (name 보존)
-            await tx.none(
-              `UPDATE public.toms_shopee_logistic SET 
-                tracking_no = $1, 
-                name = $2,
-                updated_at = CURRENT_TIMESTAMP 
-              WHERE id = $3`,
-              [order.trackingNumber, finalCarrierName, logisticResult.id]
-            );
+            // 구간별 송장번호 (first mile, last mile, PLP)
+            const legNumbers = [pkg.firstMileTrackingNumber || null, pkg.lastMileTrackingNumber || null, pkg.plpNumber || null];
             
-            logger.debug(`주문 ${order.orderSn}의 기존 물류 정보 업데이트 (물류 ID: ${logisticResult.id}, 기존 name: ${existingLogistic?.name || 'NULL'}, 최종 name: ${finalCarrierName})`);
-          } else {
-            // 물류 정보 신규 생성 - UUID 생성 추가
-            const newLogisticId = uuidv4();
-            await tx.none(
-              `INSERT INTO public.toms_shopee_logistic 
-                (id, toms_order_id, tracking_no, name, platform, created_at, updated_at) 
-              VALUES 
-                ($1, $2, $3, $4, 'shopee', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-              [newLogisticId, order.orderId, order.trackingNumber, order.carrierName || null]
-            );
+            if (existingLogistic) {
+              logisticId = existingLogistic.id;
+              
+              // 기존 name이 있으면 유지, 없으면 새로 설정
+              const finalCarrierName = existingLogistic.name || pkg.carrierName || null;
+              const packageNumber = pkg.packageNumber || existingLogistic.package_number;
+              
+              // 기존 물류 정보 업데이트 (name 보존, 조회되지 않은 구간 번호는 유지)
+              await tx.none(
+                `UPDATE public.toms_shopee_logistic SET 
+                  tracking_no = $1, 
+                  name = $2,
+                  package_number = $3,
+                  first_mile_tracking_no = COALESCE($5, first_mile_tracking_no),
+                  last_mile_tracking_no = COALESCE($6, last_mile_tracking_no),
+                  plp_number = COALESCE($7, plp_number),
+                  updated_at = CURRENT_TIMESTAMP 
+                WHERE id = $4`,
+                [pkg.trackingNumber, finalCarrierName, packageNumber, logisticId, ...legNumbers]
+              );
+              writes.push({ table: 'toms_shopee_logistic', action: 'update', id: logisticId, package_number: packageNumber, tracking_no: pkg.trackingNumber, legs: legNumbers, name: finalCarrierName });
+              
+              logger.debug(`주문 ${order.orderSn}의 기존 물류 정보 업데이트 (물류 ID: ${logisticId}, 패키지: ${packageNumber || '없음'}, 기존 name: ${existingLogistic.name || 'NULL'}, 최종 name: ${finalCarrierName})`);
+            } else {
+              // 물류 정보 신규 생성 - UUID 생성 추가
+              logisticId = uuidv4();
+              await tx.none(
+                `INSERT INTO public.toms_shopee_logistic 
+                  (id, toms_order_id, package_number, tracking_no, name, 
+                   first_mile_tracking_no, last_mile_tracking_no, plp_number, platform, created_at, updated_at) 
+                VALUES 
+                  ($1, $2, $3, $4, $5, $6, $7, $8, 'shopee', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                [logisticId, order.orderId, pkg.packageNumber || '', pkg.trackingNumber, pkg.carrierName || null, ...legNumbers]
+              );
+              writes.push({ table: 'toms_shopee_logistic', action: 'insert', id: logisticId, package_number: pkg.packageNumber || '', tracking_no: pkg.trackingNumber, legs: legNumbers, name: pkg.carrierName || null });
+              
+              logger.debug(`주문 ${order.orderSn}의 물류 정보 신규 생성 (물류 ID: ${logisticId}, 패키지: ${pkg.packageNumber || '없음'})`);
+            }
             
-            logger.debug(`주문 ${order.orderSn}의 물류 정보 신규 생성 (물류 ID: ${newLogisticId})`);
+            // 주문 아이템 업데이트 (패키지가 지정되면 그 패키지의 아이템만)
+            const updateItemsResult = pkg.packageNumber
+              ? await tx.result(
+                `UPDATE public.toms_shopee_order_item SET 
+                  tracking_no = $1, 
+                  updated_at = CURRENT_TIMESTAMP 
+                WHERE toms_logistic_id = $2`,
+                [pkg.trackingNumber, logisticId]
+              )
+              : await tx.result(
+                `UPDATE public.toms_shopee_order_item SET 
+                  tracking_no = $1, 
+                  updated_at = CURRENT_TIMESTAMP 
+                WHERE toms_order_id = $2`,
+                [pkg.trackingNumber, order.orderId]
+              );
+            writes.push({ table: 'toms_shopee_order_item', action: 'update', logisticId, tracking_no: pkg.trackingNumber, rowCount: updateItemsResult.rowCount });
+            
+            logger.debug(`주문 ${order.orderSn}의 아이템 업데이트 (패키지: ${pkg.packageNumber || '없음'}): ${updateItemsResult.rowCount}개 행 영향`);
           }
           
-          // 주문 아이템 업데이트
-          const updateItemsResult = await tx.result(
-            `UPDATE public.toms_shopee_order_item SET 
-              tracking_no = $1, 
-              updated_at = CURRENT_TIMESTAMP 
-            WHERE toms_order_id = $2`,
-            [order.trackingNumber, order.orderId]
-          );
-          
-          logger.debug(`주문 ${order.orderSn}의 아이템 업데이트: ${updateItemsResult.rowCount}개 행 영향`);
-          
           // 주문 상태 확인 및 필요시 업데이트
           const orderStatusResult = await tx.oneOrNone(
-            `SELECT status FROM public.toms_shopee_order WHERE id = $1`,
+            `SELECT status, action_status FROM public.toms_shopee_order WHERE id = $1`,
             [order.orderId]
           );
           
@@ -661,15 +1055,29 @@ class OrderService {
               WHERE id = $2`,
               ['SHIPPED', order.orderId]
             );
+            writes.push({ table: 'toms_shopee_order', action: 'update', id: order.orderId, status: 'SHIPPED', previousStatus: orderStatusResult.status });
+            
+            await orderStatusRepository.recordStatusChange({
+              orderId: order.orderId,
+              orderNum: order.orderSn,
+              shopId: shop.shop_id,
+              fromStatus: orderStatusResult.status,
+              toStatus: 'SHIPPED',
+              fromActionStatus: orderStatusResult.action_status,
+              toActionStatus: orderStatusResult.action_status,
+              source: 'tracking'
+            }, tx);
             
             logger.debug(`주문 ${order.orderSn}의 상태를 'SHIPPED'로 업데이트`);
           }
         });
         
+        await orderTrace.trace(order.orderSn, 'db:tracking', { order, writes });
         logger.info(`주문 ${order.orderSn}의 송장번호 ${order.trackingNumber} DB 저장 성공`);
         savedCount++;
         
       } catch (error) {
+        await orderTrace.trace(order.orderSn, 'db:tracking-failed', { order, message: error.message });
         logger.error(`주문 ${order.orderSn || 'UNKNOWN'}의 송장번호 DB 저장 실패: ${error.message}`, {
           orderData: order,
           errorStack: error.stack
@@ -687,12 +1095,15 @@ class OrderService {
    * @returns {Promise<void>}
    */
   async _processUnupdatedTrackingNumbers(shop) {
+    // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트
+    const shopeeApi = shopeeApiFactory.forShop(shop);
+    
     logger.info(`[개선] 미업데이트 송장번호 처리 시작 - 샵 ID: ${shop.shop_id}`);
     
     try {
       // 1. 송장번호가 없는 발송 상태 주문 찾기
       const unupdatedOrders = await db.manyOrNone(
-        `SELECT o.id, o.order_num, o.status 
+        `SELECT DISTINCT o.id, o.order_num, o.status 
          FROM public.toms_shopee_order o
          LEFT JOIN public.toms_shopee_logistic l ON o.id = l.toms_order_id
          WHERE o.platform = 'shopee'
@@ -769,6 +1180,9 @@ class OrderService {
                   orderSn: order.order_num,
                   orderId: order.id,
                   trackingNumber: trackingNumber,
+                  firstMileTrackingNumber: trackingInfo.first_mile_tracking_number || null,
+                  lastMileTrackingNumber: trackingInfo.last_mile_tracking_number || null,
+                  plpNumber: trackingInfo.plp_number || null,
                   carrierName: carrierName
                 });
               } else {
@@ -799,9 +1213,6 @@ class OrderService {
           } catch (error) {
             logger.error(`미업데이트 주문 ${order.order_num} 처리 오류: ${error.message}`);
           }
-          
-          // API 제한 고려 - 짧은 지연
-          await new Promise(resolve => setTimeout(resolve, 300));
         }
         
         // 배치 저장
@@ -822,12 +1233,17 @@ class OrderService {
 
   /**
    * 특정 주문번호의 송장번호 문제 해결
+   * - 문제 원인 확인이 필요하면 해당 주문을 추적 대상(orderTrace)에 추가한 뒤 실행
    * @param {Object} shop - 샵 정보
+   * @param {string} specificOrderSn - 송장번호 문제가 있는 주문번호
    * @returns {Promise<void>} - void
    */
-  async processSpecificOrder(shop) {
-    // 송장번호 문제가 있는 특정 주문번호 처리
-    const specificOrderSn = '25042563TEG8YN';
+  async processSpecificOrder(shop, specificOrderSn) {
+    if (!specificOrderSn) {
+      logger.warn('처리할 주문번호가 없습니다.');
+      return;
+    }
+    
     logger.info(`[디버그] 특정 주문번호 ${specificOrderSn} 수동 처리 시작`);
     
     try {
@@ -844,8 +1260,8 @@ class OrderService {
       
       logger.info(`[디버그] ${specificOrderSn} 주문 상태: ${orderResult.status || 'NULL'}, 액션 상태: ${orderResult.action_status || 'NULL'}`);
       
-      // 샌드박스 모드 설정 (회사 설정 기준)
-      shopeeApi.isSandbox = shop.issandbox === true;
+      // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트 (회사 설정 기준)
+      const shopeeApi = shopeeApiFactory.forShop(shop);
       logger.info(`[디버그] ${specificOrderSn} 처리를 위한 샌드박스 모드: ${shopeeApi.isSandbox}`);
       
       // 2. 직접 API 호출로
@@ -926,9 +1342,12 @@ class OrderService {
           
           // 트랜잭션으로 처리
           await db.tx('save-specific-tracking', async tx => {
-            // 물류 정보 확인
+            // 물류 정보 확인 (분할 배송 주문은 대표 패키지)
             const logisticResult = await tx.oneOrNone(
-              `SELECT id FROM public.toms_shopee_logistic WHERE toms_order_id = $1`,
+              `SELECT id FROM public.toms_shopee_logistic 
+               WHERE toms_order_id = $1 
+               ORDER BY created_at, package_number 
+               LIMIT 1`,
               [orderResult.id]
             );
             
@@ -990,6 +1409,17 @@ class OrderService {
                 ['SHIPPED', orderResult.id]
               );
               
+              await orderStatusRepository.recordStatusChange({
+                orderId: orderResult.id,
+                orderNum: specificOrderSn,
+                shopId: shop.shop_id,
+                fromStatus: orderResult.status,
+                toStatus: 'SHIPPED',
+                fromActionStatus: orderResult.action_status,
+                toActionStatus: orderResult.action_status,
+                source: 'manual'
+              }, tx);
+              
               logger.debug(`주문 ${specificOrderSn} 주문 상태를 'SHIPPED'로 업데이트`);
             }
           });
@@ -1000,12 +1430,19 @@ class OrderService {
               COUNT(CASE WHEN i.tracking_no = $1 THEN 1 END) as updated_items
              FROM public.toms_shopee_order o
              LEFT JOIN public.toms_shopee_logistic l ON o.id = l.toms_order_id
-             LEFT JOIN public.toms_shopee_order_item i ON o.id = i.toms_order_id
+             LEFT JOIN public.toms_shopee_order_item i ON o.id = i.toms_order_id AND i.deleted_at IS NULL
              WHERE o.order_num = $2
              GROUP BY o.status, l.tracking_no`,
             [trackingNumber, specificOrderSn]
           );
           
+          await orderTrace.trace(specificOrderSn, 'db:specific-tracking', {
+            orderId: orderResult.id,
+            trackingNumber,
+            carrierName: orderResult.carrierName || null,
+            verify: verifyResult
+          });
+          
           if (verifyResult) {
             logger.info(`[디버그] ${specificOrderSn} 송장번호 업데이트 결과 검증:`, JSON.stringify(verifyResult));
             
@@ -1090,16 +1527,39 @@ class OrderService {
         logger.info(`주문 ${orderSn}: 체크아웃에서 배송사 정보 추출 성공 - ${shippingCarrierName}`);
       }
       
-      // 배송 정보 객체 생성
+      // 배송 정보 객체 생성 (분할 배송 주문은 패키지별로 저장)
       const shippingInfo = {
         shipping_carrier: shippingCarrier,
         shipping_carrier_name: shippingCarrierName,
         tracking_number: trackingNumber,
         estimated_shipping_fee: parseFloat(orderDetail.estimated_shipping_fee || 0),
         actual_shipping_cost: parseFloat(orderDetail.actual_shipping_fee || 0),
-        histories: []
+        histories: [],
+        packages: (orderDetail.package_list || [])
+          .filter(pkg => pkg.package_number)
+          .map(pkg => ({
+            package_number: pkg.package_number,
+            shipping_carrier: pkg.shipping_carrier || shippingCarrier,
+            logistics_status: pkg.logistics_status || null
+          }))
       };
       
+      if (shippingInfo.packages.length > 1) {
+        logger.info(`주문 ${orderSn}: 분할 배송 주문 - 패키지 ${shippingInfo.packages.length}개`);
+      }
+      
+      // 추적 대상 주문은 추출 근거와 결과 기록 (동기 메서드이므로 기록 완료를 기다리지 않음)
+      orderTrace.trace(orderSn, 'map:shipping', {
+        source: {
+          package_list: orderDetail.package_list || [],
+          shipping_carrier: orderDetail.shipping_carrier || null,
+          checkout_shipping_carrier: orderDetail.checkout_shipping_carrier || null,
+          estimated_shipping_fee: orderDetail.estimated_shipping_fee,
+          actual_shipping_fee: orderDetail.actual_shipping_fee
+        },
+        shipping: shippingInfo
+      });
+      
       // 최종 결과 로그
       if (shippingCarrierName) {
         logger.info(`주문 ${orderSn}: 배송사 정보 추출 완료 - 배송사: ${shippingCarrierName}, 송장번호: ${trackingNumber || '없음'}`);
@@ -1114,12 +1574,30 @@ class OrderService {
     }
   }
 
+  /**
+   * 아이템을 배송하는 패키지 번호 찾기 (package_list[].item_list의 item_id + model_id 기준)
+   * @private
+   * @param {Array} packageList - 주문 상세의 package_list
+   * @param {Object} item - 주문 상세의 item_list 항목
+   * @returns {string|null} - 패키지 번호 (찾지 못하면 null)
+   */
+  _findItemPackageNumber(packageList, item) {
+    const itemPackage = (packageList || []).find(pkg =>
+      (pkg.item_list || []).some(pkgItem => pkgItem.item_id === item.item_id && pkgItem.model_id === item.model_id)
+    );
+    
+    return itemPackage ? itemPackage.package_number : null;
+  }
+
   /**
    * 불완전한 물류 정보 보완 (송장번호 또는 배송사 정보 누락 해결)
    * @param {Object} shop - 샵 정보
    * @returns {Promise<void>}
    */
   async fixIncompleteLogisticInfo(shop) {
+    // 샵 환경(샌드박스/라이브)에 맞는 API 클라이언트
+    const shopeeApi = shopeeApiFactory.forShop(shop);
+    
     logger.info(`[보완] 불완전한 물류 정보 보완 시작 - 샵 ID: ${shop.shop_id}`);
     
     try {
@@ -1138,7 +1616,7 @@ class OrderService {
       
       // 2. 배송사 정보는 있지만 송장번호가 없는 레코드 조회
       const missingTrackingRecords = await db.manyOrNone(
-        `SELECT l.id, l.toms_order_id, l.name, o.order_num
+        `SELECT l.id, l.toms_order_id, l.name, l.package_number, o.order_num
          FROM public.toms_shopee_logistic l
          JOIN public.toms_shopee_order o ON l.toms_order_id = o.id
          WHERE l.name IS NOT NULL 
@@ -1181,22 +1659,19 @@ class OrderService {
               fixedCount++;
             }
           }
-          
-          // API 제한 고려
-          await new Promise(resolve => setTimeout(resolve, 300));
         } catch (error) {
           logger.error(`[보완] 주문 ${record.order_num}의 배송사 정보 조회 실패: ${error.message}`);
         }
       }
       
-      // 4. 배송사 정보는 있지만 송장번호가 없는 경우 - get_tracking_number API로 송장번호 조회
+      // 4. 배송사 정보는 있지만 송장번호가 없는 경우 - get_tracking_number API로 송장번호 조회 (패키지별)
       for (const record of missingTrackingRecords.slice(0, 20)) { // 최대 20개씩 처리
         try {
           const trackingResponse = await shopeeApi.getTrackingInfo(
             shop.access_token,
             shop.shop_id,
             record.order_num,
-            null
+            record.package_number || null
           );
           
           if (trackingResponse && trackingResponse.response) {
@@ -1216,22 +1691,24 @@ class OrderService {
                 [trackingNumber, record.id]
               );
               
-              // 주문 아이템도 함께 업데이트
+              // 주문 아이템도 함께 업데이트 (패키지 물류면 그 패키지의 아이템만)
               await db.none(
-                `UPDATE public.toms_shopee_order_item SET 
-                  tracking_no = $1, 
-                  updated_at = CURRENT_TIMESTAMP 
-                WHERE toms_order_id = $2`,
-                [trackingNumber, record.toms_order_id]
+                record.package_number
+                  ? `UPDATE public.toms_shopee_order_item SET 
+                      tracking_no = $1, 
+                      updated_at = CURRENT_TIMESTAMP 
+                    WHERE toms_logistic_id = $3`
+                  : `UPDATE public.toms_shopee_order_item SET 
+                      tracking_no = $1, 
+                      updated_at = CURRENT_TIMESTAMP 
+                    WHERE toms_order_id = $2`,
+                [trackingNumber, record.toms_order_id, record.id]
               );
               
               logger.info(`[보완] 주문 ${record.order_num}: 송장번호 추가 (${trackingNumber})`);
               fixedCount++;
             }
           }
-          
-          // API 제한 고려
-          await new Promise(resolve => setTimeout(resolve, 300));
         } catch (error) {
           logger.error(`[보완] 주문 ${record.order_num}의 송장번호 조회 실패: ${error.message}`);
         }
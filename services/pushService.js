@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const shopeeApiFactory = require('./shopeeApiFactory');
+const shopRepository = require('../db/shopRepository');
+const pushRepository = require('../db/pushRepository');
+const { orderDetailQueue, shipmentInfoQueue } = require('../queues/orderQueue');
+
+// 처리하는 쇼피 푸시 코드
+const PUSH_CODE = Object.freeze({
+  SHOP_DEAUTHORIZATION: 2, // 판매자 인증 해제
+  ORDER_STATUS: 3,         // 주문 상태 변경
+  ORDER_TRACKING_NO: 4     // 송장번호 갱신
+});
+
+class PushService {
+  /**
+   * 쇼피 푸시 수신 처리
+   * - 서명 검증 후 원본을 저장하고, 해당 주문만 처리하는 작업을 큐에 등록
+   * - 같은 푸시가 다시 오면 무시 (이전 처리가 실패한 경우에만 다시 처리)
+   * @param {Object} params - 수신 정보
+   * @param {Buffer} params.rawBody - 원본 요청 본문
+   * @param {string} params.authorization - Authorization 헤더 값
+   * @returns {Promise<Object>} - 처리 결과 ({ success, pushId, action, duplicate } 또는 { success: false, statusCode, error })
+   */
+  async handlePush({ rawBody, authorization }) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return { success: false, statusCode: 400, error: '푸시 본문이 올바른 JSON이 아닙니다.' };
+    }
+
+    const code = parseInt(payload.code, 10);
+    const shopId = payload.shop_id || null;
+    const data = payload.data || {};
+
+    // 샵의 파트너 키로 서명 검증 (등록되지 않은 샵은 기본 파트너 키 사용)
+    const shop = shopId ? await shopRepository.getShopById(shopId) : null;
+    const client = shop
+      ? shopeeApiFactory.forShop(shop)
+      : shopeeApiFactory.forPlatform({ issandbox: config.shopee.isSandbox });
+
+    if (!client.verifyPushSignature(config.shopee.pushUrl, rawBody, authorization)) {
+      logger.warn(`쇼피 푸시 서명 검증 실패 (샵 ID: ${shopId || '-'}, 코드: ${code})`);
+      return { success: false, statusCode: 401, error: '서명이 올바르지 않습니다.' };
+    }
+
+    const pushKey = crypto.createHash('sha256').update(rawBody).digest('hex');
+    const push = await pushRepository.savePush({
+      pushKey,
+      shopId,
+      code,
+      orderSn: data.ordersn || null,
+      payload
+    });
+
+    if (!push) {
+      logger.debug(`중복 쇼피 푸시 무시 (샵 ID: ${shopId || '-'}, 코드: ${code})`);
+      return { success: true, duplicate: true };
+    }
+
+    const action = await this._dispatch(push.id, shop, code, data, `push-${push.id}`);
+    return { success: true, pushId: push.id, action };
+  }
+
+  /**
+   * 저장된 푸시 재처리
+   * @param {number} pushId - 푸시 ID
+   * @returns {Promise<Object>} - 처리 결과 ({ success, pushId, action } 또는 { success: false, error })
+   */
+  async replayPush(pushId) {
+    const push = await pushRepository.getPushById(pushId);
+
+    if (!push) {
+      return { success: false, error: `푸시를 찾을 수 없습니다: ${pushId}` };
+    }
+
+    const shop = push.shop_id ? await shopRepository.getShopById(push.shop_id) : null;
+    const data = (push.payload && push.payload.data) || {};
+
+    logger.info(`쇼피 푸시 ${push.id} 재처리 (샵 ID: ${push.shop_id || '-'}, 코드: ${push.code})`);
+
+    // 재처리는 이전 작업과 별개로 등록
+    const action = await this._dispatch(push.id, shop, push.code, data, null);
+    return { success: true, pushId: push.id, action };
+  }
+
+  /**
+   * 푸시 코드별 처리
+   * @private
+   * @param {number} pushId - 푸시 ID
+   * @param {Object|null} shop - 샵 정보
+   * @param {number} code - 푸시 코드
+   * @param {Object} data - 푸시 data 필드
+   * @param {string|null} jobId - 큐 작업 ID (같은 푸시의 작업이 중복 등록되지 않도록)
+   * @returns {Promise<string>} - 수행한 처리 (order-details, shipment-info, deauthorized, ignored)
+   */
+  async _dispatch(pushId, shop, code, data, jobId) {
+    try {
+      let action = 'ignored';
+      let reason = null;
+      const jobOptions = jobId ? { priority: 1, jobId } : { priority: 1 };
+
+      if (!shop) {
+        reason = '등록되지 않은 샵';
+      } else if (code === PUSH_CODE.ORDER_STATUS && data.ordersn) {
+        await orderDetailQueue.add(
+          'process-order-details',
+          { shopId: shop.shop_id, orderSns: [data.ordersn], source: 'push' },
+          jobOptions
+        );
+        action = 'order-details';
+        logger.info(`쇼피 푸시: 샵 ID ${shop.shop_id} 주문 ${data.ordersn} 상태 변경 (${data.status}) - 주문 세부 정보 작업 등록`);
+      } else if (code === PUSH_CODE.ORDER_TRACKING_NO && data.ordersn) {
+        await shipmentInfoQueue.add(
+          'process-shipment-info',
+          { shopId: shop.shop_id, orderSns: [data.ordersn] },
+          jobOptions
+        );
+        action = 'shipment-info';
+        logger.info(`쇼피 푸시: 샵 ID ${shop.shop_id} 주문 ${data.ordersn} 송장번호 갱신 - 배송 정보 작업 등록`);
+      } else if (code === PUSH_CODE.SHOP_DEAUTHORIZATION) {
+        await shopRepository.markNeedsReauth(shop.id, '판매자가 인증을 해제함 (쇼피 푸시)');
+        action = 'deauthorized';
+        logger.warn(`쇼피 푸시: 샵 ID ${shop.shop_id} 인증 해제 - 재인증 필요로 표시`);
+      } else {
+        reason = `처리하지 않는 푸시 코드: ${code}`;
+      }
+
+      await pushRepository.markPush(pushId, action === 'ignored' ? 'ignored' : 'processed', reason);
+      return action;
+    } catch (error) {
+      logger.error(`쇼피 푸시 ${pushId} 처리 실패:`, { message: error.message, name: error.name });
+      await pushRepository.markPush(pushId, 'failed', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PushService();
@@ -2,20 +2,47 @@ const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const shopRepository = require('../db/shopRepository');
-const { v4: uuidv4 } = require('uuid');
+const rateLimiter = require('../utils/rateLimiter');
+const apiRecorder = require('../utils/apiRecorder');
+const orderTrace = require('../utils/orderTrace');
+const { ShopeeApiError, ERROR_CATEGORY } = require('./shopeeApiError');
 
+// get_order_list 1회 조회에 허용되는 최대 기간 (15일, 초 단위)
+const MAX_ORDER_LIST_RANGE_SECONDS = 15 * 24 * 60 * 60;
+
+// get_mass_tracking_number 1회 조회에 허용되는 최대 패키지 수
+const MAX_MASS_TRACKING_PACKAGES = 50;
+
+// 쇼피 API 기본 URL (config.shopee.baseUrl / sandboxBaseUrl로 변경 가능)
+const DEFAULT_BASE_URL = 'https://partner.shopeemobile.com';
+const DEFAULT_SANDBOX_BASE_URL = 'https://partner.test-stable.shopeemobile.com';
+
+/**
+ * 쇼피 API 클라이언트
+ * - 환경(샌드박스/라이브), 파트너 정보, 기본 URL이 생성 시 고정되는 불변 객체
+ * - 샵별 인스턴스는 shopeeApiFactory로 얻음
+ */
 class ShopeeApi {
-  constructor() {
-    this.apiUrl = config.shopee.apiUrl;
-    this.partnerId = config.shopee.partnerId;
-    this.partnerKey = config.shopee.partnerKey;
-    this.isSandbox = config.shopee.isSandbox;
+  /**
+   * @param {Object} options - 클라이언트 옵션
+   * @param {boolean} options.isSandbox - 샌드박스 모드 여부
+   * @param {string|number} options.partnerId - 파트너 ID
+   * @param {string} options.partnerKey - 파트너 키
+   * @param {string} [options.baseUrl] - API 기본 URL (없으면 환경별 config 값 사용, 가짜 쇼피 서버 테스트용)
+   */
+  constructor({ isSandbox = config.shopee.isSandbox, partnerId = config.shopee.partnerId, partnerKey = config.shopee.partnerKey, baseUrl = null } = {}) {
+    this.partnerId = partnerId;
+    this.partnerKey = partnerKey;
+    this.isSandbox = isSandbox === true;
     
     // API 기본 URL 설정 - 샌드박스 여부에 따라 결정
-    this.baseUrl = this.isSandbox 
-      ? 'https://partner.test-stable.shopeemobile.com' 
-      : 'https://partner.shopeemobile.com';
+    const configuredBaseUrl = this.isSandbox
+      ? (config.shopee.sandboxBaseUrl || DEFAULT_SANDBOX_BASE_URL)
+      : (config.shopee.baseUrl || DEFAULT_BASE_URL);
+    this.baseUrl = (baseUrl || configuredBaseUrl).replace(/\/+$/, '');
+    
+    // 동시에 실행되는 다른 샵의 작업이 환경을 바꾸지 못하도록 고정
+    Object.freeze(this);
     
     logger.info(`Shopee API 초기화 - 기본 URL: ${this.baseUrl}, Partner ID: ${this.partnerId}, 샌드박스 모드: ${this.isSandbox}`);
   }
@@ -60,6 +87,29 @@ class ShopeeApi {
     return sign;
   }
 
+  /**
+   * 푸시(웹훅) 서명 검증
+   * - 쇼피는 Authorization 헤더에 HMAC-SHA256(파트너 키, "{푸시 URL}|{원본 본문}")을 담아 보냄
+   * @param {string} url - 쇼피 콘솔에 등록한 푸시 URL
+   * @param {Buffer|string} rawBody - 원본 요청 본문
+   * @param {string} authorization - Authorization 헤더 값
+   * @returns {boolean} - 서명 일치 여부
+   */
+  verifyPushSignature(url, rawBody, authorization) {
+    if (!authorization || !rawBody) {
+      return false;
+    }
+    
+    const expected = crypto.createHmac('sha256', this.partnerKey)
+      .update(`${url}|${rawBody.toString('utf8')}`)
+      .digest('hex');
+    
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(String(authorization).trim());
+    
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+  }
+
   /**
    * API 호출 공통 메서드
    * @param {string} path - API 경로
@@ -70,15 +120,12 @@ class ShopeeApi {
    * @returns {Promise<Object>} - API 응답
    * @private
    */
-  async _callApi(path, params, accessToken, shopId, method = 'GET') {
+  async _callApi(path, params, accessToken, shopId, method = 'GET', options = {}) {
+    // API 경로에 '/api/v2' 접두어가 없는 경우 추가
+    const apiPath = path.startsWith('/api/v2') ? path : `/api/v2${path}`;
+    let finalParams = params;
+    
     try {
-      // 샌드박스 모드에 따라 API URL 재설정
-      this.baseUrl = this.isSandbox 
-        ? 'https://partner.test-stable.shopeemobile.com' 
-        : 'https://partner.shopeemobile.com';
-      
-      // API 경로에 '/api/v2' 접두어가 없는 경우 추가
-      const apiPath = path.startsWith('/api/v2') ? path : `/api/v2${path}`;
       const fullUrl = `${this.baseUrl}${apiPath}`;
       
       // 요청 타임아웃 설정
@@ -97,7 +144,7 @@ class ShopeeApi {
       };
       
       // 최종 파라미터 구성
-      const finalParams = {
+      finalParams = {
         ...commonParams,
         ...params
       };
@@ -128,48 +175,156 @@ class ShopeeApi {
         config.params = commonParams;
       }
       
-      // API 요청
-      const response = await axios(config);
+      let data;
       
-      // 응답 로깅 (최소화)
-      logger.debug(`API 응답 상태: ${response.status} ${path}`);
+      if (apiRecorder.isReplaying) {
+        // 재생 모드면 실제 호출 대신 녹화된 응답 사용
+        data = this._replayApi(apiPath, method, shopId, finalParams);
+      } else {
+        // 호출 제한 토큰 획득 (모든 워커 프로세스가 Redis 버킷 공유)
+        await rateLimiter.acquire({ partnerId: this.partnerId, shopId, path: apiPath });
+        
+        // API 요청 (녹화 모드면 요청/응답 쌍을 샵별 파일에 기록)
+        const exchange = { method, path: apiPath, shopId, params: finalParams };
+        let response;
+        try {
+          response = await axios(config);
+        } catch (requestError) {
+          await apiRecorder.record({
+            ...exchange,
+            status: requestError.response ? requestError.response.status : null,
+            data: requestError.response ? requestError.response.data : null,
+            networkError: requestError.response ? null : { code: requestError.code || null, message: requestError.message }
+          });
+          throw requestError;
+        }
+        await apiRecorder.record({ ...exchange, status: response.status, data: response.data });
+        
+        // 응답 로깅 (최소화)
+        logger.debug(`API 응답 상태: ${response.status} ${path}`);
+        
+        // HTTP 200이지만 error 필드가 있는 응답도 오류로 처리
+        if (response.data && response.data.error) {
+          throw ShopeeApiError.fromResponse(apiPath, response.status, response.data);
+        }
+        
+        data = response.data;
+      }
       
-      return response.data;
+      // 추적 대상 주문이 포함된 호출은 요청/응답 전체를 주문별 추적 기록에 남김
+      await orderTrace.traceApiCall({
+        method,
+        path: apiPath,
+        shopId,
+        params: apiRecorder.redact(finalParams),
+        data: apiRecorder.redact(data),
+        packageOrderSns: options.packageOrderSns
+      });
+      
+      return data;
     } catch (error) {
-      // 상세 오류 처리 및 로깅
-      if (error.code === 'ECONNABORTED') {
-        logger.error(`API 요청 타임아웃: ${path}`);
-        throw new Error(`API 요청 타임아웃: ${path}`);
-      } else if (error.code === 'ECONNRESET') {
-        logger.error(`API 호출 중 네트워크 오류: socket hang up`);
-        throw new Error(`API 호출 중 네트워크 오류: socket hang up`);
-      } else if (error.response) {
-        logger.error(`API 오류 응답 (${path}):`, {
-          status: error.response.status,
-          data: error.response.data
-        });
-      } else {
-        logger.error(`API 요청 오류 (${path}):`, {
-          message: error.message,
-          code: error.code
-        });
+      // 모든 오류를 분류된 ShopeeApiError로 변환
+      const apiError = error instanceof ShopeeApiError ? error : ShopeeApiError.fromAxiosError(apiPath, error);
+      
+      await orderTrace.traceApiCall({
+        method,
+        path: apiPath,
+        shopId,
+        params: apiRecorder.redact(finalParams),
+        error: apiError.toJSON(),
+        packageOrderSns: options.packageOrderSns
+      });
+      
+      // 스로틀링 오류면 호출 속도 감속
+      if (apiError.category === ERROR_CATEGORY.RATE_LIMIT && !apiRecorder.isReplaying) {
+        await rateLimiter.penalize(this.partnerId, apiPath);
       }
       
-      throw error;
+      // 상세 오류 로깅
+      logger.error(`API 오류 (${path}) [${apiError.category}]:`, apiError.toJSON());
+      
+      throw apiError;
     }
   }
   
+  /**
+   * 녹화된 응답으로 API 호출 재생
+   * - 실제 호출과 같은 방식으로 error 필드가 있는 응답, HTTP 오류, 네트워크 오류를 ShopeeApiError로 던짐
+   * @param {string} apiPath - API 경로
+   * @param {string} method - HTTP 메서드
+   * @param {string|number} shopId - 샵 ID
+   * @param {Object} params - 요청 파라미터
+   * @returns {Object} - 녹화된 응답 본문
+   * @private
+   */
+  _replayApi(apiPath, method, shopId, params) {
+    const recorded = apiRecorder.replay({ method, path: apiPath, shopId, params });
+    
+    if (!recorded) {
+      throw new ShopeeApiError({
+        message: `재생할 녹화 응답 없음: ${method} ${apiPath} (샵 ID: ${shopId || params.shop_id || '-'})`,
+        category: ERROR_CATEGORY.VALIDATION,
+        path: apiPath
+      });
+    }
+    
+    if (recorded.networkError) {
+      throw ShopeeApiError.fromAxiosError(apiPath, recorded.networkError);
+    }
+    
+    logger.debug(`API 재생 응답: ${recorded.status} ${apiPath}`);
+    
+    if (recorded.status >= 400 || (recorded.data && recorded.data.error)) {
+      throw ShopeeApiError.fromResponse(apiPath, recorded.status, recorded.data);
+    }
+    
+    return recorded.data;
+  }
+  
+  /**
+   * 샵 인증(판매자 승인) 페이지 URL 생성
+   * - 판매자가 승인하면 redirectUrl로 code와 shop_id(또는 main_account_id)가 전달됨
+   * @param {string} redirectUrl - 승인 후 돌아올 콜백 URL
+   * @returns {string} - 서명된 인증 URL
+   */
+  getAuthorizationUrl(redirectUrl) {
+    const apiPath = '/api/v2/shop/auth_partner';
+    const timestamp = this._getTimestamp();
+    
+    const query = new URLSearchParams({
+      partner_id: String(parseInt(this.partnerId, 10)),
+      timestamp: String(timestamp),
+      sign: this._generateSignature(apiPath, timestamp),
+      redirect: redirectUrl
+    });
+    
+    return `${this.baseUrl}${apiPath}?${query.toString()}`;
+  }
+  
   /**
    * 액세스 토큰 발급 받기
+   * - 메인 계정으로 인증한 경우 shopId 대신 mainAccountId를 전달하며, 응답의 shop_id_list에 포함된 모든 샵에 토큰이 적용됨
    * @param {string} code - 인증 코드
+   * @param {string|number} [shopId] - 인증한 샵 ID
+   * @param {string|number} [mainAccountId] - 인증한 메인 계정 ID
    * @returns {Promise<Object>} - 토큰 정보
    */
-  async getAccessToken(code) {
-    logger.info(`액세스 토큰 발급 요청 - 인증 코드: ${code}`);
+  async getAccessToken(code, shopId = null, mainAccountId = null) {
+    logger.info(`액세스 토큰 발급 요청 - 샵 ID: ${shopId || '-'}, 메인 계정 ID: ${mainAccountId || '-'}`);
     
-    return await this._callApi('/auth/token/get', {
+    const body = {
       code,
-    }, '', '', 'POST');
+      partner_id: parseInt(this.partnerId, 10)
+    };
+    
+    if (shopId) {
+      body.shop_id = parseInt(shopId, 10);
+    } else {
+      body.main_account_id = parseInt(mainAccountId, 10);
+    }
+    
+    // 인증 API는 공개 API이므로 서명에 shop_id를 넣지 않음
+    return await this._callApi('/auth/token/get', body, '', '', 'POST');
   }
   
   /**
@@ -181,9 +336,12 @@ class ShopeeApi {
   async refreshAccessToken(refreshToken, shopId) {
     logger.info(`액세스 토큰 갱신 요청 - 샵 ID: ${shopId}`);
     
+    // 인증 API는 공개 API이므로 서명에 shop_id를 넣지 않고 본문으로 전달
     return await this._callApi('/auth/access_token/get', {
       refresh_token: refreshToken,
-    }, '', shopId, 'POST');
+      partner_id: parseInt(this.partnerId, 10),
+      shop_id: parseInt(shopId, 10)
+    }, '', '', 'POST');
   }
   
   /**
@@ -223,6 +381,76 @@ class ShopeeApi {
     // get_order_list는 GET 메서드로 호출
     return await this._callApi('/order/get_order_list', requestParams, accessToken, shopId, 'GET');
   }
+
+  /**
+   * 조회 기간을 쇼피 제한(15일) 이내의 구간으로 분할
+   * @param {number} timeFrom - 시작 시간 (초)
+   * @param {number} timeTo - 종료 시간 (초)
+   * @param {number} maxRange - 구간 최대 길이 (초)
+   * @returns {Array<Object>} - 분할된 구간 배열 ({ timeFrom, timeTo })
+   */
+  splitTimeRange(timeFrom, timeTo, maxRange = MAX_ORDER_LIST_RANGE_SECONDS) {
+    const ranges = [];
+    let from = timeFrom;
+    
+    while (from < timeTo) {
+      const to = Math.min(from + maxRange, timeTo);
+      ranges.push({ timeFrom: from, timeTo: to });
+      from = to;
+    }
+    
+    return ranges;
+  }
+  
+  /**
+   * 주문 목록 전체 페이지 순회 (cursor 기반 페이지네이션)
+   * - 15일을 초과하는 기간은 자동으로 분할하여 구간별로 조회
+   * - 각 구간에서 response.more가 false가 될 때까지 next_cursor를 따라감
+   * - 응답 본문이 없으면 남은 페이지를 알 수 없으므로 오류 (호출자가 워터마크/구간 완료를 기록하지 않도록)
+   * @param {string} accessToken - 액세스 토큰
+   * @param {string} shopId - 샵 ID
+   * @param {Object} params - getOrderList 파라미터 (time_from, time_to 포함)
+   * @returns {AsyncGenerator<Object>} - 페이지 정보 ({ pageNo, orders, timeFrom, timeTo, more })
+   */
+  async *iterateOrderList(accessToken, shopId, params = {}) {
+    const now = this._getTimestamp();
+    const timeFrom = params.time_from || now - (30 * 60);
+    const timeTo = params.time_to || now;
+    
+    let pageNo = 0;
+    
+    for (const range of this.splitTimeRange(timeFrom, timeTo)) {
+      let cursor = '';
+      let more = true;
+      
+      while (more) {
+        const response = await this.getOrderList(accessToken, shopId, {
+          ...params,
+          time_from: range.timeFrom,
+          time_to: range.timeTo,
+          cursor
+        });
+        
+        if (!response || !response.response) {
+          throw new ShopeeApiError({
+            message: `샵 ID ${shopId}의 주문 목록 응답 없음 (구간: ${range.timeFrom} ~ ${range.timeTo}, 페이지: ${pageNo + 1})`,
+            category: ERROR_CATEGORY.SERVER,
+            path: '/api/v2/order/get_order_list'
+          });
+        }
+        
+        const { order_list: orders = [], next_cursor: nextCursor = '' } = response.response;
+        pageNo++;
+        
+        // 같은 cursor가 반복되면 무한 루프 방지를 위해 구간 종료
+        more = response.response.more === true && !!nextCursor && nextCursor !== cursor;
+        
+        yield { pageNo, orders, timeFrom: range.timeFrom, timeTo: range.timeTo, more };
+        
+        cursor = nextCursor;
+      }
+    }
+  }
   
   /**
    * 주문 상세 가져오기
@@ -264,12 +492,6 @@ class ShopeeApi {
    */
   async getTrackingInfo(accessToken, shopId, orderSn, packageNumber = null) {
     try {
-      // 특정 주문번호 디버그 로그 추가
-      const isSpecificOrder = (orderSn === '25042563TEG8YN');
-      if (isSpecificOrder) {
-        logger.info(`[디버그] ${orderSn} 송장번호 조회 API 시작 - 패키지번호: ${packageNumber || 'N/A'}`);
-      }
-      
       // 정확한 API 경로 사용
       const path = '/api/v2/logistics/get_tracking_number';
       
@@ -286,20 +508,8 @@ class ShopeeApi {
         params.package_number = packageNumber;
       }
       
-      // 디버그 로그 추가
-      if (isSpecificOrder) {
-        logger.info(`[디버그] ${orderSn} API 요청 파라미터:`, JSON.stringify(params));
-      }
-      
-      // API 호출 (GET 메서드 사용)
-      const response = await this._callApi(path, params, accessToken, shopId, 'GET');
-      
-      // 특정 주문번호에 대한 응답 상세 로깅
-      if (isSpecificOrder) {
-        logger.info(`[디버그] ${orderSn} API 응답:`, JSON.stringify(response));
-      }
-      
-      return response;
+      // API 호출 (GET 메서드 사용, 추적 대상 주문은 _callApi에서 요청/응답 기록)
+      return await this._callApi(path, params, accessToken, shopId, 'GET');
     } catch (error) {
       logger.error(`송장번호 조회 API 오류 (주문: ${orderSn}):`, error);
       throw error;
@@ -307,149 +517,107 @@ class ShopeeApi {
   }
   
   /**
-   * 주문 추적 상세 정보 가져오기
+   * 주문 추적 상세 정보 가져오기 (v2.logistics.get_tracking_info)
+   * - 쇼피는 송장번호가 아닌 주문번호(필수) + 패키지 번호(선택)로 조회함
    * @param {string} accessToken - 액세스 토큰
    * @param {string} shopId - 샵 ID
-   * @param {string} trackingNumber - 추적 번호
-   * @returns {Promise<Object>} - 추적 상세 정보
+   * @param {string} orderSn - 주문번호
+   * @param {string} [packageNumber] - 패키지 번호 (분할 배송 주문의 패키지별 조회)
+   * @returns {Promise<Object>} - 추적 상세 정보 ({ response: { order_sn, package_number, logistics_status, tracking_info } })
    */
-  async getDetailedTrackingInfo(accessToken, shopId, trackingNumber) {
-    logger.info(`물류 추적 상세 정보 조회 요청 - 샵 ID: ${shopId}, 추적번호: ${trackingNumber}`);
+  async getDetailedTrackingInfo(accessToken, shopId, orderSn, packageNumber = null) {
+    logger.info(`물류 추적 상세 정보 조회 요청 - 샵 ID: ${shopId}, 주문번호: ${orderSn}, 패키지: ${packageNumber || '-'}`);
     
-    // 추적 상세 정보 조회
-    return await this._callApi('/logistics/get_tracking_info', {
+    const params = {
       access_token: accessToken,
       shop_id: shopId,
-      tracking_number: trackingNumber
-    }, accessToken, shopId, 'GET');
+      order_sn: orderSn
+    };
+    
+    if (packageNumber) {
+      params.package_number = packageNumber;
+    }
+    
+    return await this._callApi('/logistics/get_tracking_info', params, accessToken, shopId, 'GET');
   }
   
   /**
-   * 대량 물류 추적 정보 가져오기 (v2.logistics.get_mass_tracking_number)
+   * 대량 송장번호 조회 (v2.logistics.get_mass_tracking_number)
+   * - 패키지 번호(get_order_detail의 package_list[].package_number) 기준으로 조회
+   * - 1회 최대 50개씩 나누어 호출하고 결과를 합쳐서 반환
+   * - 패키지별 실패는 fail_list에 담기며, 호출 자체가 실패하면(인증, 호출 한도 등) 오류를 던짐
    * @param {string} accessToken - 액세스 토큰
    * @param {string} shopId - 샵 ID
-   * @param {Array} orderSns - 주문번호 배열
-   * @returns {Promise<Object>} - 대량 물류 추적 정보
+   * @param {Array<string>} packageNumbers - 패키지 번호 배열
+   * @param {Object} [packageOrderSns] - 패키지 번호 -> 주문번호 (주문 추적 기록용, 요청/응답에 주문번호가 없음)
+   * @returns {Promise<Object>} - 대량 송장번호 정보 ({ response: { success_list, fail_list, warning } })
    */
-  async getMassTrackingInfo(accessToken, shopId, packageNumbers) {
-    logger.info(`대량 물류 추적 정보 조회 요청 - 샵 ID: ${shopId}, 패키지 수: ${packageNumbers.length}`);
+  async getMassTrackingInfo(accessToken, shopId, packageNumbers, packageOrderSns = null) {
+    logger.info(`대량 송장번호 조회 요청 - 샵 ID: ${shopId}, 패키지 수: ${packageNumbers.length}`);
     
-    // 단일 주문 추적 정보를 여러번 호출하는 방식으로 변경 (안정성 확보)
     const results = {
       success_list: [],
-      fail_list: []
+      fail_list: [],
+      warning: []
     };
     
-    // 순차적으로 처리
-    for (const packageNumber of packageNumbers) {
-      try {
-        // 개별 주문에 대한 추적 정보 조회
-        const response = await this.getTrackingInfo(
-          accessToken,
-          shopId,
-          null, // order_sn은 필요 없음
-          packageNumber
-        );
-        
-        // 정상 응답인 경우
-        if (response && response.response && response.response.tracking_number) {
-          results.success_list.push({
-            package_number: packageNumber,
-            tracking_number: response.response.tracking_number,
-            first_mile_tracking_number: response.response.first_mile_tracking_number || '',
-            last_mile_tracking_number: response.response.last_mile_tracking_number || '',
-            plp_number: response.response.plp_number || '',
-            hint: response.response.hint || ''
-          });
-        } else {
-          // 실패 케이스
-          results.fail_list.push({
-            package_number: packageNumber,
-            fail_reason: (response.error && response.message) ? `${response.error}: ${response.message}` : '송장번호를 찾을 수 없음'
-          });
-        }
-        
-        // API 제한 고려 - 요청 간 지연
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } catch (error) {
-        // 오류 발생 시 실패 목록에 추가
+    for (let i = 0; i < packageNumbers.length; i += MAX_MASS_TRACKING_PACKAGES) {
+      const chunk = packageNumbers.slice(i, i + MAX_MASS_TRACKING_PACKAGES);
+      
+      const response = await this._callApi('/logistics/get_mass_tracking_number', {
+        package_list: chunk.map(packageNumber => ({ package_number: packageNumber })),
+        response_optional_fields: 'plp_number,first_mile_tracking_number,last_mile_tracking_number'
+      }, accessToken, shopId, 'POST', { packageOrderSns });
+      
+      const data = (response && response.response) || {};
+      
+      (data.success_list || []).forEach(item => {
+        results.success_list.push({
+          package_number: item.package_number,
+          tracking_number: item.tracking_number || '',
+          first_mile_tracking_number: item.first_mile_tracking_number || '',
+          last_mile_tracking_number: item.last_mile_tracking_number || '',
+          plp_number: item.plp_number || '',
+          hint: item.hint || ''
+        });
+      });
+      
+      (data.fail_list || []).forEach(item => {
         results.fail_list.push({
-          package_number: packageNumber,
-          fail_reason: error.message || '알 수 없는 오류'
+          package_number: item.package_number,
+          fail_reason: [item.fail_error, item.fail_message].filter(Boolean).join(': ') || '송장번호를 찾을 수 없음'
         });
-      }
+      });
+      
+      results.warning.push(...(data.warning || []));
+      
+      // 응답에 없는 패키지는 실패로 처리
+      const answered = new Set([...results.success_list, ...results.fail_list].map(item => item.package_number));
+      chunk.filter(packageNumber => !answered.has(packageNumber)).forEach(packageNumber => {
+        results.fail_list.push({ package_number: packageNumber, fail_reason: '응답에 패키지 없음' });
+      });
     }
     
-    logger.info(`대량 추적 정보 조회 결과 - 성공: ${results.success_list.length}, 실패: ${results.fail_list.length}`);
+    logger.info(`대량 송장번호 조회 결과 - 샵 ID: ${shopId}, 성공: ${results.success_list.length}, 실패: ${results.fail_list.length}`);
     
-    // API 응답 형식과 유사하게 결과 반환
     return {
       error: '',
       message: '',
-      response: results,
-      request_id: uuidv4() // 요청 ID 생성
+      response: results
     };
   }
   
   /**
    * 액세스 토큰 검증 및 필요시 갱신
+   * - 분산 락을 사용하는 tokenService로 위임 (리프레시 토큰은 1회용)
    * @param {Object} shop - 샵 정보
    * @returns {Promise<Object>} - 유효한 토큰 정보를 가진 샵 객체
    */
   async validateToken(shop) {
-    try {
-      // 현재 시간 (초)
-      const now = Math.floor(Date.now() / 1000);
-      
-      // 토큰 만료 여부 확인 (5분 전에 미리 갱신)
-      if (!shop.access_token || !shop.expire_at || shop.expire_at < (now + 300)) {
-        logger.info(`샵 ID ${shop.shop_id}의 토큰 만료됨, 갱신 시도...`);
-        
-        if (!shop.refresh_token) {
-          throw new Error(`샵 ID ${shop.shop_id}의 리프레시 토큰이 없음`);
-        }
-        
-        // 리프레시 토큰으로 액세스 토큰 갱신
-        const tokenResponse = await this.refreshAccessToken(shop.refresh_token, shop.shop_id);
-        
-        if (!tokenResponse.access_token) {
-          throw new Error(`샵 ID ${shop.shop_id}의 토큰 갱신 실패`);
-        }
-        
-        // 토큰 정보 저장
-        const tokenInfo = {
-          access_token: tokenResponse.access_token,
-          refresh_token: tokenResponse.refresh_token,
-          expire: now + tokenResponse.expire_in,
-          expire_in: tokenResponse.expire_in
-        };
-        
-        // DB에 토큰 정보 업데이트
-        const updatedShop = await shopRepository.updateShopToken(shop.id, tokenInfo);
-        
-        // 갱신된 정보 반환
-        return {
-          ...shop,
-          access_token: tokenResponse.access_token,
-          refresh_token: tokenResponse.refresh_token,
-          expire_at: now + tokenResponse.expire_in,
-          expire_in: tokenResponse.expire_in
-        };
-      }
-      
-      // 토큰이 유효하면 그대로 반환
-      return shop;
-    } catch (error) {
-      // 에러 정보 간소화
-      const errorInfo = {
-        message: error.message,
-        name: error.name
-      };
-      
-      logger.error(`샵 ID ${shop.shop_id}의 토큰 검증/갱신 실패:`, errorInfo);
-      throw error;
-    }
+    // tokenService가 shopeeApi를 참조하므로 순환 참조를 피하기 위해 호출 시점에 로드
+    const tokenService = require('./tokenService');
+    return await tokenService.ensureValidToken(shop);
   }
 }
 
-module.exports = new ShopeeApi(); 
\ No newline at end of file
+module.exports = ShopeeApi;
@@ -0,0 +1,161 @@
+/**
+ * 쇼피 API 오류 분류
+ */
+const ERROR_CATEGORY = Object.freeze({
+  AUTH: 'auth',             // 토큰 만료/무효, 권한 없음 (샵 단위)
+  PARTNER: 'partner',       // 서명 오류, 파트너 ID/키 오류 (파트너 설정 문제 - 모든 샵에 해당, 재인증으로 해결 안 됨)
+  RATE_LIMIT: 'rate_limit', // 호출 한도 초과
+  VALIDATION: 'validation', // 잘못된 파라미터
+  NOT_FOUND: 'not_found',   // 주문/패키지 등 대상 없음
+  SERVER: 'server',         // 쇼피 서버 오류 (5xx)
+  NETWORK: 'network'        // 타임아웃, 연결 끊김 등 응답 없음
+});
+
+// 재시도로 해결될 수 있는 분류
+const RETRYABLE_CATEGORIES = [
+  ERROR_CATEGORY.RATE_LIMIT,
+  ERROR_CATEGORY.SERVER,
+  ERROR_CATEGORY.NETWORK
+];
+
+/**
+ * 쇼피 API 호출 오류
+ * - HTTP 오류 응답, HTTP 200이지만 error 필드가 있는 응답, 네트워크 오류를 모두 표현
+ */
+class ShopeeApiError extends Error {
+  /**
+   * @param {Object} params - 오류 정보
+   * @param {string} params.message - 오류 메시지
+   * @param {string} params.category - 오류 분류 (ERROR_CATEGORY)
+   * @param {string} [params.path] - API 경로
+   * @param {number} [params.status] - HTTP 상태 코드
+   * @param {string} [params.error] - 쇼피 응답의 error 필드
+   * @param {string} [params.shopeeMessage] - 쇼피 응답의 message 필드
+   * @param {string} [params.requestId] - 쇼피 응답의 request_id 필드
+   * @param {string} [params.code] - 네트워크 오류 코드 (ECONNRESET 등)
+   */
+  constructor({ message, category, path = null, status = null, error = null, shopeeMessage = null, requestId = null, code = null }) {
+    super(message);
+    this.name = 'ShopeeApiError';
+    this.category = category;
+    this.path = path;
+    this.status = status;
+    this.error = error;
+    this.shopeeMessage = shopeeMessage;
+    this.requestId = requestId;
+    this.code = code;
+  }
+
+  /**
+   * 재시도 가능 여부
+   * @returns {boolean}
+   */
+  get retryable() {
+    return RETRYABLE_CATEGORIES.includes(this.category);
+  }
+
+  /**
+   * 리프레시 토큰 자체가 무효/만료된 오류인지 (판매자 재인증이 필요한 경우)
+   * @returns {boolean}
+   */
+  get isRefreshTokenError() {
+    const text = `${this.error || ''} ${this.shopeeMessage || ''}`.toLowerCase();
+    return this.category !== ERROR_CATEGORY.PARTNER && /refresh[_ ]?token/.test(text);
+  }
+
+  /**
+   * 로그용 요약 정보
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      category: this.category,
+      path: this.path,
+      status: this.status,
+      error: this.error,
+      shopeeMessage: this.shopeeMessage,
+      requestId: this.requestId,
+      code: this.code
+    };
+  }
+
+  /**
+   * HTTP 상태 코드와 쇼피 error 코드로 오류 분류
+   * @param {number|null} status - HTTP 상태 코드
+   * @param {string} errorCode - 쇼피 응답의 error 필드
+   * @returns {string} - 오류 분류
+   */
+  static classify(status, errorCode) {
+    const code = (errorCode || '').toLowerCase();
+
+    if (status === 429 || /too_many|rate_limit|throttl/.test(code)) {
+      return ERROR_CATEGORY.RATE_LIMIT;
+    }
+    if (status === 404 || /not_found|not_exist|no_data/.test(code)) {
+      return ERROR_CATEGORY.NOT_FOUND;
+    }
+    // 서명/파트너 오류는 403으로 오는 경우가 있으므로 인증 오류보다 먼저 확인
+    if (/sign|partner/.test(code)) {
+      return ERROR_CATEGORY.PARTNER;
+    }
+    if (status === 401 || status === 403 || /auth|token|permission/.test(code)) {
+      return ERROR_CATEGORY.AUTH;
+    }
+    if ((status && status >= 500) || /server|inner|system|busy|internal/.test(code)) {
+      return ERROR_CATEGORY.SERVER;
+    }
+    return ERROR_CATEGORY.VALIDATION;
+  }
+
+  /**
+   * 쇼피 오류 응답(HTTP 오류 또는 error 필드가 있는 200 응답)으로 생성
+   * @param {string} path - API 경로
+   * @param {number} status - HTTP 상태 코드
+   * @param {Object} data - 응답 본문
+   * @returns {ShopeeApiError}
+   */
+  static fromResponse(path, status, data) {
+    const body = data && typeof data === 'object' ? data : {};
+    const category = ShopeeApiError.classify(status, body.error);
+
+    return new ShopeeApiError({
+      message: `쇼피 API 오류 (${path}, ${status}): ${body.error || 'unknown'}${body.message ? ` - ${body.message}` : ''}`,
+      category,
+      path,
+      status,
+      error: body.error || null,
+      shopeeMessage: body.message || null,
+      requestId: body.request_id || null
+    });
+  }
+
+  /**
+   * axios 오류로 생성
+   * @param {string} path - API 경로
+   * @param {Error} error - axios 오류
+   * @returns {ShopeeApiError}
+   */
+  static fromAxiosError(path, error) {
+    if (error.response) {
+      return ShopeeApiError.fromResponse(path, error.response.status, error.response.data);
+    }
+
+    const message = error.code === 'ECONNABORTED'
+      ? `API 요청 타임아웃: ${path}`
+      : `API 호출 중 네트워크 오류 (${path}): ${error.message}`;
+
+    return new ShopeeApiError({
+      message,
+      category: ERROR_CATEGORY.NETWORK,
+      path,
+      code: error.code || null
+    });
+  }
+}
+
+module.exports = {
+  ShopeeApiError,
+  ERROR_CATEGORY
+};
@@ -0,0 +1,122 @@
+const config = require('../config/config');
+const ShopeeApi = require('./shopeeApi');
+const { decrypt } = require('../utils/credentialCipher');
+
+/**
+ * 쇼피 API 클라이언트 팩토리
+ * - 샵/회사 플랫폼의 환경(샌드박스/라이브)과 파트너 정보로 불변 클라이언트를 생성
+ * - 클라이언트는 상태가 없으므로 환경과 파트너 정보가 같으면 같은 인스턴스를 재사용
+ * - 파트너 키는 매번 DB에서 읽은 값으로 결정하므로 키를 교체하면 재시작 없이 다음 작업부터 적용됨
+ */
+class ShopeeApiFactory {
+  constructor() {
+    this.clients = new Map();
+    this.decryptedKeys = new Map(); // 암호문 -> 복호화된 파트너 키
+  }
+
+  /**
+   * 파트너 정보 결정
+   * - 회사 플랫폼에 등록된 파트너 앱 정보가 있으면 우선 사용
+   * - 없으면 config의 파트너 정보 사용 (샌드박스는 샌드박스 전용 정보가 설정된 경우 사용)
+   * @private
+   * @param {boolean} isSandbox - 샌드박스 모드 여부
+   * @param {Object} [credential] - 회사 플랫폼 파트너 정보 ({ partnerId, partnerKeyEnc })
+   * @returns {Object} - 파트너 정보 ({ partnerId, partnerKey })
+   */
+  _resolvePartner(isSandbox, credential = {}) {
+    if (credential.partnerId && credential.partnerKeyEnc) {
+      return {
+        partnerId: String(credential.partnerId),
+        partnerKey: this._decryptPartnerKey(credential.partnerKeyEnc)
+      };
+    }
+
+    const sandbox = config.shopee.sandbox || {};
+    if (isSandbox && sandbox.partnerId && sandbox.partnerKey) {
+      return { partnerId: sandbox.partnerId, partnerKey: sandbox.partnerKey };
+    }
+
+    return { partnerId: config.shopee.partnerId, partnerKey: config.shopee.partnerKey };
+  }
+
+  /**
+   * 암호화된 파트너 키 복호화 (같은 암호문은 한 번만 복호화)
+   * @private
+   * @param {string} partnerKeyEnc - 암호화된 파트너 키
+   * @returns {string} - 파트너 키
+   */
+  _decryptPartnerKey(partnerKeyEnc) {
+    let partnerKey = this.decryptedKeys.get(partnerKeyEnc);
+
+    if (!partnerKey) {
+      partnerKey = decrypt(partnerKeyEnc);
+      this.decryptedKeys.set(partnerKeyEnc, partnerKey);
+    }
+
+    return partnerKey;
+  }
+
+  /**
+   * 클라이언트 생성 (같은 환경/파트너면 기존 인스턴스 반환)
+   * @param {Object} options - 클라이언트 옵션
+   * @param {boolean} options.isSandbox - 샌드박스 모드 여부
+   * @param {string|number} options.partnerId - 파트너 ID
+   * @param {string} options.partnerKey - 파트너 키
+   * @returns {ShopeeApi} - 쇼피 API 클라이언트
+   */
+  create({ isSandbox, partnerId, partnerKey }) {
+    const key = `${isSandbox ? 'sandbox' : 'live'}:${partnerId}`;
+    const cached = this.clients.get(key);
+
+    if (cached && cached.partnerKey === partnerKey) {
+      return cached;
+    }
+
+    // 파트너 키가 교체된 경우 이전 클라이언트를 새 클라이언트로 대체
+    if (cached) {
+      this.decryptedKeys.forEach((value, cipherText) => {
+        if (value === cached.partnerKey) {
+          this.decryptedKeys.delete(cipherText);
+        }
+      });
+    }
+
+    const client = new ShopeeApi({ isSandbox, partnerId, partnerKey });
+    this.clients.set(key, client);
+    return client;
+  }
+
+  /**
+   * 샵 정보로 클라이언트 조회 (환경과 파트너 정보는 샵의 company_platform 기준)
+   * @param {Object} shop - 샵 정보 (issandbox, platform_partner_id, platform_partner_key_enc 포함)
+   * @returns {ShopeeApi} - 쇼피 API 클라이언트
+   */
+  forShop(shop) {
+    const isSandbox = shop.issandbox === true;
+    return this.create({
+      isSandbox,
+      ...this._resolvePartner(isSandbox, {
+        partnerId: shop.platform_partner_id,
+        partnerKeyEnc: shop.platform_partner_key_enc
+      })
+    });
+  }
+
+  /**
+   * 회사 플랫폼 정보로 클라이언트 조회 (샵 등록 전 인증 단계용)
+   * @param {Object} platform - 회사 플랫폼 정보 (issandbox, partner_id, partner_key_enc 포함)
+   * @returns {ShopeeApi} - 쇼피 API 클라이언트
+   */
+  forPlatform(platform) {
+    const isSandbox = platform.issandbox === true;
+    return this.create({
+      isSandbox,
+      ...this._resolvePartner(isSandbox, {
+        partnerId: platform.partner_id,
+        partnerKeyEnc: platform.partner_key_enc
+      })
+    });
+  }
+}
+
+module.exports = new ShopeeApiFactory();
@@ -0,0 +1,231 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const shopeeApiFactory = require('./shopeeApiFactory');
+const shopRepository = require('../db/shopRepository');
+const { withLock } = require('../utils/redisLock');
+const apiRecorder = require('../utils/apiRecorder');
+const { ShopeeApiError, ERROR_CATEGORY } = require('./shopeeApiError');
+
+// 쇼피 리프레시 토큰 유효 기간 (30일, 초 단위)
+const REFRESH_TOKEN_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
+// 토큰 갱신 락 유지 시간: 락 안의 최대 소요 시간(API 호출 제한 대기 + API 타임아웃 30초 + DB 저장)보다 길게
+// 락은 갱신하는 동안 계속 연장되므로 이 값은 프로세스가 죽었을 때 락이 풀리기까지의 시간
+const REFRESH_LOCK_TTL_MS = ((config.shopee.rateLimit || {}).maxWaitMs || 120000) + 60000;
+
+class TokenService {
+  constructor() {
+    // 만료 몇 초 전부터 미리 갱신할지
+    this.refreshMarginSeconds = config.shopee.tokenRefreshMarginSeconds || 300;
+    // 리프레시 토큰 만료 며칠 전부터 경고할지
+    this.refreshTokenWarningDays = config.scheduler.refreshTokenWarningDays || 5;
+  }
+
+  /**
+   * 인증 오류 여부 확인
+   * @param {Error} error - 오류 객체
+   * @returns {boolean} - 인증 오류 여부
+   */
+  isAuthError(error) {
+    return error instanceof ShopeeApiError && error.category === ERROR_CATEGORY.AUTH;
+  }
+
+  /**
+   * 액세스 토큰이 없거나 만료 임박인지 확인
+   * @private
+   * @param {Object} shop - 샵 정보 (access_token, expire_at 포함)
+   * @returns {boolean} - 갱신 필요 여부
+   */
+  _isExpiring(shop) {
+    const now = Math.floor(Date.now() / 1000);
+    return !shop.access_token || !shop.expire_at || parseInt(shop.expire_at, 10) < (now + this.refreshMarginSeconds);
+  }
+
+  /**
+   * 유효한 토큰을 가진 샵 정보 반환 (만료 임박 시 선제 갱신)
+   * @param {Object} shop - 샵 정보
+   * @param {Object} options - 옵션 객체
+   * @param {boolean} options.force - 만료 여부와 관계없이 갱신 (인증 오류 발생 시)
+   * @returns {Promise<Object>} - 최신 토큰이 반영된 샵 정보
+   */
+  async ensureValidToken(shop, options = {}) {
+    const force = options.force === true;
+
+    // 재생 모드에서는 녹화된 토큰 응답이 지워져 있으므로 DB 토큰을 그대로 사용
+    if (apiRecorder.isReplaying) {
+      return shop;
+    }
+
+    if (!force && !this._isExpiring(shop)) {
+      return shop;
+    }
+
+    return await this._refreshWithLock(shop, force);
+  }
+
+  /**
+   * 토큰을 보장한 상태에서 함수 실행, 인증 오류가 나면 토큰을 강제 갱신하고 1회 재실행
+   * @param {Object} shop - 샵 정보
+   * @param {Function} fn - 실행할 함수 (유효한 샵 정보를 인자로 받음)
+   * @returns {Promise<*>} - 함수 실행 결과
+   */
+  async withValidToken(shop, fn) {
+    let validShop = await this.ensureValidToken(shop);
+
+    try {
+      return await fn(validShop);
+    } catch (error) {
+      if (!this.isAuthError(error)) {
+        throw error;
+      }
+
+      logger.warn(`샵 ID ${shop.shop_id} API 인증 오류 발생, 토큰 강제 갱신 후 재시도: ${error.message}`);
+      validShop = await this.ensureValidToken(validShop, { force: true });
+      return await fn(validShop);
+    }
+  }
+
+  /**
+   * 분산 락 안에서 토큰 갱신
+   * - 쇼피 리프레시 토큰은 1회용이므로 여러 워커가 같은 리프레시 토큰을 동시에 쓰지 않도록 락 사용
+   * - 락 대기 중 다른 워커가 이미 갱신했다면 DB의 새 토큰을 그대로 사용
+   * @private
+   * @param {Object} shop - 샵 정보
+   * @param {boolean} force - 강제 갱신 여부
+   * @returns {Promise<Object>} - 최신 토큰이 반영된 샵 정보
+   */
+  async _refreshWithLock(shop, force) {
+    const staleAccessToken = shop.access_token;
+
+    return await withLock(`lock:shop-token:${shop.id}`, async () => {
+      // 락 대기 중 다른 워커가 갱신했을 수 있으므로 최신 토큰 재조회
+      const latest = await shopRepository.getShopTokenById(shop.id);
+
+      if (!latest) {
+        throw new Error(`샵 ID ${shop.shop_id}의 토큰 정보를 찾을 수 없음`);
+      }
+
+      const refreshedByOther = latest.access_token && latest.access_token !== staleAccessToken;
+      if ((refreshedByOther || !force) && !this._isExpiring(latest)) {
+        logger.info(`샵 ID ${shop.shop_id}의 토큰이 이미 갱신되어 있어 DB 값을 사용합니다.`);
+        return { ...shop, ...latest };
+      }
+
+      if (!latest.refresh_token) {
+        await this._markNeedsReauth(shop, '리프레시 토큰 없음');
+        throw new Error(`샵 ID ${shop.shop_id}의 리프레시 토큰이 없음`);
+      }
+
+      logger.info(`샵 ID ${shop.shop_id}의 액세스 토큰 갱신 시작 (강제: ${force})`);
+
+      let tokenResponse;
+      try {
+        tokenResponse = await shopeeApiFactory.forShop(shop).refreshAccessToken(latest.refresh_token, shop.shop_id);
+      } catch (error) {
+        // 리프레시 토큰 만료/무효는 재시도로 해결되지 않으므로 재인증 필요로 표시
+        // (서명/파트너 키 오류 등 파트너 설정 문제는 샵 재인증으로 해결되지 않으므로 표시하지 않음)
+        if (error instanceof ShopeeApiError && error.isRefreshTokenError) {
+          await this._markNeedsReauth(shop, error.message);
+        }
+        throw error;
+      }
+
+      if (!tokenResponse || !tokenResponse.access_token) {
+        throw new Error(`샵 ID ${shop.shop_id}의 토큰 갱신 실패: 응답에 access_token 없음`);
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const tokenInfo = {
+        access_token: tokenResponse.access_token,
+        refresh_token: tokenResponse.refresh_token,
+        expire: now + tokenResponse.expire_in,
+        expire_in: tokenResponse.expire_in
+      };
+
+      // 새 토큰 쌍 저장 (이전 리프레시 토큰은 더 이상 사용할 수 없음)
+      await shopRepository.updateShopToken(shop.id, tokenInfo);
+
+      logger.info(`샵 ID ${shop.shop_id}의 액세스 토큰 갱신 완료 (만료: ${tokenInfo.expire})`);
+
+      return {
+        ...shop,
+        access_token: tokenInfo.access_token,
+        refresh_token: tokenInfo.refresh_token,
+        expire_at: tokenInfo.expire,
+        expire_in: tokenInfo.expire_in
+      };
+    }, { ttlMs: REFRESH_LOCK_TTL_MS, waitMs: REFRESH_LOCK_TTL_MS + 5000 });
+  }
+
+  /**
+   * 샵을 재인증 필요 상태로 표시 (이후 정기 수집 대상에서 제외)
+   * @private
+   * @param {Object} shop - 샵 정보
+   * @param {string} reason - 토큰 갱신 실패 사유
+   */
+  async _markNeedsReauth(shop, reason) {
+    logger.error(`샵 ID ${shop.shop_id}의 토큰을 갱신할 수 없어 재인증 필요로 표시합니다: ${reason}`);
+
+    try {
+      await shopRepository.markNeedsReauth(shop.id, reason);
+    } catch (error) {
+      logger.error(`샵 ID ${shop.shop_id}의 재인증 필요 표시 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 리프레시 토큰 만료 시각 계산 (마지막 토큰 발급 시각 + 30일)
+   * @param {Object} shop - 샵 정보 (auth_time 포함)
+   * @returns {number|null} - 만료 시각 (초), 발급 시각을 모르면 null
+   */
+  getRefreshTokenExpireAt(shop) {
+    if (!shop.auth_time) {
+      return null;
+    }
+
+    return Math.floor(new Date(shop.auth_time).getTime() / 1000) + REFRESH_TOKEN_LIFETIME_SECONDS;
+  }
+
+  /**
+   * 리프레시 토큰이 30일 제한에 가까운지 확인
+   * @param {Object} shop - 샵 정보 (auth_time 포함)
+   * @returns {boolean} - 경고 대상 여부
+   */
+  isRefreshTokenExpiring(shop) {
+    const expireAt = this.getRefreshTokenExpireAt(shop);
+    if (!expireAt) {
+      return false;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    return expireAt < now + (this.refreshTokenWarningDays * 24 * 60 * 60);
+  }
+
+  /**
+   * 샵별 인증 상태 조회
+   * @param {boolean} isSandbox - 샌드박스 모드 여부
+   * @returns {Promise<Array>} - 샵 인증 상태 목록
+   */
+  async getAuthStatus(isSandbox) {
+    const shops = await shopRepository.getShopsAuthStatus(isSandbox);
+    const now = Math.floor(Date.now() / 1000);
+
+    return shops.map(shop => {
+      const expireAt = shop.expire_at ? parseInt(shop.expire_at, 10) : null;
+
+      return {
+        shopId: shop.shop_id,
+        companyId: shop.companyid,
+        needsReauth: shop.needs_reauth === true,
+        authError: shop.auth_error,
+        authErrorAt: shop.auth_error_at,
+        accessTokenExpireAt: expireAt,
+        accessTokenExpired: !expireAt || expireAt < now,
+        refreshTokenExpireAt: this.getRefreshTokenExpireAt(shop),
+        refreshTokenExpiring: this.isRefreshTokenExpiring(shop)
+      };
+    });
+  }
+}
+
+module.exports = new TokenService();
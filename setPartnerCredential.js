@@ -0,0 +1,53 @@
+const shopRepository = require('./db/shopRepository');
+const { encrypt } = require('./utils/credentialCipher');
+
+/**
+ * 회사 플랫폼의 쇼피 파트너 앱 정보 등록/교체
+ * 사용법: node setPartnerCredential.js <company_platform.id> <partner_id> < partner_key.txt
+ * - 파트너 키는 명령행 기록에 남지 않도록 표준 입력으로 전달
+ * - 실행 중인 워커는 재시작 없이 다음 작업부터 새 키를 사용
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').trim();
+}
+
+async function setPartnerCredential() {
+  const [platformId, partnerId] = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    if (!platformId || !partnerId) {
+      console.error('사용법: node setPartnerCredential.js <company_platform.id> <partner_id> < partner_key.txt');
+      exitCode = 1;
+      return;
+    }
+
+    const partnerKey = await readStdin();
+    if (!partnerKey) {
+      console.error('표준 입력으로 파트너 키를 전달해야 합니다.');
+      exitCode = 1;
+      return;
+    }
+
+    const platform = await shopRepository.updatePlatformPartnerCredential(platformId, partnerId, encrypt(partnerKey));
+
+    if (!platform) {
+      console.error(`쇼피 회사 플랫폼 ${platformId}를 찾을 수 없습니다.`);
+      exitCode = 1;
+      return;
+    }
+
+    console.log(`회사 플랫폼 ${platform.id}의 파트너 정보 저장 완료 (파트너 ID: ${platform.partner_id}, 샌드박스: ${platform.issandbox}, 변경 시각: ${platform.partner_key_updated})`);
+  } catch (error) {
+    console.error('파트너 정보 저장 오류:', error);
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+setPartnerCredential();
@@ -0,0 +1,173 @@
+/**
+ * 주문 수집(collectOrders) 오프라인 시나리오
+ * - 가짜 쇼피 서버(tools/fakeShopee)를 실제 HTTP로 호출하고, DB/Redis 저장소만 테스트 대역으로 바꿔 실행
+ * - 설정은 로컬 config/config.js가 아닌 config/config.js.example로 만들어 사용
+ * - 실행: npm test (DB/Redis 서버는 필요 없음)
+ */
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { createFakeShopeeServer } = require('../tools/fakeShopee/server');
+
+const PARTNER_ID = '1000001';
+const PARTNER_KEY = 'fake-partner-key';
+const SHOP_ID = 100001;
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'config.js');
+const CONFIG_EXAMPLE_PATH = path.join(__dirname, '..', 'config', 'config.js.example');
+
+/**
+ * config/config.js.example로 테스트 설정을 만들어 config/config 대신 로드되도록 등록
+ * - 로컬 config/config.js(비밀 값)는 읽지 않으므로 깨끗한 체크아웃에서도 실행 가능
+ * @returns {Object} - 설정 객체
+ */
+function loadTestConfig() {
+  const configModule = new Module(CONFIG_PATH, module);
+  configModule.filename = CONFIG_PATH;
+  configModule.paths = Module._nodeModulePaths(path.dirname(CONFIG_PATH));
+  configModule._compile(fs.readFileSync(CONFIG_EXAMPLE_PATH, 'utf8'), CONFIG_PATH);
+  configModule.loaded = true;
+  require.cache[CONFIG_PATH] = configModule;
+
+  // 서비스 모듈의 '../config/config' 요청이 파일 유무와 관계없이 위 모듈을 가리키도록 함
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function (request, parent, ...rest) {
+    if (parent && parent.filename) {
+      const target = path.resolve(path.dirname(parent.filename), request);
+      if (target === CONFIG_PATH || `${target}.js` === CONFIG_PATH) {
+        return CONFIG_PATH;
+      }
+    }
+    return resolveFilename.call(this, request, parent, ...rest);
+  };
+
+  return configModule.exports;
+}
+
+const config = loadTestConfig();
+
+// 모듈이 로드될 때 읽는 설정이므로 서비스 모듈보다 먼저 덮어씀
+Object.assign(config.shopee, {
+  partnerId: PARTNER_ID,
+  partnerKey: PARTNER_KEY,
+  isSandbox: false,
+  sandbox: {},
+  recorder: { mode: 'off', dir: 'recordings' }
+});
+config.shopee.rateLimit = { ...config.shopee.rateLimit, enabled: false };
+Object.assign(config.scheduler, { maxRetryCount: 0, syncOverlapMinutes: 10 });
+// 연결하지 않는 DB/Redis (모듈 로드 시 연결 시도가 바로 실패하도록 로컬 주소)
+Object.assign(config.db, { host: '127.0.0.1', port: 1 });
+Object.assign(config.redis, { host: '127.0.0.1', port: 1 });
+
+const fake = createFakeShopeeServer({ partnerId: PARTNER_ID, partnerKey: PARTNER_KEY });
+
+let db;
+let redisClient;
+let orderService;
+let orderRepository;
+let shopRepository;
+let savedOrders;
+let watermarks;
+
+/**
+ * collectOrders가 DB에서 조회하는 샵 정보 (토큰은 가짜 서버 fixtures와 같음)
+ * @param {number} watermark - 마지막 동기화 시각 (초)
+ * @returns {Object} - 샵 정보
+ */
+function buildShopRow(watermark) {
+  return {
+    id: 'shop-100001',
+    shop_id: SHOP_ID,
+    access_token: 'fake-access-100001',
+    refresh_token: 'fake-refresh-100001',
+    expire_at: Math.floor(Date.now() / 1000) + 4 * 60 * 60,
+    companyid: 'company-1',
+    issandbox: false,
+    needs_reauth: false,
+    order_sync_watermark: watermark
+  };
+}
+
+before(async () => {
+  const baseUrl = await fake.start();
+  config.shopee.baseUrl = baseUrl;
+  config.shopee.sandboxBaseUrl = baseUrl;
+
+  db = require('../db/db');
+  redisClient = require('../utils/redis');
+  orderService = require('../services/orderService');
+  orderRepository = require('../db/orderRepository');
+  shopRepository = require('../db/shopRepository');
+  const orderTrace = require('../utils/orderTrace');
+
+  // 추적 대상 조회(Redis)와 물류 정보 보완(DB)은 이 시나리오 범위 밖
+  mock.method(orderTrace, 'isTraced', async () => false);
+  mock.method(orderService, 'fixIncompleteLogisticInfo', async () => {});
+});
+
+beforeEach(() => {
+  fake.reset();
+  savedOrders = [];
+  watermarks = [];
+
+  mock.method(orderRepository, 'upsertOrders', async orders => {
+    savedOrders.push(...orders);
+    return { results: orders.map(order => ({ orderSn: order.order_sn, orderId: `id-${order.order_sn}`, success: true, change: 'new', changedFields: [] })) };
+  });
+  mock.method(shopRepository, 'updateOrderSyncWatermark', async (shopId, watermark) => {
+    watermarks.push({ shopId, watermark });
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fake.stop();
+  redisClient.disconnect();
+  await db.$pool.end();
+});
+
+test('워터마크 이후 갱신된 주문을 모두 저장하고 워터마크를 전진', async () => {
+  const watermark = Math.floor(Date.now() / 1000) - 2 * 60 * 60;
+  mock.method(db, 'oneOrNone', async () => buildShopRow(watermark));
+
+  const result = await orderService.collectOrders({ id: 'shop-100001', shop_id: SHOP_ID });
+
+  assert.equal(result.success, true);
+  assert.equal(result.stats.failed, 0);
+  assert.deepEqual(savedOrders.map(order => order.order_sn).sort(), ['FAKE0000000001', 'FAKE0000000002']);
+  assert.deepEqual(watermarks, [{ shopId: 'shop-100001', watermark: result.stats.syncWindow.timeTo }]);
+
+  const order = savedOrders.find(saved => saved.order_sn === 'FAKE0000000001');
+  assert.equal(order.items[0].order_item_id, 800001);
+  assert.ok(order.shipping);
+});
+
+test('주문 상세 조회가 실패하면 실패로 집계하고 워터마크를 유지', async () => {
+  const watermark = Math.floor(Date.now() / 1000) - 2 * 60 * 60;
+  mock.method(db, 'oneOrNone', async () => buildShopRow(watermark));
+  fake.injectFault({ type: 'server_error', path: '/api/v2/order/get_order_detail' });
+
+  const result = await orderService.collectOrders({ id: 'shop-100001', shop_id: SHOP_ID });
+
+  assert.equal(result.stats.failed, 2);
+  assert.deepEqual(result.stats.failedOrderSns.sort(), ['FAKE0000000001', 'FAKE0000000002']);
+  assert.equal(savedOrders.length, 0);
+  assert.deepEqual(watermarks, []);
+});
+
+test('재시도 가능한 오류는 원래 오류와 함께 재시도 가능으로 반환 (작업 큐 재시도 대상)', async () => {
+  const watermark = Math.floor(Date.now() / 1000) - 2 * 60 * 60;
+  mock.method(db, 'oneOrNone', async () => buildShopRow(watermark));
+  fake.injectFault({ type: 'throttle', path: '/api/v2/order/get_order_list' });
+
+  const result = await orderService.collectOrders({ id: 'shop-100001', shop_id: SHOP_ID });
+
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, true);
+  assert.equal(result.errorCategory, 'rate_limit');
+  assert.equal(result.cause.category, 'rate_limit');
+  assert.deepEqual(watermarks, []);
+});
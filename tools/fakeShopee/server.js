@@ -0,0 +1,541 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 로컬 가짜 쇼피 Open API 서버 (통합 테스트용)
+ * - fixtures 디렉터리의 JSON으로 주문 목록/상세, 송장번호(단건/대량), 배송 추적, 토큰 API를 응답
+ * - 서명은 실제 쇼피와 같은 방식으로 검증 (HMAC-SHA256, {partner_id}{path}{timestamp}{access_token}{shop_id})
+ * - 스로틀링, 5xx, 토큰 만료 오류를 테스트에서 주입할 수 있음
+ *
+ * 사용법:
+ *   node tools/fakeShopee/server.js   (SHOPEE_BASE_URL=http://localhost:4010 으로 앱 실행)
+ *   또는 createFakeShopeeServer()로 테스트 코드에서 직접 생성
+ */
+
+// 서명 타임스탬프 허용 오차 (초, 쇼피와 동일하게 5분)
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+// get_order_list 1회 조회 최대 기간 (15일)
+const MAX_ORDER_LIST_RANGE_SECONDS = 15 * 24 * 60 * 60;
+
+// get_order_detail 1회 조회 최대 주문 수
+const MAX_ORDER_DETAIL_COUNT = 50;
+
+// get_mass_tracking_number 1회 조회 최대 패키지 수
+const MAX_MASS_TRACKING_PACKAGES = 50;
+
+// 주입 가능한 오류 유형별 응답
+const FAULT_RESPONSES = Object.freeze({
+  throttle: { status: 429, error: 'error_too_many_request', message: 'Too many requests, please try again later.' },
+  server_error: { status: 500, error: 'error_server', message: 'Internal server error.' },
+  expired_token: { status: 403, error: 'invalid_access_token', message: 'Invalid access_token.' }
+});
+
+// 토큰이 필요 없는 공개 API
+const PUBLIC_PATHS = ['/api/v2/auth/token/get', '/api/v2/auth/access_token/get'];
+
+/**
+ * fixtures 디렉터리의 JSON 파일 읽기
+ * @param {string} fixturesDir - fixtures 디렉터리 경로
+ * @param {string} name - 파일 이름
+ * @returns {*} - 파싱된 JSON
+ */
+function loadFixture(fixturesDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+}
+
+/**
+ * 가짜 쇼피 서버 생성
+ * @param {Object} options - 서버 옵션
+ * @param {string|number} options.partnerId - 서명 검증에 사용할 파트너 ID
+ * @param {string} options.partnerKey - 서명 검증에 사용할 파트너 키
+ * @param {string} [options.fixturesDir] - fixtures 디렉터리 (shops.json, orders.json, tracking.json)
+ * @param {number} [options.tokenExpireIn] - 발급하는 액세스 토큰 유효 시간 (초)
+ * @returns {Object} - 서버 제어 객체 ({ app, start, stop, injectFault, clearFaults, expireAccessToken, reset, requests })
+ */
+function createFakeShopeeServer({
+  partnerId = '1000001',
+  partnerKey = 'fake-partner-key',
+  fixturesDir = path.join(__dirname, 'fixtures'),
+  tokenExpireIn = 4 * 60 * 60
+} = {}) {
+  const state = {
+    startedAt: Math.floor(Date.now() / 1000),
+    shops: new Map(),    // shop_id -> { shopId, mainAccountId, code, accessToken, refreshToken, expireAt }
+    orders: new Map(),   // shop_id -> 주문 상세 배열
+    tracking: {},        // order_sn -> 송장/배송 추적 정보
+    faults: [],          // 주입된 오류 ({ path, type, shopId, remaining })
+    requests: [],        // 수신한 요청 기록 (테스트 검증용)
+    tokenSeq: 0
+  };
+
+  /**
+   * fixtures 기준으로 상태 초기화
+   */
+  function reset() {
+    state.startedAt = Math.floor(Date.now() / 1000);
+    state.shops.clear();
+    state.orders.clear();
+    state.faults = [];
+    state.requests.length = 0;
+
+    for (const shop of loadFixture(fixturesDir, 'shops.json')) {
+      state.shops.set(String(shop.shop_id), {
+        shopId: Number(shop.shop_id),
+        mainAccountId: shop.main_account_id ? Number(shop.main_account_id) : null,
+        code: shop.code,
+        accessToken: shop.access_token,
+        refreshToken: shop.refresh_token,
+        expireAt: state.startedAt + tokenExpireIn
+      });
+    }
+
+    // 0 이하의 시간 값은 서버 시작 시각 기준 상대 시간(초)으로 해석
+    const toTime = (value) => (typeof value === 'number' && value <= 0 ? state.startedAt + value : value);
+
+    const orders = loadFixture(fixturesDir, 'orders.json');
+    Object.keys(orders).forEach(shopId => {
+      state.orders.set(String(shopId), orders[shopId].map(order => ({
+        ...order,
+        create_time: toTime(order.create_time),
+        update_time: toTime(order.update_time),
+        pay_time: toTime(order.pay_time),
+        ship_by_date: toTime(order.ship_by_date)
+      })));
+    });
+
+    const tracking = loadFixture(fixturesDir, 'tracking.json');
+    state.tracking = {};
+    Object.keys(tracking).forEach(orderSn => {
+      state.tracking[orderSn] = {
+        ...tracking[orderSn],
+        tracking_info: (tracking[orderSn].tracking_info || []).map(info => ({
+          ...info,
+          update_time: toTime(info.update_time)
+        }))
+      };
+    });
+  }
+
+  /**
+   * 쇼피 응답 형식으로 전송
+   */
+  function send(res, status, { error = '', message = '', response, ...extra } = {}) {
+    const body = { error, message, request_id: crypto.randomBytes(16).toString('hex'), ...extra };
+    if (response !== undefined) {
+      body.response = response;
+    }
+    res.status(status).json(body);
+  }
+
+  /**
+   * 새 토큰 발급
+   */
+  function issueToken(shop) {
+    state.tokenSeq++;
+    shop.accessToken = `fake-access-${shop.shopId}-${state.tokenSeq}`;
+    shop.refreshToken = `fake-refresh-${shop.shopId}-${state.tokenSeq}`;
+    shop.expireAt = Math.floor(Date.now() / 1000) + tokenExpireIn;
+  }
+
+  /**
+   * 주입된 오류 중 이번 요청에 해당하는 것 꺼내기
+   */
+  function takeFault(apiPath, shopId) {
+    const index = state.faults.findIndex(fault =>
+      (fault.path === '*' || fault.path === apiPath) &&
+      (!fault.shopId || String(fault.shopId) === String(shopId))
+    );
+
+    if (index === -1) {
+      return null;
+    }
+
+    const fault = state.faults[index];
+    if (fault.remaining !== Infinity && --fault.remaining <= 0) {
+      state.faults.splice(index, 1);
+    }
+    return FAULT_RESPONSES[fault.type];
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  // ===== 테스트 제어 API =====
+
+  app.post('/__fake/faults', (req, res) => {
+    try {
+      res.json({ success: true, fault: injectFault(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/__fake/faults', (req, res) => {
+    clearFaults();
+    res.json({ success: true });
+  });
+
+  app.post('/__fake/shops/:shopId/expire-token', (req, res) => {
+    if (!expireAccessToken(req.params.shopId)) {
+      return res.status(404).json({ success: false, error: `샵을 찾을 수 없습니다: ${req.params.shopId}` });
+    }
+    res.json({ success: true });
+  });
+
+  app.get('/__fake/shops', (req, res) => {
+    res.json({ success: true, shops: Array.from(state.shops.values()) });
+  });
+
+  app.get('/__fake/requests', (req, res) => {
+    res.json({ success: true, requests: state.requests });
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  // ===== 공통 검증 (서명, 파트너, 토큰, 주입 오류) =====
+
+  app.use('/api/v2', (req, res, next) => {
+    const apiPath = `/api/v2${req.path}`;
+    const query = req.query;
+    const shopId = query.shop_id || (req.body && req.body.shop_id) || '';
+
+    state.requests.push({ method: req.method, path: apiPath, query: { ...query }, body: req.body || null, at: Date.now() });
+
+    const fault = takeFault(apiPath, shopId);
+    if (fault) {
+      return send(res, fault.status, { error: fault.error, message: fault.message });
+    }
+
+    if (String(query.partner_id) !== String(partnerId)) {
+      return send(res, 403, { error: 'error_auth', message: 'Invalid partner_id.' });
+    }
+
+    const timestamp = parseInt(query.timestamp, 10);
+    if (!timestamp || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+      return send(res, 403, { error: 'error_param', message: 'Invalid timestamp.' });
+    }
+
+    const accessToken = query.access_token || '';
+    const baseString = `${query.partner_id}${apiPath}${timestamp}${accessToken}${query.shop_id || ''}`;
+    const expected = crypto.createHmac('sha256', partnerKey).update(baseString).digest('hex');
+    if (query.sign !== expected) {
+      return send(res, 403, { error: 'error_sign', message: 'Wrong sign.' });
+    }
+
+    if (PUBLIC_PATHS.includes(apiPath)) {
+      return next();
+    }
+
+    const shop = state.shops.get(String(query.shop_id));
+    if (!shop) {
+      return send(res, 403, { error: 'error_auth', message: 'Invalid shop_id.' });
+    }
+
+    if (accessToken !== shop.accessToken || shop.expireAt <= Math.floor(Date.now() / 1000)) {
+      return send(res, 403, { error: 'invalid_access_token', message: 'Invalid access_token.' });
+    }
+
+    req.fakeShop = shop;
+    next();
+  });
+
+  // ===== 토큰 API =====
+
+  app.post('/api/v2/auth/token/get', (req, res) => {
+    const { code, shop_id: shopId, main_account_id: mainAccountId } = req.body || {};
+
+    const shops = shopId
+      ? [state.shops.get(String(shopId))].filter(Boolean)
+      : Array.from(state.shops.values()).filter(shop => shop.mainAccountId && shop.mainAccountId === Number(mainAccountId));
+
+    if (shops.length === 0 || shops.some(shop => shop.code !== code)) {
+      return send(res, 403, { error: 'error_auth', message: 'Invalid code.' });
+    }
+
+    // 메인 계정 인증이면 같은 토큰이 모든 샵에 적용됨
+    issueToken(shops[0]);
+    shops.slice(1).forEach(shop => Object.assign(shop, {
+      accessToken: shops[0].accessToken,
+      refreshToken: shops[0].refreshToken,
+      expireAt: shops[0].expireAt
+    }));
+
+    send(res, 200, {
+      access_token: shops[0].accessToken,
+      refresh_token: shops[0].refreshToken,
+      expire_in: tokenExpireIn,
+      ...(shopId ? {} : { shop_id_list: shops.map(shop => shop.shopId), merchant_id_list: [] })
+    });
+  });
+
+  app.post('/api/v2/auth/access_token/get', (req, res) => {
+    const { refresh_token: refreshToken, shop_id: shopId } = req.body || {};
+    const shop = state.shops.get(String(shopId));
+
+    // 리프레시 토큰은 1회용 (이전 값으로 다시 갱신하면 실패)
+    if (!shop || !refreshToken || refreshToken !== shop.refreshToken) {
+      return send(res, 403, { error: 'invalid_refresh_token', message: 'Invalid refresh_token.' });
+    }
+
+    issueToken(shop);
+    send(res, 200, {
+      access_token: shop.accessToken,
+      refresh_token: shop.refreshToken,
+      expire_in: tokenExpireIn,
+      partner_id: Number(partnerId),
+      shop_id: shop.shopId
+    });
+  });
+
+  // ===== 주문 API =====
+
+  app.get('/api/v2/order/get_order_list', (req, res) => {
+    const query = req.query;
+    const timeRangeField = query.time_range_field || 'create_time';
+    const timeFrom = parseInt(query.time_from, 10);
+    const timeTo = parseInt(query.time_to, 10);
+    const pageSize = parseInt(query.page_size, 10);
+    const offset = query.cursor ? parseInt(query.cursor, 10) : 0;
+
+    if (!['create_time', 'update_time'].includes(timeRangeField)) {
+      return send(res, 200, { error: 'error_param', message: 'Invalid time_range_field.' });
+    }
+    if (!timeFrom || !timeTo || timeFrom > timeTo || timeTo - timeFrom > MAX_ORDER_LIST_RANGE_SECONDS) {
+      return send(res, 200, { error: 'error_param', message: 'Invalid time range, the maximum is 15 days.' });
+    }
+    if (!(pageSize >= 1 && pageSize <= 100) || isNaN(offset) || offset < 0) {
+      return send(res, 200, { error: 'error_param', message: 'Invalid page_size or cursor.' });
+    }
+
+    const withStatus = String(query.response_optional_fields || '').split(',').includes('order_status');
+    const matched = (state.orders.get(String(req.fakeShop.shopId)) || [])
+      .filter(order => order[timeRangeField] >= timeFrom && order[timeRangeField] <= timeTo)
+      .filter(order => !query.order_status || order.order_status === query.order_status)
+      .sort((a, b) => b[timeRangeField] - a[timeRangeField]);
+
+    const page = matched.slice(offset, offset + pageSize);
+    const more = offset + pageSize < matched.length;
+
+    send(res, 200, {
+      response: {
+        more,
+        next_cursor: more ? String(offset + pageSize) : '',
+        order_list: page.map(order => (withStatus
+          ? { order_sn: order.order_sn, order_status: order.order_status }
+          : { order_sn: order.order_sn }))
+      }
+    });
+  });
+
+  app.get('/api/v2/order/get_order_detail', (req, res) => {
+    const orderSns = String(req.query.order_sn_list || '').split(',').filter(Boolean);
+
+    if (orderSns.length === 0 || orderSns.length > MAX_ORDER_DETAIL_COUNT) {
+      return send(res, 200, { error: 'error_param', message: `order_sn_list must contain 1 to ${MAX_ORDER_DETAIL_COUNT} orders.` });
+    }
+
+    const orders = state.orders.get(String(req.fakeShop.shopId)) || [];
+    send(res, 200, {
+      response: {
+        order_list: orderSns
+          .map(orderSn => orders.find(order => order.order_sn === orderSn))
+          .filter(Boolean)
+      }
+    });
+  });
+
+  // ===== 물류 API =====
+
+  /**
+   * 주문번호 또는 패키지 번호로 송장 정보 조회 (해당 샵의 주문만)
+   */
+  function findTracking(shopId, { orderSn, packageNumber }) {
+    const orders = state.orders.get(String(shopId)) || [];
+    const entry = Object.keys(state.tracking)
+      .map(key => ({ orderSn: key, ...state.tracking[key] }))
+      .find(item =>
+        (orderSn && item.orderSn === orderSn) ||
+        (!orderSn && packageNumber && item.package_number === packageNumber)
+      );
+
+    return entry && orders.some(order => order.order_sn === entry.orderSn) ? entry : null;
+  }
+
+  app.get('/api/v2/logistics/get_tracking_number', (req, res) => {
+    const entry = findTracking(req.fakeShop.shopId, {
+      orderSn: req.query.order_sn,
+      packageNumber: req.query.package_number
+    });
+
+    if (!entry) {
+      return send(res, 200, { error: 'logistics.order_not_found', message: 'Order not found.' });
+    }
+
+    send(res, 200, {
+      response: {
+        tracking_number: entry.tracking_number || '',
+        plp_number: entry.plp_number || '',
+        first_mile_tracking_number: entry.first_mile_tracking_number || '',
+        last_mile_tracking_number: entry.last_mile_tracking_number || '',
+        hint: entry.hint || ''
+      }
+    });
+  });
+
+  app.post('/api/v2/logistics/get_mass_tracking_number', (req, res) => {
+    const packageList = (req.body && req.body.package_list) || [];
+
+    if (!Array.isArray(packageList) || packageList.length === 0 || packageList.length > MAX_MASS_TRACKING_PACKAGES) {
+      return send(res, 200, { error: 'error_param', message: `package_list must contain 1 to ${MAX_MASS_TRACKING_PACKAGES} packages.` });
+    }
+
+    const successList = [];
+    const failList = [];
+
+    packageList.forEach(({ package_number: packageNumber }) => {
+      const entry = findTracking(req.fakeShop.shopId, { packageNumber });
+
+      if (!entry) {
+        failList.push({ package_number: packageNumber, fail_error: 'logistics.package_not_found', fail_message: 'Package not found.' });
+        return;
+      }
+
+      successList.push({
+        package_number: packageNumber,
+        tracking_number: entry.tracking_number || '',
+        plp_number: entry.plp_number || '',
+        first_mile_tracking_number: entry.first_mile_tracking_number || '',
+        last_mile_tracking_number: entry.last_mile_tracking_number || '',
+        hint: entry.hint || ''
+      });
+    });
+
+    send(res, 200, { response: { success_list: successList, fail_list: failList, warning: [] } });
+  });
+
+  // 실제 쇼피와 같이 order_sn 필수, package_number 선택 (송장번호로는 조회할 수 없음)
+  app.get('/api/v2/logistics/get_tracking_info', (req, res) => {
+    if (!req.query.order_sn) {
+      return send(res, 200, { error: 'error_param', message: 'order_sn is required.' });
+    }
+
+    const entry = findTracking(req.fakeShop.shopId, { orderSn: req.query.order_sn });
+
+    if (!entry || (req.query.package_number && entry.package_number !== req.query.package_number)) {
+      return send(res, 200, { error: 'logistics.order_not_found', message: 'Order not found.' });
+    }
+
+    send(res, 200, {
+      response: {
+        order_sn: entry.orderSn,
+        package_number: entry.package_number || '',
+        logistics_status: entry.logistics_status || '',
+        tracking_info: entry.tracking_info || []
+      }
+    });
+  });
+
+  app.use('/api/v2', (req, res) => {
+    send(res, 404, { error: 'error_not_found', message: `Fake server does not support ${req.method} /api/v2${req.path}.` });
+  });
+
+  // ===== 제어 함수 =====
+
+  /**
+   * 오류 주입
+   * @param {Object} fault - 주입할 오류
+   * @param {string} fault.type - 오류 유형 (throttle, server_error, expired_token)
+   * @param {string} [fault.path] - 대상 API 경로 (기본: 모든 경로 '*')
+   * @param {string|number} [fault.shopId] - 대상 샵 ID (기본: 모든 샵)
+   * @param {number} [fault.times] - 적용 횟수 (기본 1, 0이면 제거할 때까지 계속)
+   * @returns {Object} - 등록된 오류
+   */
+  function injectFault({ type, path: apiPath = '*', shopId = null, times = 1 }) {
+    if (!FAULT_RESPONSES[type]) {
+      throw new Error(`지원하지 않는 오류 유형: ${type} (${Object.keys(FAULT_RESPONSES).join(', ')})`);
+    }
+
+    const fault = { type, path: apiPath, shopId, remaining: times > 0 ? times : Infinity };
+    state.faults.push(fault);
+    return { ...fault, remaining: times > 0 ? times : 'unlimited' };
+  }
+
+  /**
+   * 주입된 오류 모두 제거
+   */
+  function clearFaults() {
+    state.faults = [];
+  }
+
+  /**
+   * 샵의 액세스 토큰을 만료 처리 (리프레시 토큰은 그대로 유효)
+   * @param {string|number} shopId - 샵 ID
+   * @returns {boolean} - 샵 존재 여부
+   */
+  function expireAccessToken(shopId) {
+    const shop = state.shops.get(String(shopId));
+    if (!shop) {
+      return false;
+    }
+    shop.expireAt = Math.floor(Date.now() / 1000) - 1;
+    return true;
+  }
+
+  let server = null;
+
+  /**
+   * 서버 시작
+   * @param {number} [port] - 포트 (0이면 임의 포트)
+   * @returns {Promise<string>} - 기본 URL (SHOPEE_BASE_URL로 사용)
+   */
+  function start(port = 0) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      server.once('error', reject);
+    });
+  }
+
+  /**
+   * 서버 종료
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  reset();
+
+  return {
+    app,
+    start,
+    stop,
+    injectFault,
+    clearFaults,
+    expireAccessToken,
+    reset,
+    requests: state.requests
+  };
+}
+
+module.exports = { createFakeShopeeServer, FAULT_RESPONSES };
+
+if (require.main === module) {
+  const fake = createFakeShopeeServer({
+    partnerId: process.env.SHOPEE_PARTNER_ID,
+    partnerKey: process.env.SHOPEE_PARTNER_KEY,
+    fixturesDir: process.env.FAKE_SHOPEE_FIXTURES_DIR || undefined
+  });
+
+  fake.start(parseInt(process.env.FAKE_SHOPEE_PORT || '4010', 10)).then(url => {
+    console.log(`가짜 쇼피 서버 시작: ${url} (SHOPEE_BASE_URL=${url})`);
+  });
+
+  process.on('SIGINT', () => fake.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => fake.stop().then(() => process.exit(0)));
+}
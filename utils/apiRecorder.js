@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// 녹화 파일에서 지우는 민감한 필드 (요청/응답 모두)
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'sign', 'partner_key'];
+
+// 요청에서만 지우는 필드 (인증 코드)
+const SECRET_REQUEST_FIELDS = ['code'];
+
+// 재생 시 요청 비교에서 제외하는 값 (호출 시각마다 달라지는 값)
+const VOLATILE_PARAMS = ['partner_id', 'timestamp', 'sign', 'access_token', 'time_from', 'time_to'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * 쇼피 API 호출 녹화/재생기
+ * - record: 요청/응답 쌍을 민감 정보(토큰, 서명)를 지운 뒤 샵별 JSONL 파일에 추가
+ * - replay: 녹화 파일의 응답으로 실제 API 호출을 대신하여 같은 수집 과정을 로컬에서 재현
+ * - 재생은 같은 샵/경로/파라미터의 녹화를 기록된 순서대로 사용하고, 모두 사용하면 마지막 응답을 반복
+ */
+class ApiRecorder {
+  constructor() {
+    const options = config.shopee.recorder || {};
+
+    this.mode = ['record', 'replay'].includes(options.mode) ? options.mode : 'off';
+    this.dir = path.resolve(options.dir || 'recordings');
+    this.replayFiles = new Map(); // 파일 키 -> { entries, cursors }
+
+    if (this.mode !== 'off') {
+      logger.info(`쇼피 API ${this.mode === 'record' ? '녹화' : '재생'} 모드 - 디렉터리: ${this.dir}`);
+    }
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * 민감한 필드를 지운 복사본 생성
+   * @private
+   * @param {*} value - 원본 값
+   * @param {Array<string>} fields - 지울 필드 이름
+   * @returns {*} - 정리된 값
+   */
+  _sanitize(value, fields) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._sanitize(item, fields));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = fields.includes(key) && value[key] ? REDACTED : this._sanitize(value[key], fields);
+      });
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * 토큰, 서명, 인증 코드를 지운 복사본 (로그/추적 기록용)
+   * @param {*} value - 요청 파라미터 또는 응답 본문
+   * @returns {*} - 정리된 값
+   */
+  redact(value) {
+    return this._sanitize(value, [...SECRET_FIELDS, ...SECRET_REQUEST_FIELDS]);
+  }
+
+  /**
+   * 녹화 파일 키 (샵 ID, 샵이 없는 공개 API는 partner)
+   * @private
+   */
+  _fileKey(shopId, params) {
+    const id = shopId || (params && params.shop_id) || 'partner';
+    return String(id).replace(/[^0-9A-Za-z_-]/g, '_');
+  }
+
+  /**
+   * 재생 시 요청을 비교할 키 (메서드 + 경로 + 호출 시각과 무관한 파라미터)
+   * @private
+   */
+  _matchKey(method, apiPath, params) {
+    const stable = {};
+    Object.keys(params || {})
+      .filter(key => !VOLATILE_PARAMS.includes(key) && params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .sort()
+      .forEach(key => {
+        stable[key] = String(params[key]);
+      });
+
+    return `${method} ${apiPath} ${JSON.stringify(stable)}`;
+  }
+
+  /**
+   * 요청/응답 녹화 (녹화 모드가 아니면 무시)
+   * - 녹화 실패는 API 호출 결과에 영향을 주지 않도록 로그만 남김
+   * @param {Object} exchange - 요청/응답 정보
+   * @param {string} exchange.method - HTTP 메서드
+   * @param {string} exchange.path - API 경로
+   * @param {string|number} exchange.shopId - 샵 ID
+   * @param {Object} exchange.params - 요청 파라미터 (GET은 쿼리, POST는 본문 + 쿼리)
+   * @param {number|null} exchange.status - HTTP 상태 코드 (네트워크 오류면 null)
+   * @param {Object|null} exchange.data - 응답 본문
+   * @param {Object|null} [exchange.networkError] - 네트워크 오류 ({ code, message })
+   * @returns {Promise<void>}
+   */
+  async record({ method, path: apiPath, shopId, params, status, data, networkError = null }) {
+    if (!this.isRecording) {
+      return;
+    }
+
+    try {
+      const line = JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        method,
+        path: apiPath,
+        shopId: shopId || null,
+        params: this.redact(params),
+        status,
+        data: this._sanitize(data, SECRET_FIELDS),
+        networkError
+      });
+
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.appendFile(path.join(this.dir, `${this._fileKey(shopId, params)}.jsonl`), `${line}\n`);
+    } catch (error) {
+      logger.warn(`쇼피 API 녹화 실패 (${apiPath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 녹화 파일 로드 (파일별 1회)
+   * @private
+   */
+  _loadReplayFile(fileKey) {
+    let file = this.replayFiles.get(fileKey);
+
+    if (!file) {
+      const filePath = path.join(this.dir, `${fileKey}.jsonl`);
+      const entries = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+        : [];
+
+      file = { entries, cursors: new Map() };
+      this.replayFiles.set(fileKey, file);
+      logger.info(`쇼피 API 재생 파일 로드: ${filePath} (${entries.length}건)`);
+    }
+
+    return file;
+  }
+
+  /**
+   * 녹화된 응답 조회
+   * @param {Object} request - 요청 정보
+   * @param {string} request.method - HTTP 메서드
+   * @param {string} request.path - API 경로
+   * @param {string|number} request.shopId - 샵 ID
+   * @param {Object} request.params - 요청 파라미터 (record에 전달한 것과 같은 형태)
+   * @returns {Object|null} - 녹화된 응답 ({ status, data, networkError }), 없으면 null
+   */
+  replay({ method, path: apiPath, shopId, params }) {
+    const file = this._loadReplayFile(this._fileKey(shopId, params));
+    const matchKey = this._matchKey(method, apiPath, this.redact(params));
+
+    const matches = file.entries.filter(entry => this._matchKey(entry.method, entry.path, entry.params) === matchKey);
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const cursor = file.cursors.get(matchKey) || 0;
+    file.cursors.set(matchKey, cursor + 1);
+
+    const entry = matches[Math.min(cursor, matches.length - 1)];
+    return { status: entry.status, data: entry.data, networkError: entry.networkError || null };
+  }
+
+  /**
+   * 재생 위치 초기화 (같은 녹화로 다시 재현할 때)
+   */
+  resetReplay() {
+    this.replayFiles.clear();
+  }
+}
+
+module.exports = new ApiRecorder();
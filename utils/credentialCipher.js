@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * 암호화 키 조회 (base64로 인코딩된 32바이트 키)
+ * @private
+ * @returns {Buffer} - 암호화 키
+ */
+function getKey() {
+  const rawKey = (config.security || {}).credentialEncryptionKey;
+
+  if (!rawKey) {
+    throw new Error('자격 증명 암호화 키(CREDENTIAL_ENCRYPTION_KEY)가 설정되지 않았습니다.');
+  }
+
+  const key = Buffer.from(rawKey, 'base64');
+  if (key.length !== 32) {
+    throw new Error('자격 증명 암호화 키는 base64로 인코딩된 32바이트여야 합니다.');
+  }
+
+  return key;
+}
+
+/**
+ * 문자열 암호화
+ * @param {string} plainText - 평문
+ * @returns {string} - 암호문 ("v1:iv:authTag:cipherText", 각 값은 base64)
+ */
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), authTag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * 문자열 복호화
+ * @param {string} payload - encrypt가 반환한 암호문
+ * @returns {string} - 평문
+ */
+function decrypt(payload) {
+  const [version, iv, authTag, encrypted] = String(payload).split(':');
+
+  if (version !== VERSION || !iv || !authTag || !encrypted) {
+    throw new Error('지원하지 않는 암호문 형식입니다.');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
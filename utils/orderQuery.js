@@ -0,0 +1,142 @@
+// 주문 목록 조회(GET /orders) 쿼리 파라미터 해석과 페이지 커서 인코딩
+
+// 정렬 기준 (API 이름 -> 컬럼, 커서 값 비교용 타입)
+const SORT_FIELDS = {
+  order_date: { column: 'order_date', type: 'timestamp' },
+  pay_date: { column: 'pay_date', type: 'timestamp' },
+  ship_by_date: { column: 'day_to_ship', type: 'timestamp' },
+  created_at: { column: 'created_at', type: 'timestamp' },
+  updated_at: { column: 'updated_at', type: 'timestamp' },
+  price: { column: 'price', type: 'float8' }
+};
+
+const VIEWS = ['slim', 'full'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// 날짜 범위 필터 (쿼리 파라미터 접두어 -> 필터 이름)
+const DATE_RANGES = {
+  orderDate: 'orderDate',
+  payDate: 'payDate',
+  shipBy: 'shipByDate'
+};
+
+/**
+ * 페이지 커서 생성 (마지막 행의 정렬 값 + ID)
+ * @param {Object} position - { sort, order, value, id }
+ * @returns {string} - base64url 커서
+ */
+function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - base64url 커서
+ * @returns {Object|null} - { sort, order, value, id }, 형식이 잘못되면 null
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!s || !o || !UUID_PATTERN.test(id) || (v !== null && typeof v !== 'string')) {
+      return null;
+    }
+    return { sort: s, order: o, value: v, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} value - 쉼표 구분 목록
+ * @returns {Array<string>|null} - 빈 값이면 null
+ */
+function parseList(value) {
+  if (!value) {
+    return null;
+  }
+  const list = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// 한 번만 받을 수 있는 파라미터 (같은 이름이 반복되면 배열로 들어오므로 거부)
+const SINGLE_VALUE_PARAMS = [
+  'carrier', 'buyer', 'hasTracking', 'sort', 'order', 'view', 'limit', 'cursor',
+  ...Object.keys(DATE_RANGES).flatMap(param => [`${param}From`, `${param}To`])
+];
+
+/**
+ * GET /orders 쿼리 파라미터 해석
+ * @param {Object} query - req.query
+ * @returns {Object} - { filters, options } 또는 잘못된 값이면 { error }
+ */
+function parseOrderListQuery(query) {
+  const repeated = SINGLE_VALUE_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated}는 값을 하나만 지정할 수 있습니다.` };
+  }
+
+  const filters = {
+    shopIds: parseList(query.shopId),
+    statuses: parseList(query.status),
+    actionStatuses: parseList(query.actionStatus),
+    carrier: query.carrier || null,
+    buyer: query.buyer || null,
+    hasTracking: null
+  };
+
+  if (query.hasTracking !== undefined) {
+    if (query.hasTracking !== 'true' && query.hasTracking !== 'false') {
+      return { error: 'hasTracking은 true 또는 false여야 합니다.' };
+    }
+    filters.hasTracking = query.hasTracking === 'true';
+  }
+
+  for (const [param, name] of Object.entries(DATE_RANGES)) {
+    for (const bound of ['From', 'To']) {
+      const raw = query[`${param}${bound}`];
+      const date = raw ? new Date(raw) : null;
+
+      if (date && isNaN(date.getTime())) {
+        return { error: `${param}${bound}는 ISO 날짜 형식이어야 합니다.` };
+      }
+      filters[`${name}${bound}`] = date;
+    }
+  }
+
+  const sort = query.sort || 'order_date';
+  const order = (query.order || 'desc').toLowerCase();
+  const view = query.view || 'slim';
+  const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    return { error: `sort는 ${Object.keys(SORT_FIELDS).join(', ')} 중 하나여야 합니다.` };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order는 asc 또는 desc여야 합니다.' };
+  }
+  if (!VIEWS.includes(view)) {
+    return { error: `view는 ${VIEWS.join(', ')} 중 하나여야 합니다.` };
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit은 1~${MAX_LIMIT} 사이여야 합니다.` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // 정렬이 다른 요청의 커서는 위치가 맞지 않으므로 거부
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'cursor가 올바르지 않거나 정렬 조건(sort, order)이 커서를 만든 요청과 다릅니다.' };
+    }
+  }
+
+  return { filters, options: { sort, order, view, limit, cursor } };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  parseOrderListQuery
+};
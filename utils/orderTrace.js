@@ -0,0 +1,232 @@
+const redisClient = require('./redis');
+const logger = require('./logger');
+
+// 추적 대상 주문 목록 (해시: order_sn -> 만료 시각 ms, 0이면 만료 없음)
+const TRACE_ORDERS_KEY = 'trace:orders';
+
+// 주문별 추적 기록 보관 개수와 기간
+const MAX_TRACE_ENTRIES = 1000;
+const TRACE_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// 추적 대상 목록을 Redis에서 다시 읽는 주기 (ms, 다른 프로세스에서 변경한 목록 반영)
+const CACHE_TTL_MS = 10000;
+
+/**
+ * 주문별 디버그 추적
+ * - 추적 대상 주문번호 목록을 Redis에 두고 API로 관리
+ * - 대상 주문의 API 호출, 데이터 매핑, DB 저장 단계를 주문별 기록(Redis 리스트)에 모두 남김
+ * - 추적 기록 실패는 수집 작업에 영향을 주지 않도록 로그만 남김
+ */
+class OrderTrace {
+  constructor() {
+    this.cache = new Set();
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * 추적 대상 목록 캐시 갱신 (만료된 대상은 제거)
+   * @private
+   * @returns {Promise<Set<string>>} - 추적 대상 주문번호
+   */
+  async _loadOrders() {
+    if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const orders = await redisClient.hgetall(TRACE_ORDERS_KEY);
+    const now = Date.now();
+    const expired = Object.keys(orders).filter(orderSn => orders[orderSn] !== '0' && parseInt(orders[orderSn], 10) <= now);
+
+    if (expired.length > 0) {
+      await redisClient.hdel(TRACE_ORDERS_KEY, ...expired);
+    }
+
+    this.cache = new Set(Object.keys(orders).filter(orderSn => !expired.includes(orderSn)));
+    this.cacheLoadedAt = now;
+    return this.cache;
+  }
+
+  /**
+   * 추적 대상 여부
+   * @param {string} orderSn - 주문번호
+   * @returns {Promise<boolean>}
+   */
+  async isTraced(orderSn) {
+    if (!orderSn) {
+      return false;
+    }
+
+    try {
+      return (await this._loadOrders()).has(String(orderSn));
+    } catch (error) {
+      logger.warn(`주문 추적 대상 조회 실패: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 추적 기록 추가 (추적 대상이 아니면 무시)
+   * @param {string} orderSn - 주문번호
+   * @param {string} stage - 단계 (api:<경로>, map:order, db:order 등)
+   * @param {Object} data - 기록할 데이터
+   * @returns {Promise<void>}
+   */
+  async trace(orderSn, stage, data) {
+    if (!(await this.isTraced(orderSn))) {
+      return;
+    }
+
+    try {
+      const key = `trace:log:${orderSn}`;
+      const entry = JSON.stringify({ at: new Date().toISOString(), pid: process.pid, stage, data });
+
+      await redisClient.multi()
+        .rpush(key, entry)
+        .ltrim(key, -MAX_TRACE_ENTRIES, -1)
+        .expire(key, TRACE_RETENTION_SECONDS)
+        .exec();
+
+      logger.info(`[추적] 주문 ${orderSn} - ${stage}`);
+    } catch (error) {
+      logger.warn(`주문 ${orderSn} 추적 기록 실패 (${stage}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 쇼피 API 호출 추적
+   * - 요청 파라미터(order_sn, order_sn_list)와 응답(order_list, order_sn)에 포함된 추적 대상 주문마다 기록
+   * - 패키지 번호로만 호출하는 API(get_mass_tracking_number)는 호출자가 넘긴 패키지 -> 주문번호 매핑으로 주문을 찾음
+   * - 여러 주문이 담긴 응답은 해당 주문의 항목만 남김
+   * @param {Object} call - 호출 정보
+   * @param {string} call.method - HTTP 메서드
+   * @param {string} call.path - API 경로
+   * @param {string|number} call.shopId - 샵 ID
+   * @param {Object} call.params - 요청 파라미터 (민감 정보 제거된 값)
+   * @param {Object} [call.data] - 응답 본문 (민감 정보 제거된 값)
+   * @param {Object} [call.error] - 오류 정보
+   * @param {Object} [call.packageOrderSns] - 패키지 번호 -> 주문번호
+   * @returns {Promise<void>}
+   */
+  async traceApiCall({ method, path, shopId, params = {}, data = null, error = null, packageOrderSns = null }) {
+    const response = data && data.response ? data.response : {};
+    const orderList = Array.isArray(response.order_list) ? response.order_list : [];
+    const packageMap = packageOrderSns || {};
+    const orderSnOfPackage = item => packageMap[item && item.package_number];
+
+    const orderSns = new Set([
+      params.order_sn,
+      ...String(params.order_sn_list || '').split(','),
+      response.order_sn,
+      ...orderList.map(order => order.order_sn),
+      ...(Array.isArray(params.package_list) ? params.package_list : []).map(orderSnOfPackage)
+    ].filter(Boolean).map(String));
+
+    for (const orderSn of orderSns) {
+      if (!(await this.isTraced(orderSn))) {
+        continue;
+      }
+
+      let tracedData = data;
+      let tracedParams = params;
+
+      if (data && orderList.length > 0) {
+        tracedData = { ...data, response: { ...response, order_list: orderList.filter(order => String(order.order_sn) === orderSn) } };
+      }
+
+      // 패키지 단위 호출은 이 주문의 패키지만 남김
+      if (packageOrderSns) {
+        const ownPackage = item => String(orderSnOfPackage(item)) === orderSn;
+
+        if (Array.isArray(params.package_list)) {
+          tracedParams = { ...params, package_list: params.package_list.filter(ownPackage) };
+        }
+        if (data) {
+          tracedData = {
+            ...data,
+            response: {
+              ...response,
+              ...(Array.isArray(response.success_list) ? { success_list: response.success_list.filter(ownPackage) } : {}),
+              ...(Array.isArray(response.fail_list) ? { fail_list: response.fail_list.filter(ownPackage) } : {})
+            }
+          };
+        }
+      }
+
+      await this.trace(orderSn, `api:${path}`, { method, shopId, params: tracedParams, response: tracedData, error });
+    }
+  }
+
+  /**
+   * 추적 대상 추가
+   * @param {Array<string>} orderSns - 주문번호 배열
+   * @param {Object} options - 옵션 객체
+   * @param {number} [options.ttlHours] - 추적 유지 시간 (없으면 삭제할 때까지 유지)
+   * @returns {Promise<Array<Object>>} - 추가된 대상 ({ orderSn, expiresAt })
+   */
+  async addOrders(orderSns, options = {}) {
+    const expiresAt = options.ttlHours ? Date.now() + Math.round(options.ttlHours * 60 * 60 * 1000) : 0;
+    const fields = [];
+
+    orderSns.forEach(orderSn => fields.push(String(orderSn), String(expiresAt)));
+    await redisClient.hset(TRACE_ORDERS_KEY, ...fields);
+
+    this.cacheLoadedAt = 0;
+    logger.info(`주문 추적 대상 추가: ${orderSns.join(', ')} (만료: ${expiresAt ? new Date(expiresAt).toISOString() : '없음'})`);
+
+    return orderSns.map(orderSn => ({ orderSn: String(orderSn), expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null }));
+  }
+
+  /**
+   * 추적 대상 제거
+   * @param {string} orderSn - 주문번호
+   * @param {Object} options - 옵션 객체
+   * @param {boolean} [options.purge] - 쌓인 추적 기록도 삭제
+   * @returns {Promise<boolean>} - 대상이었는지 여부
+   */
+  async removeOrder(orderSn, options = {}) {
+    const removed = await redisClient.hdel(TRACE_ORDERS_KEY, String(orderSn));
+
+    if (options.purge) {
+      await redisClient.del(`trace:log:${orderSn}`);
+    }
+
+    this.cacheLoadedAt = 0;
+    logger.info(`주문 추적 대상 제거: ${orderSn} (기록 삭제: ${options.purge === true})`);
+    return removed > 0;
+  }
+
+  /**
+   * 추적 대상 목록
+   * @returns {Promise<Array<Object>>} - 추적 대상 ({ orderSn, expiresAt })
+   */
+  async listOrders() {
+    this.cacheLoadedAt = 0;
+    await this._loadOrders();
+
+    const orders = await redisClient.hgetall(TRACE_ORDERS_KEY);
+    return Object.keys(orders).map(orderSn => ({
+      orderSn,
+      expiresAt: orders[orderSn] !== '0' ? new Date(parseInt(orders[orderSn], 10)).toISOString() : null
+    }));
+  }
+
+  /**
+   * 주문 추적 기록 조회
+   * @param {string} orderSn - 주문번호
+   * @returns {Promise<Object>} - 추적 정보 ({ orderSn, traced, entries })
+   */
+  async getTrace(orderSn) {
+    const [traced, entries] = await Promise.all([
+      redisClient.hexists(TRACE_ORDERS_KEY, String(orderSn)),
+      redisClient.lrange(`trace:log:${orderSn}`, 0, -1)
+    ]);
+
+    return {
+      orderSn: String(orderSn),
+      traced: traced === 1,
+      entries: entries.map(entry => JSON.parse(entry))
+    };
+  }
+}
+
+module.exports = new OrderTrace();
@@ -0,0 +1,174 @@
+const redisClient = require('./redis');
+const logger = require('./logger');
+const config = require('../config/config');
+const { ShopeeApiError, ERROR_CATEGORY } = require('../services/shopeeApiError');
+
+// 토큰 버킷 Lua 스크립트 (여러 버킷을 원자적으로 함께 차감 - 모두 토큰이 있을 때만 차감)
+// KEYS[1..n]: 버킷 (파트너 전체, 엔드포인트별 파트너, 샵), KEYS[n+1]: 감속 계수
+// ARGV: 버킷마다 용량, 초당 충전량 순서로 n쌍, 마지막은 버킷 TTL(ms)
+// 반환값: 토큰 획득 시 0, 부족하면 다시 시도하기까지 대기할 시간(ms)
+const TAKE_TOKEN_SCRIPT = `
+if redis.replicate_commands then redis.replicate_commands() end
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local n = #KEYS - 1
+local factor = tonumber(redis.call('GET', KEYS[n + 1]) or '1')
+local ttl = tonumber(ARGV[n * 2 + 1])
+local wait = 0
+local state = {}
+for i = 1, n do
+  local capacity = tonumber(ARGV[i * 2 - 1])
+  local rate = tonumber(ARGV[i * 2]) * factor / 1000
+  local bucket = redis.call('HMGET', KEYS[i], 'tokens', 'ts')
+  local tokens = tonumber(bucket[1]) or capacity
+  local ts = tonumber(bucket[2]) or now
+  tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+  state[i] = tokens
+  if tokens < 1 then
+    wait = math.max(wait, math.ceil((1 - tokens) / rate))
+  end
+end
+for i = 1, n do
+  local tokens = state[i]
+  if wait == 0 then tokens = tokens - 1 end
+  redis.call('HSET', KEYS[i], 'tokens', tokens, 'ts', now)
+  redis.call('PEXPIRE', KEYS[i], ttl)
+end
+return wait
+`;
+
+// 감속 계수 갱신 Lua 스크립트 (스로틀링 발생 시 충전 속도를 단계적으로 낮춤)
+// KEYS[1]: 감속 계수, ARGV: 감소 비율, 최소 계수, 유지 시간(ms)
+const PENALIZE_SCRIPT = `
+local factor = tonumber(redis.call('GET', KEYS[1]) or '1')
+factor = math.max(tonumber(ARGV[2]), factor * tonumber(ARGV[1]))
+redis.call('SET', KEYS[1], tostring(factor), 'PX', tonumber(ARGV[3]))
+return tostring(factor)
+`;
+
+// 버킷 수가 호출마다 다르므로 키 개수를 첫 인자로 전달
+redisClient.defineCommand('takeShopeeToken', { lua: TAKE_TOKEN_SCRIPT });
+redisClient.defineCommand('penalizeShopeeRate', { numberOfKeys: 1, lua: PENALIZE_SCRIPT });
+
+/**
+ * Redis 기반 쇼피 API 호출 제한기 (토큰 버킷)
+ * - 파트너 전체 버킷(모든 엔드포인트 공유)과 샵/엔드포인트별 버킷을 모든 워커 프로세스가 공유
+ * - 엔드포인트 설정에 partner 한도가 있으면 그 엔드포인트의 파트너 호출을 따로 제한하는 버킷 추가
+ * - 스로틀링 응답을 받으면 파트너의 충전 속도를 일정 시간 동안 낮춤
+ */
+class RateLimiter {
+  constructor() {
+    this.options = config.shopee.rateLimit || {};
+    this.enabled = this.options.enabled !== false;
+  }
+
+  /**
+   * 호출 1건에 적용할 버킷 목록 (키 + 한도)
+   * @private
+   * @param {string|number} partnerId - 파트너 ID
+   * @param {string|number} shopId - 샵 ID
+   * @param {string} path - API 경로 (예: /api/v2/order/get_order_list)
+   * @returns {Array<Object>} - [{ key, burst, ratePerSecond }]
+   */
+  _getBuckets(partnerId, shopId, path) {
+    const defaults = this.options.default || {};
+    const endpoint = (this.options.endpoints || {})[path] || {};
+    const partner = { burst: 20, ratePerSecond: 10, ...defaults.partner };
+    const buckets = [{ key: `ratelimit:partner:${partnerId}`, ...partner }];
+
+    if (endpoint.partner) {
+      buckets.push({ key: `ratelimit:partner:${partnerId}:${path}`, ...partner, ...endpoint.partner });
+    }
+
+    buckets.push({
+      key: `ratelimit:shop:${partnerId}:${shopId || 'public'}:${path}`,
+      burst: 10,
+      ratePerSecond: 5,
+      ...defaults.shop,
+      ...endpoint.shop
+    });
+
+    return buckets;
+  }
+
+  /**
+   * API 호출 전 토큰 획득 (토큰이 없으면 충전될 때까지 대기)
+   * @param {Object} params - 호출 정보
+   * @param {string|number} params.partnerId - 파트너 ID
+   * @param {string|number} params.shopId - 샵 ID (인증 API 등 샵이 없으면 빈 값)
+   * @param {string} params.path - API 경로
+   * @returns {Promise<number>} - 대기한 시간 (ms)
+   */
+  async acquire({ partnerId, shopId, path }) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const buckets = this._getBuckets(partnerId, shopId, path);
+    const maxWaitMs = this.options.maxWaitMs || 120000;
+    const keys = [...buckets.map(bucket => bucket.key), `ratelimit:factor:${partnerId}`];
+    const limits = buckets.flatMap(bucket => [bucket.burst, bucket.ratePerSecond]);
+
+    let waited = 0;
+
+    while (true) {
+      let wait;
+      try {
+        wait = await redisClient.takeShopeeToken(keys.length, ...keys, ...limits, 60000);
+      } catch (error) {
+        // Redis 장애 시 호출 자체는 막지 않음
+        logger.warn(`API 호출 제한기 Redis 오류, 제한 없이 진행합니다 (${path}): ${error.message}`);
+        return waited;
+      }
+
+      if (wait === 0) {
+        if (waited > 0) {
+          logger.debug(`API 호출 제한 대기 완료 - ${path}, 샵 ID: ${shopId || '-'}, 대기: ${waited}ms`);
+        }
+        return waited;
+      }
+
+      if (waited + wait > maxWaitMs) {
+        throw new ShopeeApiError({
+          message: `API 호출 제한 대기 시간 초과 (${path}, 샵 ID: ${shopId || '-'}, 대기: ${waited}ms)`,
+          category: ERROR_CATEGORY.RATE_LIMIT,
+          path
+        });
+      }
+
+      // 여러 워커가 동시에 깨어나지 않도록 약간의 지터 추가
+      const delay = wait + Math.floor(Math.random() * 50);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      waited += delay;
+    }
+  }
+
+  /**
+   * 스로틀링 응답 발생 시 파트너의 충전 속도 감속
+   * @param {string|number} partnerId - 파트너 ID
+   * @param {string} path - 스로틀링이 발생한 API 경로 (로그용)
+   * @returns {Promise<number|null>} - 적용된 감속 계수
+   */
+  async penalize(partnerId, path) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const factor = await redisClient.penalizeShopeeRate(
+        `ratelimit:factor:${partnerId}`,
+        this.options.throttleFactor || 0.5,
+        this.options.minFactor || 0.1,
+        this.options.throttleCooldownMs || 60000
+      );
+
+      logger.warn(`쇼피 API 스로틀링 감지 (${path}) - 파트너 ${partnerId}의 호출 속도를 ${factor}배로 감속`);
+      return parseFloat(factor);
+    } catch (error) {
+      logger.warn(`API 호출 감속 설정 실패 (${path}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new RateLimiter();
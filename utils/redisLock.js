@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('./redis');
+const logger = require('./logger');
+
+// 락 소유자(토큰)가 일치할 때만 삭제하는 Lua 스크립트
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// 락 소유자(토큰)가 일치할 때만 만료 시간을 연장하는 Lua 스크립트
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+redisClient.defineCommand('releaseLock', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+redisClient.defineCommand('extendLock', { numberOfKeys: 1, lua: EXTEND_SCRIPT });
+
+/**
+ * 분산 락 획득 시도 (1회)
+ * @param {string} key - 락 키
+ * @param {number} ttlMs - 락 유지 시간 (ms), 소유 프로세스가 죽어도 이 시간 후 해제됨
+ * @returns {Promise<string|null>} - 락 토큰 (획득 실패 시 null)
+ */
+async function acquireLock(key, ttlMs) {
+  const token = uuidv4();
+  const result = await redisClient.set(key, token, 'PX', ttlMs, 'NX');
+  return result === 'OK' ? token : null;
+}
+
+/**
+ * 분산 락 해제 (자신이 획득한 락만 해제)
+ * @param {string} key - 락 키
+ * @param {string} token - acquireLock이 반환한 토큰
+ * @returns {Promise<boolean>} - 해제 여부
+ */
+async function releaseLock(key, token) {
+  const released = await redisClient.releaseLock(key, token);
+  return released === 1;
+}
+
+/**
+ * 분산 락 만료 시간 연장 (자신이 획득한 락만 연장)
+ * @param {string} key - 락 키
+ * @param {string} token - acquireLock이 반환한 토큰
+ * @param {number} ttlMs - 지금부터 새로 유지할 시간 (ms)
+ * @returns {Promise<boolean>} - 연장 여부 (이미 만료되어 다른 프로세스가 가졌으면 false)
+ */
+async function extendLock(key, token, ttlMs) {
+  const extended = await redisClient.extendLock(key, token, ttlMs);
+  return extended === 1;
+}
+
+/**
+ * 분산 락을 획득한 상태에서 함수 실행
+ * - 다른 프로세스가 락을 가지고 있으면 waitMs 동안 재시도
+ * - 함수가 실행되는 동안 ttlMs의 1/3마다 락을 연장하여 오래 걸려도 중간에 만료되지 않음
+ * @param {string} key - 락 키
+ * @param {Function} fn - 락 안에서 실행할 함수
+ * @param {Object} options - 옵션 객체
+ * @param {number} options.ttlMs - 락 유지 시간 (ms)
+ * @param {number} options.waitMs - 락 획득 최대 대기 시간 (ms)
+ * @param {number} options.retryDelayMs - 락 획득 재시도 간격 (ms)
+ * @returns {Promise<*>} - 함수 실행 결과
+ */
+async function withLock(key, fn, options = {}) {
+  const ttlMs = options.ttlMs || 30000;
+  const waitMs = options.waitMs || 15000;
+  const retryDelayMs = options.retryDelayMs || 200;
+  const startedAt = Date.now();
+
+  let token = await acquireLock(key, ttlMs);
+
+  while (!token) {
+    if (Date.now() - startedAt > waitMs) {
+      throw new Error(`분산 락 획득 대기 시간 초과: ${key} (${waitMs}ms)`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    token = await acquireLock(key, ttlMs);
+  }
+
+  logger.debug(`분산 락 획득: ${key}`);
+
+  const renewTimer = setInterval(() => {
+    extendLock(key, token, ttlMs)
+      .then(extended => {
+        if (!extended) {
+          logger.error(`분산 락을 연장하지 못했습니다 (이미 만료됨): ${key}`);
+        }
+      })
+      .catch(error => logger.warn(`분산 락 연장 실패: ${key}`, { error: error.message }));
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewTimer);
+    try {
+      const released = await releaseLock(key, token);
+      if (!released) {
+        logger.warn(`분산 락이 이미 만료되어 해제하지 못했습니다: ${key}`);
+      }
+    } catch (error) {
+      logger.error(`분산 락 해제 실패: ${key}`, { error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  extendLock,
+  withLock
+};
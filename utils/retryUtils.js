@@ -1,22 +1,62 @@
 const logger = require('./logger');
 const config = require('../config/config');
+const { ShopeeApiError, ERROR_CATEGORY } = require('../services/shopeeApiError');
+
+/**
+ * 오류의 재시도 가능 여부 확인
+ * - ShopeeApiError는 분류(category)에 따라 결정 (rate_limit, server, network만 재시도)
+ * - 그 외 오류(DB 오류 등)는 재시도 대상으로 간주
+ * @param {Error} error - 오류 객체
+ * @returns {boolean} - 재시도 가능 여부
+ */
+function isRetryableError(error) {
+  if (error instanceof ShopeeApiError) {
+    return error.retryable;
+  }
+  return true;
+}
+
+/**
+ * Bull 작업용 재시도 지연 전략 (queue settings.backoffStrategies에 'shopeeApi'로 등록)
+ * - 재시도 불가능한 쇼피 오류는 -1을 반환하여 즉시 실패 처리
+ * - 호출 한도 초과는 일반 오류보다 길게 대기
+ * @param {number} attemptsMade - 시도 횟수
+ * @param {Error} err - 작업 실패 오류
+ * @param {Object} options - backoff.options ({ delay })
+ * @returns {number} - 다음 시도까지 대기 시간 (ms), -1이면 재시도 안 함
+ */
+function shopeeBackoffStrategy(attemptsMade, err, options) {
+  const delay = (options && options.delay) || 1000;
+  
+  if (!isRetryableError(err)) {
+    logger.warn(`재시도 불가능한 오류로 작업을 실패 처리합니다 [${err.category}]: ${err.message}`);
+    return -1;
+  }
+  
+  if (err instanceof ShopeeApiError && err.category === ERROR_CATEGORY.RATE_LIMIT) {
+    return Math.max(delay, 30000) * attemptsMade;
+  }
+  
+  return Math.round((Math.pow(2, attemptsMade) - 1) * delay);
+}
 
 /**
  * 작업 실패 시 재시도하는 유틸리티 함수
+ * - 재시도 대기 시간은 Bull 재시도 전략과 같은 기준 (호출 한도 초과는 최소 30초부터 시도마다 늘림, 그 외는 지수 백오프)
  * @param {Function} fn - 실행할 함수
  * @param {Array} args - 함수에 전달할 인자 배열
  * @param {Object} options - 옵션 객체
- * @param {number} options.maxRetries - 최대 재시도 횟수
+ * @param {number} options.maxRetries - 최대 재시도 횟수 (0이면 재시도 안 함)
  * @param {number} options.initialDelay - 초기 지연 시간 (ms)
  * @param {number} options.factor - 지연 시간 증가 계수
- * @param {Function} options.shouldRetry - 재시도 여부 결정 함수
+ * @param {Function} options.shouldRetry - 재시도 여부 결정 함수 (기본값: 오류 분류 기반)
  * @returns {Promise<*>} - 함수 실행 결과
  */
 async function withRetry(fn, args = [], options = {}) {
-  const maxRetries = options.maxRetries || config.scheduler.maxRetryCount || 3;
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : (config.scheduler.maxRetryCount || 3);
   const initialDelay = options.initialDelay || 1000;
   const factor = options.factor || 2;
-  const shouldRetry = options.shouldRetry || (() => true);
+  const shouldRetry = options.shouldRetry || isRetryableError;
   
   let lastError;
   
@@ -37,8 +77,10 @@ async function withRetry(fn, args = [], options = {}) {
         break;
       }
       
-      // 지연 시간 계산 (지수 백오프)
-      const delay = initialDelay * Math.pow(factor, attempt);
+      // 지연 시간 계산 (호출 한도 초과는 길게, 그 외는 지수 백오프)
+      const delay = error instanceof ShopeeApiError && error.category === ERROR_CATEGORY.RATE_LIMIT
+        ? Math.max(initialDelay, 30000) * (attempt + 1)
+        : initialDelay * Math.pow(factor, attempt);
       
       logger.warn(`함수 실행 실패, ${attempt + 1}/${maxRetries} 재시도 예정 (${delay}ms 후):`, error);
       
@@ -52,5 +94,7 @@ async function withRetry(fn, args = [], options = {}) {
 }
 
 module.exports = {
-  withRetry
+  withRetry,
+  isRetryableError,
+  shopeeBackoffStrategy
 }; 
\ No newline at end of file
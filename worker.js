@@ -2,7 +2,9 @@ const cluster = require('cluster');
 const logger = require('./utils/logger');
 const config = require('./config/config');
 const orderService = require('./services/orderService');
+const tokenService = require('./services/tokenService');
 const shopRepository = require('./db/shopRepository');
+const db = require('./db/db');
 const {
   orderCollectionQueue,
   orderDetailQueue,
@@ -22,7 +24,7 @@ class Worker {
   }
 
   /**
-   * 마스터에 상태 보고
+   * 마스터에 상태 보고 (DB 연결 풀/쿼리 시간 통계 포함)
    */
   reportStatus() {
     if (cluster.worker) {
@@ -31,6 +33,7 @@ class Worker {
         workerId: this.workerId,
         status: this.status,
         jobs: this.activeJobs,
+        db: db.getStats(),
         timestamp: Date.now()
       };
       
@@ -85,7 +88,7 @@ class Worker {
         }
         
         // 해당 샵의 주문 수집
-        const result = await orderService.collectOrders(shop);
+        const result = await orderService.collectOrders(shop, { manual });
         
         if (result.success) {
           logger.info(`워커 ${this.workerId}: 샵 ID ${shopId} 주문 수집 완료 (${result.stats.total}개)`);
@@ -101,7 +104,8 @@ class Worker {
                 'process-order-details',
                 {
                   shopId: shop.shop_id,
-                  orderSns: batch
+                  orderSns: batch,
+                  source: manual ? 'manual' : 'poll'
                 },
                 { priority: manual ? 1 : 3 }
               );
@@ -109,6 +113,11 @@ class Worker {
           }
         } else {
           logger.error(`워커 ${this.workerId}: 샵 ID ${shopId} 주문 수집 실패: ${result.error}`);
+          
+          // 재시도 가능한 오류는 작업을 실패 처리하여 Bull 재시도 전략(shopeeApi)으로 다시 실행
+          if (result.retryable) {
+            throw result.cause;
+          }
         }
       } else {
         // 모든 활성 샵 처리
@@ -124,6 +133,7 @@ class Worker {
             { 
               priority: 5,
               attempts: 2,
+              backoff: { type: 'shopeeApi', options: { delay: 5000 } },
               removeOnComplete: true
             }
           );
@@ -143,11 +153,89 @@ class Worker {
     }
   }
 
+  /**
+   * 과거 주문 백필 작업 프로세서
+   * - 완료된 구간 인덱스를 job.data에 기록하여 재시작 시 다음 구간부터 재개
+   * - 저장에 실패한 주문번호도 job.data에 기록하여 재시작(재시도) 시 먼저 다시 처리
+   */
+  async processOrderBackfill(job) {
+    const { shopId, timeFrom, timeTo, orderStatus = null, lastCompletedChunk = -1, failedOrderSns = [] } = job.data;
+    
+    try {
+      this.activeJobs++;
+      this.status = 'backfilling-orders';
+      this.reportStatus();
+      
+      logger.info(`워커 ${this.workerId}: 샵 ID ${shopId} 주문 백필 작업 시작 (작업 ID: ${job.id}, 재개 구간: ${lastCompletedChunk + 2})`);
+      
+      const shop = await this._findShop(shopId);
+      
+      const result = await orderService.backfillOrders(shop, {
+        timeFrom,
+        timeTo,
+        orderStatus,
+        startChunk: lastCompletedChunk + 1,
+        retryOrderSns: failedOrderSns,
+        onChunkComplete: async (chunkIndex, totalChunks, chunkStats, remainingFailedSns) => {
+          // 구간 완료 시점과 아직 저장하지 못한 주문 기록 (크래시/재시작 후 재개 지점)
+          await job.update({ ...job.data, lastCompletedChunk: chunkIndex, failedOrderSns: remainingFailedSns });
+          await job.progress(Math.round(((chunkIndex + 1) / totalChunks) * 100));
+          
+          // 저장된 주문의 배송 정보 처리 작업 추가
+          const batchSize = config.scheduler.batchSize;
+          for (let i = 0; i < chunkStats.orderSns.length; i += batchSize) {
+            await shipmentInfoQueue.add(
+              'process-shipment-info',
+              {
+                shopId: shop.shop_id,
+                orderSns: chunkStats.orderSns.slice(i, i + batchSize)
+              },
+              { priority: 5 }
+            );
+          }
+        }
+      });
+      
+      logger.info(`워커 ${this.workerId}: 샵 ID ${shopId} 주문 백필 작업 완료 (${result.stats.total}개)`);
+      
+      return result;
+    } catch (error) {
+      logger.error(`워커 ${this.workerId}: 주문 백필 작업 중 오류:`, error);
+      throw error;
+    } finally {
+      this.activeJobs--;
+      this.status = this.activeJobs === 0 ? 'idle' : this.status;
+      this.reportStatus();
+    }
+  }
+
+  /**
+   * 샵 ID로 샵 정보 조회 (없으면 활성 샵 목록에서 검색)
+   * @private
+   * @param {string} shopId - 샵 ID
+   * @returns {Promise<Object>} - 샵 정보
+   */
+  async _findShop(shopId) {
+    let shop = await shopRepository.getShopById(shopId);
+    
+    if (!shop) {
+      logger.warn(`샵 ID ${shopId}를 getShopById로 찾을 수 없어 활성 샵 목록에서 검색합니다.`);
+      const activeShops = await shopRepository.getActiveShops(config.shopee.isSandbox);
+      shop = activeShops.find(s => s.shop_id === shopId || s.shop_id.toString() === shopId.toString());
+    }
+    
+    if (!shop) {
+      throw new Error(`샵 ID ${shopId}를 찾을 수 없습니다 (샌드박스 모드: ${config.shopee.isSandbox}).`);
+    }
+    
+    return shop;
+  }
+
   /**
    * 주문 세부 정보 처리 작업 프로세서
    */
   async processOrderDetails(job) {
-    const { shopId, orderSns } = job.data;
+    const { shopId, orderSns, source = 'poll' } = job.data;
     
     try {
       this.activeJobs++;
@@ -181,10 +269,12 @@ class Worker {
       }
       
       // 주문 세부 정보 처리
-      const stats = { success: 0, failed: 0, orderSns: [] };
-      const result = await orderService._processOrderDetails(shop, orderSns, stats);
+      const stats = { success: 0, failed: 0, new: 0, changed: 0, unchanged: 0, orderSns: [] };
+      const result = await tokenService.withValidToken(shop, validShop =>
+        orderService._processOrderDetails(validShop, orderSns, stats, source)
+      );
       
-      logger.info(`워커 ${this.workerId}: 샵 ID ${shopId}의 주문 세부 정보 처리 완료`);
+      logger.info(`워커 ${this.workerId}: 샵 ID ${shopId}의 주문 세부 정보 처리 완료 (신규: ${stats.new}개, 변경: ${stats.changed}개, 변경 없음: ${stats.unchanged}개)`);
       
       // 배송 정보 처리 작업 추가
       await shipmentInfoQueue.add(
@@ -196,7 +286,7 @@ class Worker {
         { priority: 3 }
       );
       
-      return { success: true, result };
+      return { success: true, result, stats };
     } catch (error) {
       logger.error(`워커 ${this.workerId}: 주문 세부 정보 처리 작업 중 오류:`, error);
       throw error;
@@ -247,11 +337,11 @@ class Worker {
       // 빈 배송 정보 맵 생성
       const shipmentMap = {};
       
-      // 배송 정보 가져오기
-      await orderService._processTrackingInfoBatch(shop, orderSns, shipmentMap);
-      
-      // 송장번호 정보 저장
-      await orderService._saveTrackingNumbers(shop, Object.values(shipmentMap));
+      // 토큰 확인 후 처리 (인증 오류 시 토큰 강제 갱신 후 1회 재시도)
+      // 송장번호 저장은 _processTrackingInfoBatch 안에서 변경된 주문만 수행
+      await tokenService.withValidToken(shop, validShop =>
+        orderService._processTrackingInfoBatch(validShop, orderSns, shipmentMap)
+      );
       
       logger.info(`워커 ${this.workerId}: 샵 ID ${shopId}의 배송 정보 처리 완료 (샌드박스 모드: ${config.shopee.isSandbox})`);
       
@@ -358,6 +448,12 @@ class Worker {
         this.processOrderCollection.bind(this)
       );
       
+      // 과거 주문 백필 작업 처리기 (API 사용량이 많으므로 워커당 1개씩 처리)
+      orderCollectionQueue.process('backfill-shop-orders',
+        1,
+        this.processOrderBackfill.bind(this)
+      );
+      
       // 주문 세부 정보 작업 처리기
       orderDetailQueue.process('process-order-details',
         config.scheduler.concurrency,
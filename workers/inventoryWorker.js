@@ -2,7 +2,7 @@
 const { inventoryQueue } = require('../queues/orderQueue');
 const shopRepository = require('../db/shopRepository');
 const orderRepository = require('../db/orderRepository');
-const ShopeeApiService = require('../services/shopeeApi');
+const shopeeApiFactory = require('../services/shopeeApiFactory');
 const logger = require('../utils/logger');
 const shopeeConfig = require('../config/shopee');
 
@@ -31,12 +31,8 @@ function initWorker() {
         return { success: false, message: '비활성화된 상점' };
       }
 
-      // 쇼피 API 서비스 인스턴스 생성
-      const shopeeApi = new ShopeeApiService(
-        shop.shop_id,
-        shop.partner_id,
-        shop.partner_key
-      );
+      // 샵 환경(샌드박스/라이브)에 맞는 쇼피 API 클라이언트
+      const shopeeApi = shopeeApiFactory.forShop(shop);
 
       // 재고 정보 업데이트
       const results = [];
@@ -2,7 +2,7 @@
 const { orderSyncQueue, orderDetailQueue } = require('../queues/orderQueue');
 const shopRepository = require('../db/shopRepository');
 const orderRepository = require('../db/orderRepository');
-const ShopeeApiService = require('../services/shopeeApi');
+const shopeeApiFactory = require('../services/shopeeApiFactory');
 const logger = require('../utils/logger');
 const shopeeConfig = require('../config/shopee');
 
@@ -30,12 +30,8 @@ function initWorker() {
         return { success: false, message: '비활성화된 상점' };
       }
 
-      // 쇼피 API 서비스 인스턴스 생성
-      const shopeeApi = new ShopeeApiService(
-        shop.shop_id,
-        shop.partner_id,
-        shop.partner_key
-      );
+      // 샵 환경(샌드박스/라이브)에 맞는 쇼피 API 클라이언트
+      const shopeeApi = shopeeApiFactory.forShop(shop);
 
       // 날짜 범위 설정 (기본: 24시간)
       const timeRangeParams = {
@@ -54,7 +50,7 @@ function initWorker() {
       const status = job.data.status || shopeeConfig.orderStatus.READY_TO_SHIP;
 
       // 주문 목록 조회
-      const orderListResponse = await shopeeApi.getOrderList({
+      const orderListResponse = await shopeeApi.getOrderList(shop.access_token, shop.shop_id, {
         ...timeRangeParams,
         page_size: 100,
         order_status: status
@@ -115,17 +111,13 @@ function initWorker() {
         throw new Error(`샵 ID ${shopId}에 해당하는 상점을 찾을 수 없습니다.`);
       }
 
-      // 쇼피 API 서비스 인스턴스 생성
-      const shopeeApi = new ShopeeApiService(
-        shop.shop_id,
-        shop.partner_id,
-        shop.partner_key
-      );
+      // 샵 환경(샌드박스/라이브)에 맞는 쇼피 API 클라이언트
+      const shopeeApi = shopeeApiFactory.forShop(shop);
 
       // 기본 데이터가 없으면 API로 상세 정보 조회
       let orderDetail = orderData;
       if (!orderData || !orderData.order_sn) {
-        const detailResponse = await shopeeApi.getOrderDetail(orderSn);
+        const detailResponse = await shopeeApi.getOrderDetail(shop.access_token, shop.shop_id, [orderSn]);
         if (!detailResponse.response || !detailResponse.response.order_list || detailResponse.response.order_list.length === 0) {
           throw new Error(`주문번호 ${orderSn}의 상세 정보를 찾을 수 없습니다.`);
         }